@@ -2,6 +2,9 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { fakerEN_GB as faker } from "@faker-js/faker";
+import PlotStore, { DEFAULT_DB } from "../../server/PlotStore.js";
+import LandPlot, { PLOT_STATUS } from "../js/models/LandPlot.js";
+import HiveCapacityCalculator from "../js/services/HiveCapacityCalculator.js";
 
 // ⚡ Define __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -22,6 +25,8 @@ const LAND_TYPES = [
   "Pasture",
 ];
 
+const capacity = new HiveCapacityCalculator();
+
 function generateListing(id, forcedType = null) {
   const city = faker.helpers.arrayElement(ukCities);
   const hasPolygon = Math.random() > 0.5;
@@ -38,12 +43,6 @@ function generateListing(id, forcedType = null) {
     fractionDigits: 1,
   });
 
-  // 2. Calculate hive capacity based on size (roughly 2-3 hives per acre)
-  // We add a little randomness so it's not a perfect mathematical ratio
-  const hiveCapacity = Math.floor(
-    landSize * faker.number.float({ min: 1.8, max: 3.2, fractionDigits: 1 }),
-  );
-
   const listing = {
     id,
     locationName: city.name,
@@ -51,7 +50,6 @@ function generateListing(id, forcedType = null) {
     email: faker.internet.email(),
     phone: faker.phone.number("+44 7#########"),
     landSize: `${landSize} acres`, // Stored as a string for easy display
-    hives: hiveCapacity, // The key you need for your beekeeper filters
     landType: landType,
     description: `${faker.helpers.arrayElement([
       "Perfect for beekeeping",
@@ -60,8 +58,7 @@ function generateListing(id, forcedType = null) {
       "Excellent soil quality",
       "Quiet and scenic",
     ])} near ${city.name}`,
-    suitability: faker.number.int({ min: 6, max: 10 }),
-    status: "Available",
+    status: PLOT_STATUS.AVAILABLE,
   };
 
   if (hasPolygon) {
@@ -79,10 +76,18 @@ function generateListing(id, forcedType = null) {
     listing.lng = baseLng;
   }
 
+  // 2. Hive capacity, worked out the same way as for drawn plots
+  const plot = new LandPlot(listing);
+  listing.hives = capacity.calculate({
+    fields: plot.fields,
+    area: plot.area,
+    landType,
+  }).hives;
+
   return listing;
 }
 
-function run() {
+async function run() {
   const totalCount = 500;
   console.log(
     `🐝 Generating ${totalCount} UK land listings with hive capacities...`,
@@ -108,8 +113,13 @@ function run() {
     "utf8",
   );
 
+  // Seed the API's store too, so `npm start` serves the same listings
+  const dbPath = process.env.PLOTS_DB || DEFAULT_DB;
+  const stored = await new PlotStore(dbPath).seed(shuffledListings);
+
   console.log("✅ Done!");
   console.log(`📁 File created: ${outputPath}`);
+  console.log(`🗄️  API store seeded with ${stored} plots: ${dbPath}`);
 }
 
 run();
@@ -3,13 +3,24 @@
  */
 import { jest, describe, test, expect, beforeEach } from "@jest/globals";
 import { app } from "../main.js";
+import LandPlot from "../models/LandPlot.js";
 
 const mockMap = {
   clearAll: jest.fn(),
+  clearPlots: jest.fn(),
   enableDraw: jest.fn(),
   displayPolygon: jest.fn(),
   displayMarker: jest.fn(),
   getDrawnLayer: jest.fn(),
+  getDrawnFields: jest.fn(() => []),
+  getDrawnStats: jest.fn(() => ({ area: 5000, hives: 12 })),
+  editPlot: jest.fn(),
+  loadBoundary: jest.fn(),
+  showOverlaps: jest.fn(),
+  clearDrawLayer: jest.fn(),
+  getView: jest.fn(() => ({ lat: 51.5, lng: -0.1, zoom: 13 })),
+  setView: jest.fn(),
+  focusPlot: jest.fn(),
 };
 
 describe("App Data Loading", () => {
@@ -46,6 +57,7 @@ describe("App Data Loading", () => {
               coordinates: [
                 [51, -0.1],
                 [51, -0.2],
+                [51.1, -0.2],
               ],
             },
           ]),
@@ -53,22 +65,454 @@ describe("App Data Loading", () => {
     );
 
     localStorage.clear();
+    app.restoreFilters(); // Nothing saved, so this resets to the defaults
+    app.state.editingPlotId = null;
+    app.state.selectedPlotId = null;
+    app.state.newListings = [];
+    window.history.replaceState(null, "", "/");
     jest.clearAllMocks();
   });
 
   test("loadCommunityPlots calls map methods after fetching data", async () => {
     await app.loadCommunityPlots();
     expect(global.fetch).toHaveBeenCalledWith("assets/data/landData.json");
-    expect(mockMap.clearAll).toHaveBeenCalled();
+    expect(mockMap.clearPlots).toHaveBeenCalled();
     expect(mockMap.displayPolygon).toHaveBeenCalled();
   });
 
+  test("re-rendering the plots keeps the landowner's drawing", async () => {
+    await app.loadCommunityPlots();
+    app.applyFilters();
+
+    expect(mockMap.clearAll).not.toHaveBeenCalled();
+    expect(mockMap.clearDrawLayer).not.toHaveBeenCalled();
+  });
+
   test("loadCommunityPlots merges LocalStorage data with Seed data", async () => {
-    const userPlots = [{ id: "local-1", type: "polygon", coordinates: [] }];
+    const userPlots = [
+      {
+        id: "local-1",
+        type: "polygon",
+        coordinates: [
+          { lat: 51, lng: -0.1 },
+          { lat: 51, lng: -0.2 },
+          { lat: 51.1, lng: -0.2 },
+        ],
+        hives: "12 Hives",
+      },
+    ];
     localStorage.setItem("user_plots", JSON.stringify(userPlots));
 
     await app.loadCommunityPlots();
 
     expect(mockMap.displayPolygon).toHaveBeenCalledTimes(2);
+    expect(app.state.allPlots[1].hives).toBe(12);
+  });
+
+  test("loadCommunityPlots skips plots that fail validation", async () => {
+    const userPlots = [{ id: "local-1", type: "polygon", coordinates: [] }];
+    localStorage.setItem("user_plots", JSON.stringify(userPlots));
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    await app.loadCommunityPlots();
+
+    expect(mockMap.displayPolygon).toHaveBeenCalledTimes(1);
+    console.warn.mockRestore();
+  });
+
+  test("startEditing hides the saved copy and loads it into the draw layer", async () => {
+    const userPlots = [
+      {
+        id: "local-1",
+        type: "polygon",
+        coordinates: [
+          [51, -0.1],
+          [51, -0.2],
+          [51.1, -0.2],
+        ],
+        isUserCreated: true,
+      },
+    ];
+    localStorage.setItem("user_plots", JSON.stringify(userPlots));
+    await app.loadCommunityPlots();
+    jest.clearAllMocks();
+
+    app.state.role = "landowner";
+    await app.startEditing("local-1");
+
+    expect(app.state.editingPlotId).toBe("local-1");
+    expect(mockMap.displayPolygon).toHaveBeenCalledTimes(1); // seed plot only
+    expect(mockMap.editPlot).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "local-1" }),
+    );
+  });
+
+  test("finalizeSave replaces the plot being edited", async () => {
+    const userPlots = [
+      {
+        id: "local-1",
+        ownerName: "Old Meadow",
+        type: "polygon",
+        coordinates: [
+          [51, -0.1],
+          [51, -0.2],
+          [51.1, -0.2],
+        ],
+        isUserCreated: true,
+      },
+    ];
+    localStorage.setItem("user_plots", JSON.stringify(userPlots));
+    global.bootstrap.Modal.getInstance = jest.fn(() => null);
+    await app.loadCommunityPlots();
+
+    app.state.editingPlotId = "local-1";
+    mockMap.getDrawnLayer.mockReturnValue({});
+    mockMap.getDrawnFields.mockReturnValue([
+      [
+        [52, -1],
+        [52, -1.1],
+        [52.1, -1.1],
+      ],
+    ]);
+    await app.finalizeSave();
+
+    const saved = JSON.parse(localStorage.getItem("user_plots"));
+    expect(saved).toHaveLength(1);
+    expect(saved[0]).toMatchObject({
+      id: "local-1",
+      ownerName: "Anonymous",
+      area: 5000,
+      hives: 12,
+    });
+    expect(saved[0].coordinates[0]).toEqual([52, -1]);
+    expect(app.state.editingPlotId).toBeNull();
+  });
+
+  test("applyFilters keeps plots within the radius, nearest first", () => {
+    app.state.allPlots = [
+      { id: "far", lat: 53.8, lng: -1.55 }, // Leeds
+      { id: "near", lat: 51.52, lng: -0.13 }, // London
+      { id: "nearest", lat: 51.508, lng: -0.128 },
+    ].map((p) => ({
+      ...p,
+      type: "marker",
+      center: [p.lat, p.lng],
+      isListed: () => true,
+    }));
+    app.state.filters.origin = { lat: 51.5074, lng: -0.1278, label: "London" };
+    app.state.filters.radiusKm = 10;
+
+    app.applyFilters();
+
+    const shown = mockMap.displayMarker.mock.calls.map(([plot]) => plot.id);
+    expect(shown).toEqual(["nearest", "near"]);
+    expect(mockMap.displayMarker.mock.calls[1][1].distanceKm).toBeCloseTo(
+      1.4,
+      1,
+    );
+  });
+
+  test("applyFilters applies hive and area ranges and multiple land types", () => {
+    app.state.allPlots = [
+      { id: "small", hives: 2, area: 4000, landType: "Orchard" },
+      { id: "match", hives: 10, area: 20000, landType: "Orchard" },
+      { id: "meadow", hives: 12, area: 30000, landType: "Wildflower Meadow" },
+      { id: "too-big", hives: 40, area: 200000, landType: "Orchard" },
+      { id: "wrong-type", hives: 10, area: 20000, landType: "Park" },
+    ].map((p) => ({
+      ...p,
+      type: "marker",
+      center: [51.5, -0.1],
+      isListed: () => true,
+    }));
+    Object.assign(app.state.filters, {
+      landTypes: ["Orchard", "Wildflower Meadow"],
+      minHives: 5,
+      maxHives: 20,
+      minAcres: 2,
+      maxAcres: 10,
+    });
+
+    app.applyFilters();
+
+    const shown = mockMap.displayMarker.mock.calls.map(([plot]) => plot.id);
+    expect(shown).toEqual(["match", "meadow"]);
+  });
+
+  test("applyFilters hides full and withdrawn plots except from their owner", () => {
+    app.state.allPlots = [
+      { id: "open", hives: 10, occupiedHives: 4 },
+      { id: "full", hives: 10, occupiedHives: 10, status: "occupied" },
+      { id: "withdrawn", hives: 10, status: "withdrawn" },
+      { id: "mine", hives: 10, status: "draft", isUserCreated: true },
+    ].map((p) => new LandPlot({ ...p, lat: 51.5, lng: -0.1 }));
+    app.state.ownedPlotIds = new Set(["mine"]);
+    const shownIds = () =>
+      mockMap.displayMarker.mock.calls.map(([plot]) => plot.id);
+
+    app.state.role = "beekeeper";
+    app.applyFilters();
+    expect(shownIds()).toEqual(["open"]);
+
+    mockMap.displayMarker.mockClear();
+    app.state.role = "landowner";
+    app.applyFilters();
+    expect(shownIds()).toEqual(["open", "mine"]);
+  });
+
+  test("filters are saved and restored for a returning beekeeper", () => {
+    document.body.insertAdjacentHTML(
+      "beforeend",
+      `
+      <fieldset id="land-type-filter">
+        <input type="checkbox" value="Orchard" />
+        <input type="checkbox" value="Park" />
+      </fieldset>
+      <input id="min-hives-filter" type="number" />
+      <input id="max-hives-filter" type="number" />
+    `,
+    );
+    app.cacheElements();
+    document.querySelector("input[value=Orchard]").checked = true;
+    app.el.minHivesFilter.value = "3";
+
+    expect(app.readFilterInputs()).toBe(true);
+    app.saveFilters();
+    app.state.filters.landTypes = [];
+    app.restoreFilters();
+
+    expect(app.state.filters.landTypes).toEqual(["Orchard"]);
+    expect(app.state.filters.minHives).toBe(3);
+    expect(app.state.filters.maxHives).toBeNull();
+  });
+
+  test("applying filters adds a history entry describing the search", () => {
+    const entries = window.history.length;
+    app.state.role = "beekeeper";
+    app.state.selectedPlotId = "7";
+    app.state.filters.landTypes = ["Orchard", "Park"];
+    app.state.filters.minHives = 3;
+
+    app.saveFilters({ push: true });
+
+    expect(window.history.length).toBe(entries + 1);
+    const params = new URLSearchParams(window.location.search);
+    expect(params.get("types")).toBe("Orchard,Park");
+    expect(params.get("minHives")).toBe("3");
+    expect(params.get("role")).toBe("beekeeper");
+    expect(params.get("z")).toBe("13");
+    expect(params.has("plot")).toBe(false); // A new search clears the selection
+
+    app.saveFilters({ push: true }); // Same search again
+    expect(window.history.length).toBe(entries + 1);
+  });
+
+  test("other filter saves replace the current history entry", () => {
+    const entries = window.history.length;
+    app.state.filters.radiusKm = 40;
+
+    app.saveFilters();
+
+    expect(window.history.length).toBe(entries);
+    expect(new URLSearchParams(window.location.search).get("z")).toBe("13");
+  });
+
+  test("going back to an entry without a search restores the defaults", async () => {
+    await app.loadCommunityPlots();
+    app.state.filters.landTypes = ["Park"];
+    app.state.selectedPlotId = "1";
+
+    app.restoreHistoryEntry();
+
+    expect(app.state.filters.landTypes).toEqual([]);
+    expect(app.state.selectedPlotId).toBeNull();
+    expect(app.state.results).toHaveLength(1);
+  });
+
+  test("going back to an entry with a plot reselects it", async () => {
+    await app.loadCommunityPlots();
+    window.history.replaceState(null, "", "/?lat=51&lng=-0.1&z=12&plot=1");
+
+    app.restoreHistoryEntry();
+
+    expect(app.state.selectedPlotId).toBe("1");
+    expect(mockMap.focusPlot).toHaveBeenCalledWith("1");
+  });
+
+  test("restoreFromUrl applies a shared link over the saved filters", () => {
+    localStorage.setItem(
+      "beekeeperFilters",
+      JSON.stringify({ landTypes: ["Park"], maxAcres: 2 }),
+    );
+    app.restoreFilters();
+    window.history.replaceState(
+      null,
+      "",
+      "/?lat=52.1&lng=-1.2&z=11&types=Orchard&near=52,-1&place=Rugby&km=40&plot=9",
+    );
+
+    const shared = app.restoreFromUrl();
+
+    expect(shared.role).toBeNull();
+    expect(app.state.filters).toMatchObject({
+      landTypes: ["Orchard"],
+      maxAcres: null,
+      origin: { lat: 52, lng: -1, label: "Rugby" },
+      radiusKm: 40,
+    });
+    expect(mockMap.setView).toHaveBeenCalledWith({
+      lat: 52.1,
+      lng: -1.2,
+      zoom: 11,
+    });
+    expect(app.state.selectedPlotId).toBe("9");
+  });
+
+  test("a shared plot the filters hide is dropped from the selection", () => {
+    app.state.results = [{ id: 1 }];
+    app.state.selectedPlotId = "1";
+    app.focusSelectedPlot();
+    expect(mockMap.focusPlot).toHaveBeenCalledWith("1");
+
+    app.state.selectedPlotId = "2";
+    app.focusSelectedPlot();
+    expect(mockMap.focusPlot).toHaveBeenCalledTimes(1);
+    expect(app.state.selectedPlotId).toBeNull();
+  });
+
+  test("plots saved locally are reported for matching saved searches", async () => {
+    await app.loadCommunityPlots(); // The seed plot is there before the search
+    app.saveSearch("Anything", false);
+    expect(app.state.newListings).toEqual([]);
+
+    const userPlots = [
+      {
+        id: "local-1",
+        type: "polygon",
+        coordinates: [
+          [51, -0.1],
+          [51, -0.2],
+          [51.1, -0.2],
+        ],
+      },
+    ];
+    localStorage.setItem("user_plots", JSON.stringify(userPlots));
+    await app.loadCommunityPlots();
+
+    expect(app.state.newListings).toHaveLength(1);
+    expect(app.state.newListings[0].plots.map((p) => p.id)).toEqual([
+      "local-1",
+    ]);
+
+    await app.loadCommunityPlots(); // Already reported this visit
+    expect(app.state.newListings[0].plots).toHaveLength(1);
+  });
+
+  test("saving a search explains why it failed", () => {
+    app.saveSearch("  ", false);
+    expect(app.el.feedback.innerText).toBe(
+      "Give the search a name to save it.",
+    );
+
+    const quota = new Error("QuotaExceededError");
+    jest.spyOn(app.savedSearches, "save").mockImplementation(() => {
+      throw quota;
+    });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    app.saveSearch("Orchards", false);
+
+    expect(app.el.feedback.innerText).toMatch(/error saving that search/);
+    expect(console.error).toHaveBeenCalledWith("Failed to save search:", quota);
+    app.savedSearches.save.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test("town suggestions show names as text", async () => {
+    document.body.insertAdjacentHTML(
+      "beforeend",
+      `<datalist id="uk-city-list"></datalist>`,
+    );
+    const name = '"><img src=x onerror="alert(1)">';
+    jest.spyOn(app.location, "getCities").mockResolvedValue([{ name }]);
+
+    await app.populateCityList();
+
+    const list = document.getElementById("uk-city-list");
+    expect(list.querySelector("img")).toBeNull();
+    expect(list.querySelector("option").value).toBe(name);
+    app.location.getCities.mockRestore();
+  });
+
+  test("readFilterInputs rejects an inverted range", () => {
+    document.body.insertAdjacentHTML(
+      "beforeend",
+      `<input id="min-hives-filter" value="10" /><input id="max-hives-filter" value="5" />`,
+    );
+    app.cacheElements();
+
+    expect(app.readFilterInputs()).toBe(false);
+    expect(app.state.filters.minHives).toBeNull();
+  });
+
+  test("importBoundaryFile previews the first polygon from the file", async () => {
+    const geojson = {
+      type: "Feature",
+      properties: { name: "Top Field" },
+      geometry: {
+        type: "Polygon",
+        coordinates: [
+          [
+            [-1.5, 52],
+            [-1.4, 52],
+            [-1.4, 52.1],
+            [-1.5, 52],
+          ],
+        ],
+      },
+    };
+    const file = {
+      name: "fields.geojson",
+      text: () => Promise.resolve(JSON.stringify(geojson)),
+    };
+
+    expect(await app.importBoundaryFile(file)).toBe(true);
+    expect(mockMap.loadBoundary).toHaveBeenCalledWith([
+      [52, -1.5],
+      [52, -1.4],
+      [52.1, -1.4],
+    ]);
+    expect(app.el.feedback.innerText).toContain("Top Field");
+  });
+
+  test("imported boundaries are checked against listed plots", async () => {
+    app.state.allPlots = [
+      new LandPlot({
+        id: "existing",
+        ownerName: "Top Field",
+        type: "polygon",
+        coordinates: [
+          [52, -1.5],
+          [52, -1.4],
+          [52.1, -1.4],
+        ],
+      }),
+    ];
+    const file = {
+      name: "fields.kml",
+      text: () =>
+        Promise.resolve(`<kml><Placemark><name>Copy</name><Polygon><outerBoundaryIs><LinearRing>
+          <coordinates>-1.5,52 -1.4,52 -1.4,52.1 -1.5,52</coordinates>
+        </LinearRing></outerBoundaryIs></Polygon></Placemark></kml>`),
+    };
+
+    await app.importBoundaryFile(file);
+
+    expect(mockMap.showOverlaps).toHaveBeenCalledWith(
+      expect.arrayContaining([expect.any(Array)]),
+    );
+    expect(app.el.feedback.innerText).toMatch(
+      /overlaps a listed plot.*Top Field: looks like a duplicate/,
+    );
   });
 });
@@ -0,0 +1,236 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import Enquiry, { ENQUIRY_STATUS } from "../models/Enquiry.js";
+import EnquiryRepository from "../services/EnquiryRepository.js";
+import PlotRepository from "../services/PlotRepository.js";
+import EnquiryInbox from "../ui/EnquiryInbox.js";
+import LandPlot from "../models/LandPlot.js";
+
+const details = {
+  name: "Sam Keeper",
+  email: "sam@example.com",
+  hives: 3,
+  startDate: "2026-05-01",
+  accessNeeds: "Vehicle access",
+};
+
+describe("Enquiry", () => {
+  test("validates the structured request", () => {
+    expect(new Enquiry({ ...details, id: "e1", plotId: 1 }).status).toBe(
+      ENQUIRY_STATUS.PENDING,
+    );
+    expect(
+      () => new Enquiry({ ...details, id: "e1", plotId: 1, hives: 0 }),
+    ).toThrow(/hives/);
+    expect(
+      () => new Enquiry({ ...details, id: "e1", plotId: 1, email: "sam" }),
+    ).toThrow(/email/);
+    expect(
+      () => new Enquiry({ ...details, id: "e1", plotId: 1, startDate: "soon" }),
+    ).toThrow(/start date/);
+  });
+
+  test("can only be answered once", () => {
+    const enquiry = new Enquiry({ ...details, id: "e1", plotId: 1 });
+    const accepted = enquiry.respond(ENQUIRY_STATUS.ACCEPTED);
+
+    expect(accepted.status).toBe(ENQUIRY_STATUS.ACCEPTED);
+    expect(accepted.respondedAt).toBeTruthy();
+    expect(() => accepted.respond(ENQUIRY_STATUS.DECLINED)).toThrow(
+      /already accepted/,
+    );
+  });
+
+  test("reserves, then occupies, the plot's hives", () => {
+    const plot = new LandPlot({ id: 1, lat: 51.5, lng: -0.1, hives: 4 });
+    const pending = new Enquiry({ ...details, id: "e1", plotId: 1 });
+    const other = new Enquiry({ ...details, id: "e2", plotId: 1 });
+
+    Enquiry.applyToPlot(plot, pending);
+    expect(plot.status).toBe("reserved");
+
+    Enquiry.applyToPlot(plot, pending.respond(ENQUIRY_STATUS.ACCEPTED));
+    expect(plot.status).toBe("occupied");
+    expect(plot.freeHives).toBe(1);
+
+    // Three more won't fit in the one hive left
+    expect(() =>
+      Enquiry.applyToPlot(plot, other.respond(ENQUIRY_STATUS.ACCEPTED)),
+    ).toThrow(/only 1 of 4 hives free/);
+  });
+
+  test("makes a reserved plot available once every enquiry is declined", () => {
+    const plot = new LandPlot({ id: 1, lat: 51.5, lng: -0.1, hives: 4 });
+    const first = new Enquiry({ ...details, id: "e1", plotId: 1 });
+    const second = new Enquiry({ ...details, id: "e2", plotId: 1 });
+    Enquiry.applyToPlot(plot, first);
+    Enquiry.applyToPlot(plot, second);
+
+    Enquiry.applyToPlot(plot, first.respond(ENQUIRY_STATUS.DECLINED), [second]);
+    expect(plot.status).toBe("reserved");
+
+    const declined = second.respond(ENQUIRY_STATUS.DECLINED);
+    Enquiry.applyToPlot(plot, declined, [
+      first.respond(ENQUIRY_STATUS.DECLINED),
+    ]);
+    expect(plot.status).toBe("available");
+  });
+
+  test("refuses enquiries for withdrawn plots", () => {
+    const plot = new LandPlot({
+      id: 1,
+      lat: 51.5,
+      lng: -0.1,
+      hives: 4,
+      status: "withdrawn",
+    });
+    expect(() =>
+      Enquiry.applyToPlot(
+        plot,
+        new Enquiry({ ...details, id: "e1", plotId: 1 }),
+      ),
+    ).toThrow(/isn't taking hives/);
+  });
+});
+
+describe("EnquiryRepository without the API", () => {
+  let plots;
+  let enquiries;
+
+  beforeEach(() => {
+    localStorage.clear();
+    global.fetch = jest.fn((url) =>
+      url === "api/health"
+        ? Promise.reject(new Error("offline"))
+        : Promise.resolve({
+            ok: true,
+            json: () =>
+              Promise.resolve([
+                { id: 1, lat: 51.5, lng: -0.1, hives: 4, status: "Available" },
+                { id: 2, lat: 51.6, lng: -0.1, hives: 4, status: "Available" },
+              ]),
+          }),
+    );
+    plots = new PlotRepository();
+    enquiries = new EnquiryRepository({ plots });
+  });
+
+  test("stores enquiries against the plot and moves it along", async () => {
+    const enquiry = await enquiries.submit(1, details);
+
+    expect(await enquiries.forPlots([1])).toEqual([enquiry]);
+    expect(await enquiries.forPlots([2])).toEqual([]);
+    expect((await plots.get(1)).status).toBe("reserved");
+
+    await enquiries.respond(enquiry, ENQUIRY_STATUS.ACCEPTED);
+    const occupied = await plots.get(1);
+    expect(occupied.status).toBe("occupied");
+    expect(occupied.freeHives).toBe(1);
+    expect((await plots.get(2)).status).toBe("available");
+  });
+
+  test("rejects incomplete enquiries without storing them", async () => {
+    await expect(
+      enquiries.submit(1, { ...details, email: "" }),
+    ).rejects.toThrow(/Invalid enquiry/);
+    expect(localStorage.getItem("plot_enquiries")).toBeNull();
+  });
+});
+
+describe("EnquiryInbox", () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <span id="enquiry-count"></span>
+      <ul id="enquiry-inbox"></ul>
+    `;
+  });
+
+  test("offers accept and decline only for pending enquiries", () => {
+    const onRespond = jest.fn();
+    const inbox = new EnquiryInbox({ onRespond });
+    inbox.init();
+
+    const pending = new Enquiry({ ...details, id: "e1", plotId: 1 });
+    const declined = new Enquiry({
+      ...details,
+      id: "e2",
+      plotId: 1,
+      name: "<b>Jo</b>",
+      status: ENQUIRY_STATUS.DECLINED,
+    });
+    inbox.render([pending, declined]);
+
+    expect(document.getElementById("enquiry-count").innerText).toBe("1 new");
+    expect(
+      document.querySelectorAll('[data-enquiry-row="e2"] button'),
+    ).toHaveLength(0);
+    expect(document.getElementById("enquiry-inbox").innerHTML).toContain(
+      "&lt;b&gt;Jo&lt;/b&gt;",
+    );
+
+    document.querySelector('[data-enquiry-action="accepted"]').click();
+    expect(onRespond).toHaveBeenCalledWith("e1", "accepted");
+  });
+});
+
+describe("EnquiryRepository with the API", () => {
+  const jsonResponse = (body) =>
+    Promise.resolve({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve(body),
+    });
+
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem(
+      "plot_owner_tokens",
+      JSON.stringify({ p1: "secret-1", p2: "secret-2" }),
+    );
+  });
+
+  test("sends the plot's owner token when answering an enquiry", async () => {
+    global.fetch = jest.fn((url) =>
+      url === "api/health"
+        ? jsonResponse({ service: "beelandr" })
+        : jsonResponse({
+            ...details,
+            id: "e1",
+            plotId: "p2",
+            status: "accepted",
+          }),
+    );
+    const enquiries = new EnquiryRepository({ plots: new PlotRepository() });
+    const enquiry = new Enquiry({ ...details, id: "e1", plotId: "p2" });
+
+    await enquiries.respond(enquiry, ENQUIRY_STATUS.ACCEPTED);
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      "api/enquiries/e1",
+      expect.objectContaining({
+        method: "PATCH",
+        headers: expect.objectContaining({ "X-Owner-Token": "secret-2" }),
+      }),
+    );
+  });
+
+  test("lists enquiries only for plots it holds a token for", async () => {
+    global.fetch = jest.fn((url) =>
+      jsonResponse(url === "api/health" ? { service: "beelandr" } : []),
+    );
+    const enquiries = new EnquiryRepository({ plots: new PlotRepository() });
+
+    expect(await enquiries.forPlots(["seed-1"])).toEqual([]);
+    expect(global.fetch).toHaveBeenCalledTimes(1); // Just the health check
+
+    await enquiries.forPlots(["p1", "seed-1", "p2"]);
+    expect(global.fetch).toHaveBeenLastCalledWith(
+      "api/enquiries?plotId=p1&plotId=p2",
+      expect.objectContaining({
+        headers: { "X-Owner-Token": "secret-1,secret-2" },
+      }),
+    );
+  });
+});
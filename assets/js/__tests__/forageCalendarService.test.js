@@ -0,0 +1,78 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest, describe, test, expect } from "@jest/globals";
+import ForageCalendarService from "../services/ForageCalendarService.js";
+
+const MONTHS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+const orchard = {
+  values: [5, 10, 35, 95, 70, 30, 25, 20, 20, 15, 5, 5],
+  plants: { Apr: ["Apple blossom"] },
+};
+
+describe("ForageCalendarService", () => {
+  test("marks flows and dearths, joining dearths across the new year", () => {
+    const calendar = ForageCalendarService.buildCalendar(
+      MONTHS,
+      orchard,
+      null,
+      0,
+    );
+
+    expect(calendar.months[3]).toMatchObject({
+      name: "Apr",
+      level: "flow",
+      plants: ["Apple blossom"],
+    });
+    expect(calendar.flows).toEqual([{ from: "Apr", to: "May" }]);
+    expect(calendar.dearths).toEqual([{ from: "Oct", to: "Feb" }]);
+  });
+
+  test("blends measured pollen into the current month only", () => {
+    const calendar = ForageCalendarService.buildCalendar(
+      MONTHS,
+      orchard,
+      { forageIndex: 100 },
+      5, // June
+    );
+
+    expect(calendar.months[5]).toMatchObject({ value: 51, measured: true });
+    expect(calendar.months[6].measured).toBe(false);
+  });
+
+  test("getCalendar falls back to the default profile for unknown land types", async () => {
+    global.fetch = jest.fn(() =>
+      Promise.resolve({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            months: MONTHS,
+            landTypes: { Orchard: orchard },
+            default: { values: Array(12).fill(40), plants: {} },
+          }),
+      }),
+    );
+    const service = new ForageCalendarService();
+
+    const calendar = await service.getCalendar("Moon Base");
+    await service.getCalendar("Orchard");
+
+    expect(calendar.months.every((m) => m.level === "moderate")).toBe(true);
+    expect(calendar.flows).toEqual([]);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
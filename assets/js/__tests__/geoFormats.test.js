@@ -0,0 +1,175 @@
+/**
+ * @jest-environment jsdom
+ */
+import { describe, test, expect } from "@jest/globals";
+import {
+  parseBoundaryFile,
+  toGeoJSON,
+  toKML,
+  toCSV,
+} from "../utils/geoFormats.js";
+import LandPlot from "../models/LandPlot.js";
+
+const square = [
+  [51.5, -0.2],
+  [51.5, -0.1],
+  [51.6, -0.1],
+  [51.6, -0.2],
+];
+
+describe("parseBoundaryFile", () => {
+  test("reads GeoJSON polygons and multipolygons as [lat, lng]", () => {
+    const ring = [...square, square[0]].map(([lat, lng]) => [lng, lat]);
+    const text = JSON.stringify({
+      type: "FeatureCollection",
+      features: [
+        {
+          type: "Feature",
+          properties: { name: "Orchard" },
+          geometry: { type: "Polygon", coordinates: [ring] },
+        },
+        {
+          type: "Feature",
+          properties: {},
+          geometry: { type: "MultiPolygon", coordinates: [[ring], [ring]] },
+        },
+        {
+          type: "Feature",
+          properties: { name: "Gate" },
+          geometry: { type: "Point", coordinates: [-0.15, 51.55] },
+        },
+      ],
+    });
+
+    const boundaries = parseBoundaryFile(text, "farm.geojson");
+
+    expect(boundaries.map((b) => b.name)).toEqual([
+      "Orchard",
+      "Boundary 2",
+      "Boundary 3",
+    ]);
+    expect(boundaries[0].coordinates).toEqual(square);
+  });
+
+  test("reads KML placemarks", () => {
+    const coordinates = [...square, square[0]]
+      .map(([lat, lng]) => `${lng},${lat},0`)
+      .join(" ");
+    const text = `<?xml version="1.0"?>
+      <kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+        <name>Farm</name>
+        <Placemark><name>North Meadow</name>
+          <Polygon><outerBoundaryIs><LinearRing>
+            <coordinates>${coordinates}</coordinates>
+          </LinearRing></outerBoundaryIs></Polygon>
+        </Placemark>
+      </Document></kml>`;
+
+    const [boundary] = parseBoundaryFile(text, "farm.kml");
+
+    expect(boundary.name).toBe("North Meadow");
+    expect(boundary.coordinates).toEqual(square);
+  });
+
+  test("reads GPX tracks walked around a field", () => {
+    const points = square
+      .map(([lat, lng]) => `<trkpt lat="${lat}" lon="${lng}"></trkpt>`)
+      .join("");
+    const text = `<gpx version="1.1"><trk><name>Walk</name><trkseg>${points}</trkseg></trk></gpx>`;
+
+    const [boundary] = parseBoundaryFile(text, "walk.GPX");
+
+    expect(boundary.name).toBe("Walk");
+    expect(boundary.coordinates).toEqual(square);
+  });
+
+  test("rejects unsupported or broken files", () => {
+    expect(() => parseBoundaryFile("a,b", "plots.csv")).toThrow(
+      "Unsupported file type",
+    );
+    expect(() => parseBoundaryFile("<kml>", "broken.kml")).toThrow(
+      "not valid KML",
+    );
+  });
+});
+
+describe("exporting plots", () => {
+  // Same square stored two ways: [lat, lng] arrays and Leaflet-style objects
+  const plots = [
+    new LandPlot({
+      id: 1,
+      ownerName: 'Smith, "Top" Field',
+      landType: "Orchard",
+      hives: 4,
+      coordinates: square,
+    }),
+    new LandPlot({
+      id: 2,
+      landType: "Garden",
+      coordinates: [square.map(([lat, lng]) => ({ lat, lng }))],
+    }),
+    new LandPlot({ id: 3, lat: 51.55, lng: -0.15, hives: 2 }),
+  ];
+
+  test("writes GeoJSON as closed [lng, lat] rings whatever the stored format", () => {
+    const { features } = toGeoJSON(plots);
+    const expectedRing = [...square, square[0]].map(([lat, lng]) => [lng, lat]);
+
+    expect(features[0].geometry.coordinates).toEqual([expectedRing]);
+    expect(features[1].geometry.coordinates).toEqual([expectedRing]);
+    expect(features[2].geometry).toEqual({
+      type: "Point",
+      coordinates: [-0.15, 51.55],
+    });
+    expect(features[0].properties).toMatchObject({
+      landType: "Orchard",
+      hives: 4,
+    });
+  });
+
+  test("writes no-hive zones as polygon holes", () => {
+    const zone = [
+      [51.52, -0.15],
+      [51.54, -0.15],
+      [51.54, -0.13],
+    ];
+    const plot = new LandPlot({ id: 4, coordinates: square, holes: [zone] });
+
+    const [feature] = toGeoJSON([plot]).features;
+    const kml = toKML([plot]);
+
+    expect(feature.geometry.coordinates).toHaveLength(2);
+    expect(feature.geometry.coordinates[1][0]).toEqual([-0.15, 51.52]);
+    expect(kml).toContain("<innerBoundaryIs>");
+    expect(parseBoundaryFile(kml, "plot.kml")[0].coordinates).toEqual(square);
+  });
+
+  test("writes plots spanning several fields as MultiPolygons", () => {
+    const far = square.map(([lat, lng]) => [lat + 1, lng]);
+    const plot = new LandPlot({ id: 5, fields: [square, far] });
+
+    const [feature] = toGeoJSON([plot]).features;
+    const boundaries = parseBoundaryFile(toKML([plot]), "plot.kml");
+
+    expect(feature.geometry.type).toBe("MultiPolygon");
+    expect(feature.geometry.coordinates).toHaveLength(2);
+    expect(boundaries.map((b) => b.coordinates)).toEqual([square, far]);
+  });
+
+  test("round-trips through KML", () => {
+    const [boundary] = parseBoundaryFile(toKML(plots), "plots.kml");
+
+    expect(boundary.name).toBe('Smith, "Top" Field');
+    expect(boundary.coordinates).toEqual(square);
+  });
+
+  test("writes CSV rows at each plot's centroid, quoting where needed", () => {
+    const [header, first, , marker] = toCSV(plots).split("\r\n");
+
+    expect(header).toBe(
+      "id,name,landType,latitude,longitude,areaM2,acres,hives,status,suitability,locationName,email,phone",
+    );
+    expect(first).toMatch(/^1,"Smith, ""Top"" Field",Orchard,51.55,-0.15/);
+    expect(marker).toMatch(/^3,,Unspecified,51.55,-0.15,0,0,2,/);
+  });
+});
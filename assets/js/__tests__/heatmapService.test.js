@@ -0,0 +1,83 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import HeatmapService from "../services/HeatmapService.js";
+
+describe("HeatmapService", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test("snaps the view to a fixed grid clipped to the UK", () => {
+    const cells = HeatmapService.cellsInBounds({
+      south: 51.32,
+      west: -0.38,
+      north: 51.68,
+      east: 0.12,
+    });
+
+    // 0.1° cells: rows 513-516, columns -4 to 1
+    expect(cells).toHaveLength(24);
+    expect(cells[0].key).toBe("0.1:513:-4");
+    expect(
+      HeatmapService.cellsInBounds({
+        south: 40,
+        west: 10,
+        north: 41,
+        east: 11,
+      }),
+    ).toEqual([]);
+  });
+
+  test("switches to a coarser grid when zoomed out", () => {
+    const cells = HeatmapService.cellsInBounds({
+      south: 49,
+      west: -10,
+      north: 62,
+      east: 3,
+    });
+
+    expect(cells.length).toBeLessThanOrEqual(64);
+    expect(cells.every((cell) => cell.key.startsWith("2:"))).toBe(true);
+  });
+
+  test("fetches each cell once and caches the summary", async () => {
+    const weatherService = {
+      getCurrentConditions: jest.fn(() =>
+        Promise.resolve({ beeScore: 70, forageIndex: 50 }),
+      ),
+    };
+    const heatmap = new HeatmapService({ weatherService });
+    const [cell] = HeatmapService.cellsInBounds({
+      south: 51.51,
+      west: -0.19,
+      north: 51.59,
+      east: -0.11,
+    });
+
+    const first = await heatmap.getCellScore(cell);
+    const second = await heatmap.getCellScore(cell);
+
+    expect(first).toEqual({ beeScore: 70, forageIndex: 50, value: 60 });
+    expect(second).toEqual(first);
+    expect(weatherService.getCurrentConditions).toHaveBeenCalledTimes(1);
+  });
+
+  test("leaves cells without real data unpainted", async () => {
+    const weatherService = {
+      getCurrentConditions: () =>
+        Promise.resolve({ beeScore: 50, isFallback: true }),
+    };
+    const heatmap = new HeatmapService({ weatherService });
+    const [cell] = HeatmapService.cellsInBounds({
+      south: 51.51,
+      west: -0.19,
+      north: 51.59,
+      east: -0.11,
+    });
+
+    expect(await heatmap.getCellScore(cell)).toBeNull();
+    expect(heatmap.cache.size).toBe(0);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * @jest-environment jsdom
+ */
+import { describe, test, expect } from "@jest/globals";
+import HiveCapacityCalculator from "../services/HiveCapacityCalculator.js";
+import LandPlot, { AREA_UNITS } from "../models/LandPlot.js";
+
+const LAT = 51.5;
+const LNG = -0.1;
+const METRES_PER_DEGREE = 111320;
+
+// Offsets a point near LAT/LNG by metres north and east
+const at = (north, east) => [
+  LAT + north / METRES_PER_DEGREE,
+  LNG + east / (METRES_PER_DEGREE * Math.cos((LAT * Math.PI) / 180)),
+];
+
+// Square `size` metres across, south-west corner at LAT/LNG
+const square = (size) => [at(0, 0), at(size, 0), at(size, size), at(0, size)];
+
+const expectWithin = (actual, expected, share) =>
+  expect(Math.abs(actual - expected) / expected).toBeLessThan(share);
+
+describe("HiveCapacityCalculator", () => {
+  const calculator = new HiveCapacityCalculator();
+
+  test("keeps hives back from the plot edge", () => {
+    const result = calculator.calculate({
+      coordinates: square(200),
+      landType: "Garden",
+    });
+
+    expectWithin(result.totalArea, 40000, 0.01);
+    expectWithin(result.usableArea, 190 * 190, 0.02);
+    expect(result.limitedBy).toBe("placement");
+    expect(result.hives).toBe(
+      Math.floor((result.usableArea / AREA_UNITS.acres) * 2), // Garden: 2 per acre
+    );
+  });
+
+  test("keeps hives clear of marked houses and footpaths", () => {
+    const house = calculator.calculate({
+      coordinates: square(200),
+      landType: "Garden",
+      bufferFeatures: [{ kind: "house", coordinates: [at(100, 100)] }],
+    });
+    const footpath = calculator.calculate({
+      coordinates: square(200),
+      landType: "Garden",
+      bufferFeatures: [
+        { kind: "footpath", coordinates: [at(100, 0), at(100, 200)] },
+      ],
+    });
+
+    expectWithin(house.usableArea, 190 * 190 - Math.PI * 30 * 30, 0.03);
+    expect(house.hives).toBe(16);
+    expectWithin(footpath.usableArea, 190 * 190 - 20 * 190, 0.03);
+  });
+
+  test("leaves no-hive zones out of both placement and forage", () => {
+    const zone = [at(50, 50), at(150, 50), at(150, 150), at(50, 150)];
+    const result = calculator.calculate({
+      coordinates: square(200),
+      holes: [zone],
+      landType: "Garden",
+    });
+
+    expectWithin(result.openArea, 40000 - 100 * 100, 0.01);
+    // The edge buffer applies around the zone as well as the boundary
+    expectWithin(result.usableArea, 190 * 190 - 110 * 110, 0.05); // Sampled, so approximate
+    expect(result.hives).toBe(
+      Math.floor((result.usableArea / AREA_UNITS.acres) * 2),
+    );
+  });
+
+  test("limits hives to what the land type's forage supports", () => {
+    const meadow = calculator.calculate({
+      coordinates: square(200),
+      landType: "Wildflower Meadow",
+    });
+    const vineyard = calculator.calculate({
+      coordinates: square(200),
+      landType: "Vineyard",
+    });
+
+    expect(meadow).toMatchObject({ hives: 29, limitedBy: "forage" });
+    expect(vineyard).toMatchObject({ hives: 9, limitedBy: "forage" });
+  });
+
+  test("uses the stated area for marker plots and caps large apiaries", () => {
+    const small = calculator.calculate({
+      area: 2 * AREA_UNITS.acres,
+      landType: "Orchard",
+    });
+    const large = calculator.calculate({
+      area: 50 * AREA_UNITS.acres,
+      landType: "Orchard",
+    });
+
+    expect(small).toMatchObject({ hives: 5, limitedBy: "forage" });
+    expect(large).toMatchObject({ hives: 40, limitedBy: "apiary" });
+  });
+
+  test("falls back to the general rule and accepts custom rules and buffers", () => {
+    const custom = new HiveCapacityCalculator({
+      rules: { Orchard: { hivesPerAcre: 1, forageHivesPerAcre: 1 } },
+      buffers: { edge: 0 },
+    });
+
+    expect(
+      calculator.calculate({ area: 4 * AREA_UNITS.acres, landType: "Moor" })
+        .hives,
+    ).toBe(8);
+    expect(
+      custom.calculate({ area: 10 * AREA_UNITS.acres, landType: "Orchard" })
+        .hives,
+    ).toBe(10);
+    expect(custom.buffers.house).toBe(30);
+  });
+
+  test("LandPlot keeps no-hive zones as holes and hive stands as points", () => {
+    const zone = [at(50, 50), at(150, 50), at(150, 150), at(50, 150)];
+    const plot = new LandPlot({
+      id: 1,
+      coordinates: square(200),
+      holes: [[...zone, zone[0]]],
+      hiveStands: [{ lat: LAT, lng: LNG }],
+    });
+
+    expect(plot.holes).toEqual([zone]);
+    expect(plot.polygons).toEqual([[square(200), zone]]);
+    expect(plot.toJSON().hiveStands).toEqual([[LAT, LNG]]);
+    expect(
+      () => new LandPlot({ id: 2, lat: LAT, lng: LNG, holes: [zone] }),
+    ).toThrow("bad exclusion zone");
+    expect(
+      () =>
+        new LandPlot({
+          id: 3,
+          coordinates: square(200),
+          hiveStands: [[LAT, "east"]],
+        }),
+    ).toThrow("bad hive stand");
+  });
+
+  test("LandPlot keeps marked features and rejects unknown ones", () => {
+    const plot = new LandPlot({
+      id: 1,
+      coordinates: square(200),
+      bufferFeatures: [
+        { kind: "house", coordinates: [{ lat: LAT, lng: LNG }] },
+      ],
+    });
+
+    expect(plot.toJSON().bufferFeatures).toEqual([
+      { kind: "house", coordinates: [[LAT, LNG]] },
+    ]);
+    expect(
+      () =>
+        new LandPlot({
+          id: 2,
+          coordinates: square(200),
+          bufferFeatures: [{ kind: "pond", coordinates: [[LAT, LNG]] }],
+        }),
+    ).toThrow("bad house or footpath");
+  });
+});
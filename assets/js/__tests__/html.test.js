@@ -0,0 +1,19 @@
+/**
+ * @jest-environment jsdom
+ */
+import { describe, test, expect } from "@jest/globals";
+import { escapeHTML } from "../utils/html.js";
+
+describe("escapeHTML", () => {
+  test("escapes markup and both quote styles", () => {
+    expect(escapeHTML(`<img src=x onerror="alert('hi')">&`)).toBe(
+      "&lt;img src=x onerror=&quot;alert(&#39;hi&#39;)&quot;&gt;&amp;",
+    );
+  });
+
+  test("turns missing values into empty text", () => {
+    expect(escapeHTML(null)).toBe("");
+    expect(escapeHTML(undefined)).toBe("");
+    expect(escapeHTML(42)).toBe("42");
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * @jest-environment jsdom
+ */
+import { describe, test, expect } from "@jest/globals";
+import LandPlot from "../models/LandPlot.js";
+
+describe("LandPlot", () => {
+  test("normalizes a seed plot with acres and a numeric hive count", () => {
+    const plot = new LandPlot({
+      id: 7,
+      landSize: "2.5 acres",
+      hives: 6,
+      lat: 52.6,
+      lng: -1.1,
+    });
+
+    expect(plot.type).toBe("marker");
+    expect(plot.area).toBe(Math.round(2.5 * 4046.8564224));
+    expect(plot.acres).toBeCloseTo(2.5, 2);
+    expect(plot.hives).toBe(6);
+    expect(plot.center).toEqual([52.6, -1.1]);
+  });
+
+  test("normalizes a local plot with text area, text hives and LatLng objects", () => {
+    const plot = new LandPlot({
+      id: "local-1",
+      type: "polygon",
+      area: "1,200 m²",
+      hives: "12 Hives",
+      coordinates: [
+        [
+          { lat: 51, lng: -0.1 },
+          { lat: 51, lng: -0.2 },
+          { lat: 51.1, lng: -0.2 },
+        ],
+      ],
+    });
+
+    expect(plot.area).toBe(1200);
+    expect(plot.hives).toBe(12);
+    expect(plot.coordinates).toEqual([
+      [51, -0.1],
+      [51, -0.2],
+      [51.1, -0.2],
+    ]);
+  });
+
+  test("computes area from the polygon when none is given", () => {
+    // Roughly 111m x 70m at this latitude
+    const plot = new LandPlot({
+      id: 1,
+      coordinates: [
+        [51, -0.1],
+        [51.001, -0.1],
+        [51.001, -0.099],
+        [51, -0.099],
+        [51, -0.1],
+      ],
+    });
+
+    expect(plot.type).toBe("polygon");
+    expect(plot.area).toBeGreaterThan(7500);
+    expect(plot.area).toBeLessThan(8000);
+  });
+
+  test("holds several fields with a combined area", () => {
+    const field = (lat) => [
+      [lat, -0.1],
+      [lat + 0.001, -0.1],
+      [lat + 0.001, -0.099],
+      [lat, -0.099],
+    ];
+    const single = new LandPlot({ id: 1, coordinates: field(51) });
+    const plot = new LandPlot({
+      id: 2,
+      fields: [field(51), field(51.01)],
+      holes: [field(51.01).map(([lat, lng]) => [lat + 0.0002, lng + 0.0002])],
+    });
+    const copy = new LandPlot(JSON.parse(JSON.stringify(plot)));
+
+    expect(plot.coordinates).toEqual(field(51));
+    expect(plot.area).toBeCloseTo(single.area * 2, -1);
+    expect(plot.center[0]).toBeCloseTo(51.0055, 3);
+    // The zone sits in the second field, so is cut out of that one only
+    expect(plot.polygons.map((polygon) => polygon.length)).toEqual([1, 2]);
+    expect(plot.boundsPoints).toHaveLength(8);
+    expect(copy.fields).toEqual(plot.fields);
+    expect(single.toJSON().fields).toBeUndefined();
+    expect(
+      () => new LandPlot({ id: 3, fields: [field(51), [[51, 0]]] }),
+    ).toThrow("3+ points");
+  });
+
+  test("parses hectares and plain numbers", () => {
+    expect(LandPlot.parseArea("2 ha")).toBe(20000);
+    expect(LandPlot.parseArea("1 hectare")).toBe(10000);
+    expect(LandPlot.parseArea(500)).toBe(500);
+    expect(LandPlot.parseArea("n/a")).toBeNull();
+  });
+
+  test("rejects invalid plots", () => {
+    expect(() => new LandPlot({ lat: 51, lng: 0 })).toThrow("missing id");
+    expect(() => new LandPlot({ id: 1, type: "polygon" })).toThrow("3+ points");
+    expect(() => new LandPlot({ id: 1 })).toThrow("missing lat/lng");
+    expect(() => new LandPlot({ id: 1, lat: 51, lng: 0, hives: -2 })).toThrow(
+      "bad hive count",
+    );
+  });
+
+  test("round-trips through toJSON", () => {
+    const plot = new LandPlot({ id: 3, lat: 51, lng: 0, hives: "4 Hives" });
+    const copy = new LandPlot(JSON.parse(JSON.stringify(plot)));
+
+    expect(copy).toEqual(plot);
+  });
+
+  test("reads older free-text statuses into the lifecycle", () => {
+    const plot = (status) => new LandPlot({ id: 1, lat: 51, lng: 0, status });
+
+    expect(plot("Available").status).toBe("available");
+    expect(plot("Pending").status).toBe("reserved");
+    expect(plot(undefined).status).toBe("available");
+    expect(() => plot("sold")).toThrow("unknown status");
+  });
+
+  test("only moves between statuses the lifecycle allows", () => {
+    const plot = new LandPlot({ id: 1, lat: 51, lng: 0, status: "draft" });
+
+    expect(() => plot.setStatus("occupied")).toThrow(
+      "can't go from draft to occupied",
+    );
+    plot.setStatus("available");
+    plot.setStatus("withdrawn");
+    expect(plot.statusLabel).toBe("Withdrawn");
+    expect(plot.isListed()).toBe(false);
+  });
+
+  test("tracks free hives and hides full or expired plots", () => {
+    const plot = new LandPlot({
+      id: 1,
+      lat: 51,
+      lng: 0,
+      hives: 10,
+      occupiedHives: 7,
+      availableUntil: "2026-09-30",
+    });
+
+    expect(plot.freeHives).toBe(3);
+    expect(plot.formatCapacity()).toBe("3 of 10 hives free");
+    expect(plot.isListed("2026-06-01")).toBe(true);
+    expect(plot.isListed("2026-10-01")).toBe(false);
+
+    plot.occupy(3);
+    expect(plot.status).toBe("occupied");
+    expect(plot.isFull).toBe(true);
+    expect(plot.isListed("2026-06-01")).toBe(false);
+  });
+
+  test("rejects availability that ends before it starts", () => {
+    expect(
+      () =>
+        new LandPlot({
+          id: 1,
+          lat: 51,
+          lng: 0,
+          availableFrom: "2026-06-01",
+          availableUntil: "2026-05-01",
+        }),
+    ).toThrow("ends before it starts");
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest, describe, test, expect, beforeAll } from "@jest/globals";
+import LandPlot from "../models/LandPlot.js";
+
+let MapManager;
+
+beforeAll(async () => {
+  // Just enough Leaflet for the constructor; nothing is drawn here
+  global.L = { FeatureGroup: jest.fn() };
+  ({ default: MapManager } = await import("../services/MapManager.js"));
+});
+
+const square = [
+  [51.5, -0.1],
+  [51.501, -0.1],
+  [51.501, -0.099],
+];
+
+describe("MapManager popups", () => {
+  test("show other users' text as text and link by encoded id", () => {
+    const plot = new LandPlot({
+      id: "x'); alert(1); ('",
+      type: "polygon",
+      coordinates: square,
+      ownerName: '<img src=x onerror="alert(1)">',
+      email: "<script>@example.com",
+      isUserCreated: true,
+    });
+    const popup = document.createElement("div");
+
+    popup.innerHTML = new MapManager().buildPopupContent(plot);
+
+    expect(popup.querySelector("img, script, [onclick]")).toBeNull();
+    expect(popup.querySelector("h6").textContent).toBe(plot.ownerName);
+    expect(popup.querySelector("a").getAttribute("href")).toBe(
+      `details.html?id=${encodeURIComponent(plot.id)}`,
+    );
+    expect(popup.querySelector("[data-edit-plot-id]").dataset.editPlotId).toBe(
+      plot.id,
+    );
+  });
+
+  test("EDIT clicks inside popups reach the callback", () => {
+    const manager = new MapManager();
+    const container = document.createElement("div");
+    container.innerHTML = `<div class="popup"><button data-edit-plot-id="local-1">EDIT</button></div>`;
+    // Leaflet stops clicks leaving popups; the listener must still see them
+    container
+      .querySelector(".popup")
+      .addEventListener("click", (e) => e.stopPropagation());
+    manager.map = { getContainer: () => container };
+    const onEdit = jest.fn();
+
+    manager.onEditPlot(onEdit);
+    container.querySelector("button").click();
+
+    expect(onEdit).toHaveBeenCalledWith("local-1");
+  });
+});
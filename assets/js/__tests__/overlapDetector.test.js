@@ -0,0 +1,110 @@
+/**
+ * @jest-environment jsdom
+ */
+import { describe, test, expect } from "@jest/globals";
+import OverlapDetector from "../services/OverlapDetector.js";
+import LandPlot from "../models/LandPlot.js";
+import { geodesicArea, intersectRings } from "../utils/geometry.js";
+
+// Axis-aligned square, [lat, lng] corners, `size` degrees across
+const square = (lat, lng, size = 0.01) => [
+  [lat, lng],
+  [lat + size, lng],
+  [lat + size, lng + size],
+  [lat, lng + size],
+];
+
+const polygon = (id, coordinates, extra = {}) =>
+  new LandPlot({ id, type: "polygon", coordinates, ...extra });
+
+describe("intersectRings", () => {
+  test("measures the overlap of two squares", () => {
+    const a = square(51.5, -0.1);
+    const b = square(51.5, -0.095); // Shifted half a square east
+
+    const { area, pieces } = intersectRings(a, b);
+
+    expect(area / geodesicArea(a)).toBeCloseTo(0.5, 2);
+    expect(pieces.length).toBeGreaterThan(0);
+  });
+
+  test("handles concave rings exactly", () => {
+    // L-shape with its notch in the north-east quarter
+    const lShape = [
+      [51.5, -0.1],
+      [51.52, -0.1],
+      [51.52, -0.09],
+      [51.51, -0.09],
+      [51.51, -0.08],
+      [51.5, -0.08],
+    ];
+
+    // A square filling the notch touches the L but doesn't overlap it
+    expect(intersectRings(lShape, square(51.51, -0.09)).area).toBeCloseTo(0, 3);
+    expect(
+      intersectRings(lShape, lShape).area / geodesicArea(lShape),
+    ).toBeCloseTo(1, 2);
+  });
+
+  test("returns nothing for distant rings", () => {
+    expect(intersectRings(square(51.5, -0.1), square(53, -1))).toEqual({
+      area: 0,
+      pieces: [],
+    });
+  });
+});
+
+describe("OverlapDetector", () => {
+  const detector = new OverlapDetector();
+
+  test("flags near-duplicates and heavy overlaps, largest first", () => {
+    const plots = [
+      polygon("half", square(51.5, -0.095), { ownerName: "East Field" }),
+      polygon("same", square(51.5001, -0.1), { ownerName: "Old Meadow" }),
+      polygon("edge", square(51.5, -0.0901)), // Under 1% overlap
+      polygon("far", square(53, -1)),
+    ];
+
+    const overlaps = detector.findOverlaps(square(51.5, -0.1), plots);
+
+    expect(overlaps.map((o) => o.plot.id)).toEqual(["same", "half"]);
+    expect(overlaps[0].isDuplicate).toBe(true);
+    expect(overlaps[1].isDuplicate).toBe(false);
+    expect(OverlapDetector.describe(overlaps[1])).toMatch(
+      /^East Field: [\d,]+ m² \(50% of the smaller plot\)$/,
+    );
+  });
+
+  test("compares every field of multi-field plots", () => {
+    const plots = [
+      new LandPlot({
+        id: "split",
+        fields: [square(53, -1), square(51.5, -0.1)],
+      }),
+    ];
+
+    const [overlap] = detector.findOverlaps(
+      [square(52, -2), square(51.5, -0.1)],
+      plots,
+    );
+
+    expect(overlap.plot.id).toBe("split");
+    expect(overlap.share).toBeCloseTo(0.5, 1); // Fields further north are a little smaller
+    expect(overlap.isDuplicate).toBe(false);
+  });
+
+  test("ignores the plot being edited and reports markers inside", () => {
+    const plots = [
+      polygon("editing", square(51.5, -0.1)),
+      new LandPlot({ id: "pin", lat: 51.505, lng: -0.095 }),
+    ];
+
+    const overlaps = detector.findOverlaps(square(51.5, -0.1), plots, {
+      ignoreId: "editing",
+    });
+
+    expect(overlaps).toHaveLength(1);
+    expect(overlaps[0]).toMatchObject({ area: 0, share: null });
+    expect(OverlapDetector.describe(overlaps[0])).toMatch(/marker is inside/);
+  });
+});
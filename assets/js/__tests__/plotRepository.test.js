@@ -0,0 +1,117 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import PlotRepository from "../services/PlotRepository.js";
+import LandPlot from "../models/LandPlot.js";
+
+const triangle = [
+  [51, -0.1],
+  [51, -0.2],
+  [51.1, -0.2],
+];
+
+const jsonResponse = (body, status = 200) =>
+  Promise.resolve({
+    ok: status < 400,
+    status,
+    json: () => Promise.resolve(body),
+  });
+
+describe("PlotRepository", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test("falls back to the seed file and localStorage without the API", async () => {
+    global.fetch = jest.fn((url) =>
+      url === "api/health"
+        ? Promise.reject(new Error("offline"))
+        : jsonResponse([{ id: 1, type: "polygon", coordinates: triangle }]),
+    );
+    const repository = new PlotRepository();
+    const plot = new LandPlot({
+      id: "local-1",
+      type: "polygon",
+      coordinates: triangle,
+      isUserCreated: true,
+    });
+
+    await repository.save(plot);
+    const plots = await repository.list();
+
+    expect(await repository.getMode()).toBe("static");
+    expect(plots.map((p) => p.id)).toEqual([1, "local-1"]);
+    expect(await repository.isOwned(plots[1])).toBe(true);
+    expect(JSON.parse(localStorage.getItem("user_plots"))).toHaveLength(1);
+  });
+
+  test("treats a server without the health route as static hosting", async () => {
+    global.fetch = jest.fn(() => jsonResponse([]));
+    expect(await new PlotRepository().getMode()).toBe("static");
+  });
+
+  test("reads and writes through the API when it is running", async () => {
+    global.fetch = jest.fn((url, options = {}) => {
+      if (url === "api/health") return jsonResponse({ service: "beelandr" });
+      if (url === "api/plots" && options.method === "POST") {
+        const body = JSON.parse(options.body);
+        return jsonResponse({ ...body, id: "p2", ownerToken: "secret" }, 201);
+      }
+      if (url === "api/plots") {
+        return jsonResponse([
+          { id: "p1", type: "polygon", coordinates: triangle },
+        ]);
+      }
+      if (options.method === "PUT")
+        return jsonResponse(JSON.parse(options.body));
+      if (options.method === "DELETE") return jsonResponse(null, 204);
+      return jsonResponse({ error: "Plot missing not found" }, 404);
+    });
+    const repository = new PlotRepository();
+    const draft = new LandPlot({
+      id: "local-1",
+      type: "polygon",
+      coordinates: triangle,
+    });
+
+    expect((await repository.list())[0].id).toBe("p1");
+    expect(await repository.get("missing")).toBeNull();
+
+    // New plots are POSTed and take the server's id
+    const plot = await repository.save(draft);
+    expect(plot.id).toBe("p2");
+
+    await repository.save(plot);
+    expect(global.fetch).toHaveBeenCalledWith(
+      "api/plots/p2",
+      expect.objectContaining({
+        method: "PUT",
+        headers: expect.objectContaining({ "X-Owner-Token": "secret" }),
+      }),
+    );
+    expect(localStorage.getItem("user_plots")).toBeNull();
+    expect(await repository.isOwned(plot)).toBe(true);
+
+    await repository.remove("p2");
+    expect(await repository.isOwned(plot)).toBe(false);
+  });
+
+  test("surfaces API errors with their status", async () => {
+    global.fetch = jest.fn((url) =>
+      url === "api/health"
+        ? jsonResponse({ service: "beelandr" })
+        : jsonResponse({ error: "Invalid plot: no coordinates" }, 400),
+    );
+    const repository = new PlotRepository();
+
+    await expect(
+      repository.save(
+        new LandPlot({ id: "p3", type: "polygon", coordinates: triangle }),
+      ),
+    ).rejects.toMatchObject({
+      status: 400,
+      message: "Invalid plot: no coordinates",
+    });
+  });
+});
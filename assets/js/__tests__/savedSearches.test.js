@@ -0,0 +1,109 @@
+/**
+ * @jest-environment jsdom
+ */
+import { describe, test, expect, beforeEach } from "@jest/globals";
+import SavedSearchRepository from "../services/SavedSearchRepository.js";
+import SavedSearchesUI from "../ui/SavedSearchesUI.js";
+
+const plot = (id, landType) => ({ id, landType });
+const sameLandType = (p, filters) => filters.landTypes.includes(p.landType);
+
+describe("SavedSearchRepository", () => {
+  let searches;
+
+  beforeEach(() => {
+    localStorage.clear();
+    searches = new SavedSearchRepository();
+  });
+
+  test("reports only plots listed after the search was saved", () => {
+    searches.save("Orchards", { landTypes: ["Orchard"] }, { plotIds: [1] });
+
+    const found = searches.checkForNew(
+      [plot(1, "Orchard"), plot(2, "Orchard"), plot(3, "Park")],
+      sameLandType,
+    );
+
+    expect(found).toHaveLength(1);
+    expect(found[0].search.name).toBe("Orchards");
+    expect(found[0].plots.map((p) => p.id)).toEqual([2]);
+  });
+
+  test("marks new plots as seen for the next visit", () => {
+    searches.save("Orchards", { landTypes: ["Orchard"] });
+    const plots = [plot("local-1", "Orchard")];
+
+    expect(searches.checkForNew(plots, sameLandType)).toHaveLength(1);
+    expect(
+      new SavedSearchRepository().checkForNew(plots, sameLandType),
+    ).toEqual([]);
+  });
+
+  test("needs a name and can be removed", () => {
+    expect(() => searches.save("  ", {})).toThrow(/name/);
+
+    const { id } = searches.save(" Near York ", {}, { notify: true });
+    expect(searches.list()[0]).toMatchObject({
+      name: "Near York",
+      notify: true,
+    });
+
+    expect(searches.remove(id)).toBe(true);
+    expect(searches.list()).toEqual([]);
+  });
+});
+
+describe("SavedSearchesUI", () => {
+  test("describes a filter set in one line", () => {
+    expect(
+      SavedSearchesUI.describe({
+        landTypes: ["Orchard", "Park"],
+        minHives: 2,
+        maxHives: 10,
+        minAcres: null,
+        maxAcres: 5,
+        minSuitability: null,
+        origin: { lat: 53.96, lng: -1.08, label: "York" },
+        radiusKm: 25,
+      }),
+    ).toBe("Orchard, Park · 2–10 hives · up to 5 acres · within 25 km of York");
+    expect(SavedSearchesUI.describe({ landTypes: [] })).toBe("Any land");
+  });
+
+  test("badges each new plot once, however many searches it matches", () => {
+    document.body.innerHTML = `
+      <span id="new-listings-badge"></span>
+      <div id="new-listings" hidden><ul id="new-listings-list"></ul></div>
+      <ul id="saved-searches-list"></ul>
+    `;
+    const ui = new SavedSearchesUI();
+    ui.init();
+    const newPlot = {
+      id: "local-1",
+      ownerName: "<b>Top</b> Field",
+      landType: "Orchard",
+      formatCapacity: () => "4 hives",
+    };
+    const a = { id: "a", name: "Orchards", filters: { landTypes: [] } };
+    const b = { id: "b", name: "Anything", filters: { landTypes: [] } };
+
+    ui.render(
+      [a, b],
+      [
+        { search: a, plots: [newPlot] },
+        { search: b, plots: [newPlot] },
+      ],
+    );
+
+    expect(document.getElementById("new-listings-badge").innerText).toBe(
+      "1 new",
+    );
+    expect(document.getElementById("new-listings").hidden).toBe(false);
+    expect(
+      document.querySelectorAll("#new-listings-list [data-plot-id]"),
+    ).toHaveLength(2);
+    expect(document.getElementById("new-listings-list").innerHTML).toContain(
+      "&lt;b&gt;Top&lt;/b&gt;",
+    );
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import SidebarUI from "../ui/SidebarUI.js";
+import LandPlot from "../models/LandPlot.js";
+
+const plots = [
+  { id: 1, ownerName: "Apple Farm", hives: 4, area: 8000, score: 90 },
+  { id: 2, ownerName: "Big Meadow", hives: 20, area: 60000, score: 60 },
+  { id: 3, ownerName: "Corner Plot", hives: 8, area: 2000 },
+].map(({ score, ...data }) => {
+  const plot = new LandPlot({ ...data, lat: 51.5, lng: -0.1 });
+  if (score) plot.applyScore({ score, breakdown: [] });
+  return plot;
+});
+
+describe("SidebarUI results list", () => {
+  let sidebar;
+  let callbacks;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <span id="results-count"></span>
+      <select id="results-sort">
+        <option value="distance"></option>
+        <option value="hives"></option>
+      </select>
+      <input id="results-in-view" type="checkbox" />
+      <ul id="results-list"></ul>
+    `;
+    callbacks = {
+      onHover: jest.fn(),
+      onSelect: jest.fn(),
+      onOptionsChange: jest.fn(),
+    };
+    sidebar = new SidebarUI(callbacks);
+    sidebar.init();
+  });
+
+  test("sortPlots orders by distance, hives, suitability and area", () => {
+    const distances = new Map([
+      [1, 12],
+      [2, 3],
+      [3, 7],
+    ]);
+    const ids = (sorted) => sorted.map((p) => p.id);
+
+    expect(ids(SidebarUI.sortPlots(plots, "distance", distances))).toEqual([
+      2, 3, 1,
+    ]);
+    expect(ids(SidebarUI.sortPlots(plots, "hives"))).toEqual([2, 3, 1]);
+    expect(ids(SidebarUI.sortPlots(plots, "suitability"))).toEqual([1, 2, 3]);
+    expect(ids(SidebarUI.sortPlots(plots, "area"))).toEqual([2, 1, 3]);
+    // No search origin: keep the incoming order
+    expect(ids(SidebarUI.sortPlots(plots, "distance"))).toEqual([1, 2, 3]);
+  });
+
+  test("render lists each plot with its distance", () => {
+    sidebar.render(plots, new Map([[1, 2.25]]));
+
+    const rows = document.querySelectorAll("[data-plot-id]");
+    expect(rows).toHaveLength(3);
+    expect(rows[0].textContent).toContain("Apple Farm");
+    expect(rows[0].textContent).toContain("2.3 km");
+    expect(document.getElementById("results-count").innerText).toBe("3 plots");
+  });
+
+  test("render shows other users' text as text, not markup", () => {
+    const plot = new LandPlot({
+      id: '"><img src=x>',
+      ownerName: "<b>Bold Farm</b>",
+      lat: 51.5,
+      lng: -0.1,
+    });
+
+    sidebar.render([plot]);
+
+    const row = document.querySelector("[data-plot-id]");
+    expect(row.dataset.plotId).toBe('"><img src=x>');
+    expect(row.querySelector("b, img")).toBeNull();
+    expect(row.textContent).toContain("<b>Bold Farm</b>");
+  });
+
+  test("row clicks and hovers are passed to the callbacks", () => {
+    sidebar.render(plots);
+    const row = document.querySelector('[data-plot-id="2"]');
+
+    row.dispatchEvent(new MouseEvent("mouseover", { bubbles: true }));
+    row.click();
+
+    expect(callbacks.onHover).toHaveBeenCalledWith("2", true);
+    expect(callbacks.onSelect).toHaveBeenCalledWith("2");
+  });
+
+  test("changing the sort or viewport option re-renders through the callback", () => {
+    const select = document.getElementById("results-sort");
+    select.value = "hives";
+    select.dispatchEvent(new Event("change"));
+
+    const toggle = document.getElementById("results-in-view");
+    toggle.click();
+
+    expect(sidebar.sortBy).toBe("hives");
+    expect(sidebar.limitToView).toBe(true);
+    expect(callbacks.onOptionsChange).toHaveBeenCalledTimes(2);
+  });
+});
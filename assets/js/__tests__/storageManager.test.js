@@ -46,4 +46,23 @@ describe("StorageManager", () => {
     expect(storage.load("temp")).toBeNull();
     expect(localStorage.getItem("temp")).toBeNull();
   });
+
+  test("saveItem inserts new items and replaces existing ones by id", () => {
+    storage.saveItem("plots", { id: "a", name: "First" });
+    storage.saveItem("plots", { id: "b", name: "Second" });
+    storage.saveItem("plots", { id: "a", name: "Renamed" });
+
+    expect(storage.load("plots")).toEqual([
+      { id: "a", name: "Renamed" },
+      { id: "b", name: "Second" },
+    ]);
+  });
+
+  test("deleteItem removes only the matching item", () => {
+    storage.save("plots", [{ id: "a" }, { id: "b" }]);
+
+    expect(storage.deleteItem("plots", "a")).toBe(true);
+    expect(storage.deleteItem("plots", "missing")).toBe(false);
+    expect(storage.load("plots")).toEqual([{ id: "b" }]);
+  });
 });
@@ -0,0 +1,55 @@
+/**
+ * @jest-environment jsdom
+ */
+import { describe, test, expect } from "@jest/globals";
+import SuitabilityScorer from "../services/SuitabilityScorer.js";
+import LandPlot from "../models/LandPlot.js";
+
+const makePlot = (data) =>
+  new LandPlot({ lat: 51.5, lng: -0.1, landType: "Orchard", ...data });
+
+describe("SuitabilityScorer", () => {
+  test("combines available factors into a 0-100 score with a breakdown", () => {
+    const scorer = new SuitabilityScorer();
+    const plot = makePlot({ id: 1, landSize: "10 acres" });
+
+    const result = scorer.score(plot, {
+      weather: { beeScore: 70, pollen: { forageIndex: 40 } },
+    });
+
+    const ids = result.breakdown.map((item) => item.id);
+    expect(ids).toEqual(["landType", "area", "weather", "forage"]);
+    // Weights are rescaled because competition is unknown
+    const totalWeight = result.breakdown.reduce((s, i) => s + i.weight, 0);
+    expect(totalWeight).toBeCloseTo(1);
+    // 85*0.3 + 100*0.15 + 70*0.2 + 40*0.2 over 0.85
+    expect(result.score).toBe(Math.round(62.5 / 0.85));
+  });
+
+  test("accepts custom factors", () => {
+    const scorer = new SuitabilityScorer([
+      { id: "a", label: "A", weight: 1, score: () => 20 },
+      { id: "b", label: "B", weight: 3, score: () => 100 },
+      { id: "c", label: "C", weight: 5, score: () => null },
+    ]);
+
+    expect(scorer.score(makePlot({ id: 1 })).score).toBe(80);
+  });
+
+  test("scoreAll penalises plots crowded by other hives", () => {
+    const scorer = new SuitabilityScorer();
+    const lonely = makePlot({ id: "lonely", lat: 54, lng: -2, hives: 5 });
+    const crowded = makePlot({ id: "crowded", hives: 5 });
+    const neighbours = [1, 2, 3].map((n) =>
+      makePlot({ id: `n${n}`, lat: 51.5 + n * 0.005, hives: 50 }),
+    );
+
+    scorer.scoreAll([lonely, crowded, ...neighbours]);
+
+    const competition = (plot) =>
+      plot.scoreBreakdown.find((item) => item.id === "competition").value;
+    expect(competition(lonely)).toBe(100);
+    expect(competition(crowded)).toBe(0);
+    expect(lonely.suitability).toBeGreaterThan(crowded.suitability);
+  });
+});
@@ -35,6 +35,7 @@ describe("Switch role button", () => {
     mockMap = {
       clearAll: jest.fn(),
       enableDraw: jest.fn(),
+      getView: jest.fn(() => ({ lat: 51.5, lng: -0.1, zoom: 13 })),
     };
 
     // 5. Initialize the app state manually for the test
@@ -0,0 +1,61 @@
+/**
+ * @jest-environment jsdom
+ */
+import { describe, test, expect } from "@jest/globals";
+import { encodeUrlState, decodeUrlState } from "../utils/urlState.js";
+
+describe("URL state", () => {
+  test("round-trips the view, role, filters and selected plot", () => {
+    const state = {
+      view: { lat: 51.50741, lng: -0.12781, zoom: 14 },
+      role: "beekeeper",
+      plotId: "local-1",
+      filters: {
+        landTypes: ["Wildflower Meadow", "Orchard"],
+        minHives: 2,
+        maxHives: null,
+        minAcres: 0.5,
+        maxAcres: 10,
+        minSuitability: 60,
+        origin: { lat: 52.2053, lng: 0.1218, label: "Cambridge" },
+        radiusKm: 15,
+      },
+    };
+
+    const decoded = decodeUrlState(`?${encodeUrlState(state)}`);
+
+    expect(decoded).toEqual({
+      ...state,
+      filters: {
+        landTypes: ["Wildflower Meadow", "Orchard"],
+        minHives: 2,
+        minAcres: 0.5,
+        maxAcres: 10,
+        minSuitability: 60,
+        origin: { lat: 52.2053, lng: 0.1218, label: "Cambridge" },
+        radiusKm: 15,
+      },
+    });
+  });
+
+  test("leaves out empty filters and the radius without an origin", () => {
+    const search = encodeUrlState({
+      filters: { landTypes: [], minHives: null, origin: null, radiusKm: 25 },
+    });
+    expect(search).toBe("");
+  });
+
+  test("returns null for URLs without app state", () => {
+    expect(decodeUrlState("")).toBeNull();
+    expect(decodeUrlState("?edit=local-1")).toBeNull();
+  });
+
+  test("drops malformed values", () => {
+    const decoded = decodeUrlState(
+      "?lat=95&lng=0&z=12&minHives=lots&near=abc&km=-3&maxAcres=4",
+    );
+
+    expect(decoded.view).toBeNull();
+    expect(decoded.filters).toEqual({ maxAcres: 4 });
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import WeatherService, { CACHE_SCHEMA } from "../services/WeatherService.js";
+import WeatherCache from "../services/WeatherCache.js";
+import {
+  FixtureProvider,
+  RecordingProvider,
+  ReplayProvider,
+} from "../services/WeatherProviders.js";
+
+const weatherResponse = {
+  daily: {
+    temperature_2m_max: [24, 26],
+    temperature_2m_min: [14, 16],
+    precipitation_sum: [400, 400],
+    windspeed_10m_max: [10, 12],
+    relative_humidity_2m_max: [60, 60],
+  },
+};
+
+const pollenResponse = {
+  hourly: {
+    grass_pollen: [3000, 3000],
+    birch_pollen: [3000, 3000],
+  },
+};
+
+// Two years of daily history: 0°C nights in Jan, 20°C days from May to Sep
+const climateResponse = (() => {
+  const daily = {
+    time: [],
+    temperature_2m_max: [],
+    temperature_2m_min: [],
+    precipitation_sum: [],
+  };
+  ["2024", "2025"].forEach((year) => {
+    for (let day = 0; day < 365; day++) {
+      const month = Math.min(11, Math.floor(day / 30.5));
+      daily.time.push(`${year}-${String(month + 1).padStart(2, "0")}-01`);
+      daily.temperature_2m_max.push(month >= 4 && month <= 8 ? 20 : 8);
+      daily.temperature_2m_min.push(month === 0 ? -1 : 6);
+      daily.precipitation_sum.push(2);
+    }
+  });
+  return { daily };
+})();
+
+const jsonResponse = (body) =>
+  Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+
+describe("WeatherService bee score", () => {
+  let service;
+
+  beforeEach(() => {
+    service = new WeatherService();
+    localStorage.clear();
+  });
+
+  test("uses the real forage index once pollen data is integrated", async () => {
+    global.fetch = jest.fn((url) => {
+      if (url.includes("air-quality")) return jsonResponse(pollenResponse);
+      if (url.includes("archive")) return jsonResponse({});
+      return jsonResponse(weatherResponse);
+    });
+
+    const weather = await service.getWeatherForPlot(51.5, -0.1);
+
+    // 20°C, 60%, 800 mm, 11 km/h: no weather penalties, so only forage moves the score
+    expect(weather.pollen.forageIndex).toBe(73);
+    expect(weather.beeScore).toBe(Math.round(100 * 0.9 + 73 * 0.1));
+    expect(weather.beeScoreFactors).toEqual([
+      { label: "Forage index 73", points: -2.7 },
+    ]);
+  });
+
+  test("computes climate normals from past years", () => {
+    const climate = service.calculateClimateNormals(climateResponse);
+
+    expect(climate.years).toBe(2);
+    expect(climate.annualRainfall).toBe(731);
+    expect(climate.monthlyTemps[6]).toEqual({
+      month: "Jul",
+      mean: 13,
+      min: 6,
+      max: 20,
+    });
+    expect(climate.summerTemp).toBe(13);
+    expect(climate.frostDays).toBe(31);
+    expect(climate.flyingDays).toBe(153);
+  });
+
+  test("scores on annual rainfall and season length, not the forecast", () => {
+    const weather = service.processWeatherData(
+      weatherResponse,
+      climateResponse,
+    );
+    const { beeScoreFactors } = service.applyBeeScore(weather);
+
+    expect(weather.rainfall).toBe(731);
+    expect(weather.forecast).toHaveLength(2);
+    expect(beeScoreFactors.map((f) => f.label)).toEqual([
+      "Temperature 13°C",
+      "153 flying days/year",
+      "Forage unknown",
+    ]);
+  });
+
+  test("finds inspection windows in the hourly forecast", () => {
+    const hourly = {
+      time: [],
+      temperature_2m: [],
+      windspeed_10m: [],
+      precipitation: [],
+    };
+    // Day 1: warm 10:00-13:00, rain at 12:00; day 2: warm but windy after 14:00
+    ["2026-06-01", "2026-06-02"].forEach((date, day) => {
+      for (let hour = 0; hour < 24; hour++) {
+        hourly.time.push(`${date}T${String(hour).padStart(2, "0")}:00`);
+        hourly.temperature_2m.push(hour >= 10 && hour <= 16 ? 18 : 10);
+        hourly.windspeed_10m.push(day === 1 && hour > 14 ? 30 : 10);
+        hourly.precipitation.push(day === 0 && hour === 12 ? 0.4 : 0);
+      }
+    });
+
+    const { hours, windows } = service.calculateFlyingWindows(hourly);
+
+    expect(hours).toHaveLength(24); // 08:00-19:00 on both days
+    expect(
+      windows.map(({ start, end, hours, best }) => [start, end, hours, best]),
+    ).toEqual([
+      ["2026-06-01T10:00", "2026-06-01T11:00", 2, true],
+      ["2026-06-01T13:00", "2026-06-01T16:00", 4, true],
+      ["2026-06-02T10:00", "2026-06-02T14:00", 5, true],
+    ]);
+  });
+
+  test("lists each penalty that lowered the score", () => {
+    const { score, factors } = service.calculateBeeScoreDetails(
+      8,
+      85,
+      2500,
+      35,
+      80,
+    );
+
+    expect(factors.map((f) => f.points)).toEqual([-25, -15, -10, -10, 4]);
+    expect(score).toBe(Math.round(40 * 0.9 + 80 * 0.1));
+    expect(service.calculateBeeScore(8, 85, 2500, 35, 80)).toBe(score);
+  });
+});
+
+describe("WeatherService providers", () => {
+  const fixture = { forecast: weatherResponse, pollen: pollenResponse };
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test("runs offline against a fixture without caching it", async () => {
+    global.fetch = jest.fn();
+    const service = new WeatherService({
+      provider: new FixtureProvider(fixture),
+    });
+
+    const weather = await service.getWeatherForPlot(51.5, -0.1);
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(weather.source).toBe("fixture");
+    expect(weather.isFallback).toBe(false);
+    expect(weather.pollen.forageIndex).toBe(73);
+    expect(service.cache.size).toBe(0);
+  });
+
+  test("replays recorded responses for the same location", async () => {
+    const recorder = new RecordingProvider(new FixtureProvider(fixture));
+    const live = await new WeatherService({
+      provider: recorder,
+    }).getWeatherForPlot(51.5, -0.1);
+
+    const replay = new WeatherService({
+      provider: new ReplayProvider(recorder.recordings),
+    });
+    const replayed = await replay.getWeatherForPlot(51.5, -0.1);
+
+    expect(replayed.source).toBe("replay");
+    expect(replayed.beeScore).toBe(live.beeScore);
+  });
+
+  test("current conditions take one light request per source", async () => {
+    global.fetch = jest.fn((url) =>
+      Promise.resolve({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            current: url.includes("air-quality")
+              ? { grass_pollen: 800 }
+              : {
+                  temperature_2m: 20,
+                  relative_humidity_2m: 60,
+                  windspeed_10m: 10,
+                },
+          }),
+      }),
+    );
+    const service = new WeatherService({ cache: null });
+
+    const conditions = await service.getCurrentConditions(51.5, -0.1);
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    global.fetch.mock.calls.forEach(([url]) => {
+      expect(url).toMatch(/current=/);
+      expect(url).not.toMatch(/archive|hourly=|daily=/);
+    });
+    expect(conditions).toMatchObject({
+      temperature: 20,
+      isFallback: false,
+      forageIndex: expect.any(Number),
+    });
+    expect(conditions.beeScore).toBe(
+      service.calculateBeeScore(20, 60, null, 10, conditions.forageIndex),
+    );
+  });
+
+  test("current conditions come from the start of the fixture offline", async () => {
+    global.fetch = jest.fn();
+    const service = new WeatherService({
+      provider: new FixtureProvider(fixture),
+    });
+
+    const conditions = await service.getCurrentConditions(51.5, -0.1);
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(conditions.temperature).toBe(19); // First day's average, no hourly data
+    expect(conditions.forageIndex).toBeGreaterThan(50);
+    expect(conditions.isFallback).toBe(false);
+  });
+
+  test("flags fallback data when the provider fails", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const service = new WeatherService({ provider: new ReplayProvider() });
+
+    const weather = await service.getWeatherForPlot(51.5, -0.1);
+
+    expect(weather.isFallback).toBe(true);
+    expect(weather.source).toBe("fallback");
+    console.error.mockRestore();
+  });
+});
+
+describe("WeatherService cache", () => {
+  const HOUR = 60 * 60 * 1000;
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test("evicts the least recently used location when full", () => {
+    const cache = new WeatherCache({ maxEntries: 2 });
+    cache.set("a", { id: "a" }, 1000);
+    cache.set("b", { id: "b" }, 2000);
+    cache.get("a", 3000); // "b" is now the oldest use
+    cache.set("c", { id: "c" }, 4000);
+
+    const stored = JSON.parse(localStorage.getItem(cache.storageKey));
+    expect(Object.keys(stored).sort()).toEqual(["a", "c"]);
+  });
+
+  test("marks entries stale after the ttl and prunes them after maxAge", () => {
+    const cache = new WeatherCache({ ttl: HOUR, maxAge: 10 * HOUR });
+    cache.set("a", { id: "a" }, 0);
+    cache.set("b", { id: "b" }, 5 * HOUR);
+
+    expect(cache.get("a", 30 * 60 * 1000).isStale).toBe(false);
+    expect(cache.get("a", 2 * HOUR).isStale).toBe(true);
+    expect(cache.prune(11 * HOUR)).toBe(1);
+    expect(cache.size).toBe(1);
+  });
+
+  test("serves stale data when the refresh fails", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const cache = new WeatherCache();
+    cache.set(
+      "51.5000_-0.1000",
+      { beeScore: 88, schema: CACHE_SCHEMA },
+      Date.now() - 30 * HOUR,
+    );
+    global.fetch = jest.fn(() => Promise.reject(new Error("offline")));
+    const service = new WeatherService({ cache });
+
+    const weather = await service.getWeatherForPlot(51.5, -0.1);
+    const refreshed = await service.refreshInBackground(51.5, -0.1);
+
+    expect(weather).toEqual({
+      beeScore: 88,
+      schema: CACHE_SCHEMA,
+      isStale: true,
+    });
+    expect(global.fetch).toHaveBeenCalled();
+    expect(refreshed).toBeNull();
+    expect(cache.get("51.5000_-0.1000").data.beeScore).toBe(88);
+    console.warn.mockRestore();
+  });
+});
@@ -5,10 +5,33 @@
  */
 
 import WeatherService from "./services/WeatherService.js";
+import { createWeatherProvider } from "./services/WeatherProviders.js";
+import PlotRepository from "./services/PlotRepository.js";
+import EnquiryRepository from "./services/EnquiryRepository.js";
+import SuitabilityScorer from "./services/SuitabilityScorer.js";
+import ForageCalendarService from "./services/ForageCalendarService.js";
+import HiveCapacityCalculator from "./services/HiveCapacityCalculator.js";
+import LandPlot from "./models/LandPlot.js";
+import PlotLayout from "./ui/PlotLayout.js";
+import { exportPlots, EXPORT_FORMATS } from "./utils/geoFormats.js";
+import { downloadFile } from "./utils/download.js";
+import { escapeHTML } from "./utils/html.js";
 
 let detailMap;
 let landData = null;
-const weatherService = new WeatherService();
+let densityIndex = null; // Nearby hives, for the suitability score
+let forageRequest = 0; // Latest calendar render wins if two overlap
+// ?weather=fixture runs the page on bundled demo weather, e.g. offline
+const weatherService = new WeatherService({
+  provider: createWeatherProvider(
+    new URLSearchParams(window.location.search).get("weather"),
+  ),
+});
+const plots = new PlotRepository();
+const enquiries = new EnquiryRepository({ plots });
+const scorer = new SuitabilityScorer();
+const forageCalendar = new ForageCalendarService();
+const capacity = new HiveCapacityCalculator();
 
 document.addEventListener("DOMContentLoaded", () => {
   // 1. Get the ID from the URL (e.g., details.html?id=123)
@@ -26,6 +49,13 @@ document.addEventListener("DOMContentLoaded", () => {
   if (contactBtn) {
     contactBtn.addEventListener("click", contactOwner);
   }
+  document
+    .getElementById("emailOwnerBtn")
+    ?.addEventListener("click", emailOwner);
+  document.getElementById("enquiry-form")?.addEventListener("submit", (e) => {
+    e.preventDefault();
+    submitEnquiry();
+  });
 
   // 3. Handle keyboard navigation for map region
   const detailMapEl = document.getElementById("detailMap");
@@ -48,16 +78,8 @@ document.addEventListener("DOMContentLoaded", () => {
  */
 async function loadLandData(id) {
   try {
-    // 1. Fetch the "Seed" plots from your JSON file
-    const response = await fetch("assets/data/landData.json");
-    const seedPlots = await response.json();
-
-    // 2. Fetch the "User" plots from LocalStorage (CORRECTED KEY)
-    // We use "user_plots" to match your main.js
-    const userPlots = JSON.parse(localStorage.getItem("user_plots")) || [];
-
-    // 3. Combine them into one list
-    const allPlots = [...seedPlots, ...userPlots];
+    // 1-3. Every plot, from the API or the seed file plus this browser's plots
+    const allPlots = await plots.list();
 
     // 4. Find the specific plot by ID
     landData = allPlots.find((land) => land.id == id);
@@ -66,9 +88,17 @@ async function loadLandData(id) {
       throw new Error("Plot not found in system.");
     }
 
+    // 5. Scored the same way as on the map, so it matches the search filter;
+    // loadWeather() shows the weather's effect next to it
+    densityIndex = SuitabilityScorer.buildDensityIndex(allPlots);
+    landData.applyScore(scorer.score(landData, { densityIndex }));
+
     // Success: Populate the UI
     displayLandDetails(landData);
     initDetailMap(landData);
+    initOwnerActions(landData);
+    initExportActions(landData);
+    loadForageCalendar(landData); // Offline first; refined when pollen arrives
     loadWeather(landData); // Fetch and display weather data
   } catch (error) {
     console.error("BeeLandr Error:", error);
@@ -80,59 +110,122 @@ async function loadLandData(id) {
  * Injects the land data into the HTML elements
  */
 function displayLandDetails(land) {
-  // Helper to get ONLY numbers from a string (fixes NaN and "Area: 1200" issues)
-  const extractNumber = (val) => {
-    if (!val) return 0;
-    // This regex removes everything EXCEPT numbers and decimals
-    const num = String(val).replace(/[^0-9.]/g, "");
-    return parseFloat(num) || 0;
-  };
-
   // 1. Basic Text
   setTextContent("ownerName", land.ownerName || "Unnamed Plot");
   setTextContent("landType", land.landType || "Not Specified");
-  setTextContent("suitability", land.suitability || "Pending Assessment");
+  displayStatus(land);
+  displaySuitability(land);
 
   // 2. Area Display
-  const areaValue = extractNumber(land.area);
-  const areaEl = document.getElementById("area");
-  if (areaEl) {
-    areaEl.textContent = `${areaValue.toLocaleString()} m²`;
-  }
+  setTextContent("area", land.formatArea());
 
-  // 3. Land Size (Based on the extracted number)
-  let sizeCategory = "Small";
-  if (areaValue > 5000) sizeCategory = "Large";
-  else if (areaValue > 1000) sizeCategory = "Medium";
-  setTextContent("landSize", sizeCategory);
-
-  // 4. Hive Capacity (Fixes the "Hives Hives" and huge number issue)
-  const hiveValue = extractNumber(land.hives);
-  const hivesEl = document.getElementById("hives");
-  if (hivesEl) {
-    hivesEl.textContent = `${hiveValue.toLocaleString()} Hives`;
-  }
+  // 3. Land Size
+  setTextContent(
+    "landSize",
+    `${land.sizeCategory} (${land.formatArea("acres")})`,
+  );
 
-  // 5. Coordinates (The "-" fix)
-  if (land.coordinates && land.coordinates.length > 0) {
-    const p = land.coordinates[0];
-    const lat = p.lat !== undefined ? p.lat : p[0];
-    const lng = p.lng !== undefined ? p.lng : p[1];
-    setTextContent(
-      "coordinates",
-      `${parseFloat(lat).toFixed(5)}, ${parseFloat(lng).toFixed(5)}`,
-    );
-  } else if (land.lat && land.lng) {
-    setTextContent(
-      "coordinates",
-      `${parseFloat(land.lat).toFixed(5)}, ${parseFloat(land.lng).toFixed(5)}`,
-    );
-  }
+  // 4. Hive Capacity, free versus taken, and when the plot is open
+  setTextContent("hives", land.formatCapacity());
+  setTextContent("availability", land.formatAvailability());
+  setTextContent("layout", PlotLayout.describe(land) || "Nothing marked");
+
+  // 5. Coordinates
+  const [lat, lng] = land.center;
+  setTextContent("coordinates", `${lat.toFixed(5)}, ${lng.toFixed(5)}`);
 
   // 6. Email Link
   const emailEl = document.getElementById("email");
   if (emailEl && land.email) {
-    emailEl.innerHTML = `<a href="mailto:${land.email}" class="text-warning">${land.email}</a>`;
+    const email = escapeHTML(land.email);
+    emailEl.innerHTML = `<a href="mailto:${email}" class="text-warning">${email}</a>`;
+  }
+}
+
+function displayStatus(land) {
+  const badgeEl = document.getElementById("statusBadge");
+  if (!badgeEl) return;
+  badgeEl.innerHTML = `<span class="badge fs-6 ${land.statusBadgeClass}">${land.statusLabel}</span>`;
+}
+
+/**
+ * Shows the suitability score and how each factor contributed to it
+ */
+function displaySuitability(land) {
+  setTextContent(
+    "suitability",
+    land.suitability === null ? "Pending Assessment" : land.formatSuitability(),
+  );
+
+  const breakdownEl = document.getElementById("suitabilityBreakdown");
+  if (!breakdownEl) return;
+  breakdownEl.innerHTML = land.scoreBreakdown
+    .map(
+      (item) => `
+        <li class="d-flex justify-content-between">
+          <span>${item.label} <span class="text-muted">(${Math.round(item.weight * 100)}%)</span></span>
+          <span class="text-warning">${item.value}</span>
+        </li>`,
+    )
+    .join("");
+}
+
+/**
+ * What this week's weather and forage would do to the listed score. Kept
+ * apart from it, since the map and filters can't fetch weather for every plot.
+ */
+function displayWeatherAdjustment(land, weather) {
+  const el = document.getElementById("suitabilityWeather");
+  if (!el) return;
+
+  const { score } = scorer.score(land, { weather, densityIndex });
+  el.hidden = weather.isFallback || score === null || land.suitability === null;
+  if (el.hidden) return;
+
+  const change = score - land.suitability;
+  el.textContent = `With this week's weather and forage: ${score}/100 (${change >= 0 ? "+" : ""}${change})`;
+}
+
+/**
+ * Renders the month-by-month forage calendar and its flow/dearth summary
+ * @param {LandPlot} land
+ * @param {Object|null} pollen - Measured pollen data for the current month
+ */
+async function loadForageCalendar(land, pollen = null) {
+  const calendarEl = document.getElementById("forageCalendar");
+  const summaryEl = document.getElementById("forageSummary");
+  if (!calendarEl) return;
+
+  const request = ++forageRequest;
+  try {
+    const calendar = await forageCalendar.getCalendar(land.landType, pollen);
+    if (request !== forageRequest) return;
+
+    calendarEl.innerHTML = calendar.months
+      .map(
+        (month) => `
+          <div class="forage-month forage-${month.level}" role="listitem"
+            title="${month.plants.join(", ") || "Little in flower"}"
+            aria-label="${month.name}: ${month.level}, ${month.value} out of 100">
+            <div class="forage-bar"><span style="height: ${month.value}%"></span></div>
+            <div class="small">${month.name}${month.measured ? " 📡" : ""}</div>
+          </div>`,
+      )
+      .join("");
+
+    const describe = (periods) =>
+      periods
+        .map((p) => (p.from === p.to ? p.from : `${p.from}–${p.to}`))
+        .join(", ") || "none";
+    if (summaryEl) {
+      summaryEl.innerHTML = `
+        <strong class="text-warning">Main flows:</strong> ${describe(calendar.flows)}
+        · <strong>Dearths:</strong> ${describe(calendar.dearths)}
+        ${pollen ? " · 📡 includes this month's measured pollen" : ""}`;
+    }
+  } catch (error) {
+    console.error("Error loading forage calendar:", error);
+    if (summaryEl) summaryEl.textContent = "Forage calendar unavailable.";
   }
 }
 
@@ -140,43 +233,181 @@ function displayLandDetails(land) {
  * Initializes the Leaflet Map for the specific plot
  */
 function initDetailMap(land) {
-  const lat = land.lat || 51.505;
-  const lng = land.lng || -0.09;
-
   // Check if map container exists
   if (!document.getElementById("detailMap")) return;
 
-  detailMap = L.map("detailMap").setView([lat, lng], 15);
+  detailMap = L.map("detailMap").setView(land.center, 15);
 
   L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
     attribution: "&copy; OpenStreetMap contributors",
   }).addTo(detailMap);
 
-  // If we have polygon coordinates, draw the shape
-  if (
-    land.coordinates &&
-    Array.isArray(land.coordinates) &&
-    land.coordinates.length > 0
-  ) {
-    L.polygon(land.coordinates, {
+  // If we have polygon coordinates, draw the shape with its zones and stands
+  if (land.type === "polygon") {
+    PlotLayout.layers(land, {
       color: "#FBC02D",
       fillColor: "#FBC02D",
       fillOpacity: 0.3,
       weight: 3,
-    }).addTo(detailMap);
+    }).forEach((layer) => layer.addTo(detailMap));
 
-    // Zoom map to fit the polygon
-    const bounds = L.latLngBounds(land.coordinates);
+    // Zoom map to fit every field of the plot
+    const bounds = L.latLngBounds(land.boundsPoints);
     detailMap.fitBounds(bounds);
   } else {
     // Fallback to a marker
-    L.marker([lat, lng])
+    L.marker(land.center)
       .addTo(detailMap)
-      .bindPopup(land.ownerName || "Plot Location")
+      .bindPopup(escapeHTML(land.ownerName || "Plot Location"))
       .openPopup();
   }
 }
 
+/**
+ * Download buttons for this plot
+ */
+function initExportActions(land) {
+  document.getElementById("exportActions")?.addEventListener("click", (e) => {
+    const format = e.target.closest("[data-export-format]")?.dataset
+      .exportFormat;
+    if (!format) return;
+
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    downloadFile(
+      `beelandr-plot-${land.id}.${extension}`,
+      exportPlots([land], format),
+      mimeType,
+    );
+  });
+}
+
+/**
+ * Shows edit/delete controls for plots saved from this browser
+ */
+async function initOwnerActions(land) {
+  const actions = document.getElementById("ownerActions");
+  if (!actions || !(await plots.isOwned(land))) return;
+  actions.classList.replace("d-none", "d-flex");
+
+  const editBoundaryLink = document.getElementById("editBoundaryLink");
+  if (editBoundaryLink) {
+    editBoundaryLink.href = `index.html?edit=${encodeURIComponent(land.id)}`;
+  }
+
+  document
+    .getElementById("editDetailsBtn")
+    ?.addEventListener("click", openEditModal);
+  document
+    .getElementById("deletePlotBtn")
+    ?.addEventListener("click", deletePlot);
+  // A different land type supports a different number of hives
+  document.getElementById("edit-land-type")?.addEventListener("change", (e) => {
+    document.getElementById("edit-occupied-hives").max = hivesFor(
+      landData,
+      e.target.value,
+    );
+  });
+  document.getElementById("edit-plot-form")?.addEventListener("submit", (e) => {
+    e.preventDefault();
+    saveDetailEdits();
+  });
+}
+
+function openEditModal() {
+  document.getElementById("edit-plot-name").value = landData.ownerName;
+  document.getElementById("edit-land-type").value = landData.landType;
+  document.getElementById("edit-plot-email").value = landData.email;
+  document.getElementById("edit-plot-phone").value = landData.phone;
+  document.getElementById("edit-occupied-hives").value = landData.occupiedHives;
+  document.getElementById("edit-occupied-hives").max = landData.hives;
+  document.getElementById("edit-available-from").value =
+    landData.availableFrom || "";
+  document.getElementById("edit-available-until").value =
+    landData.availableUntil || "";
+
+  // Only the moves the lifecycle allows from here
+  const statusSelect = document.getElementById("edit-plot-status");
+  statusSelect.replaceChildren(
+    ...[landData.status, ...landData.nextStatuses].map(
+      (status) => new Option(LandPlot.formatStatus(status), status),
+    ),
+  );
+  statusSelect.value = landData.status;
+
+  bootstrap.Modal.getOrCreateInstance(
+    document.getElementById("editPlotModal"),
+  ).show();
+}
+
+/**
+ * Hive capacity of a plot as the given land type, worked out as when it is
+ * drawn. The current type keeps the capacity the plot already states.
+ */
+function hivesFor(land, landType) {
+  if (landType === land.landType) return land.hives;
+  return capacity.calculate({
+    fields: land.type === "polygon" ? land.fields : null,
+    holes: land.holes,
+    area: land.area,
+    landType,
+    bufferFeatures: land.bufferFeatures,
+  }).hives;
+}
+
+/**
+ * Saves contact details, land type, status, occupancy and availability;
+ * the boundary is edited on the main map
+ */
+async function saveDetailEdits() {
+  try {
+    const landType = document.getElementById("edit-land-type").value;
+    const updated = new LandPlot({
+      ...landData.toJSON(),
+      ownerName: document.getElementById("edit-plot-name").value,
+      landType,
+      hives: hivesFor(landData, landType),
+      email: document.getElementById("edit-plot-email").value,
+      phone: document.getElementById("edit-plot-phone").value,
+      occupiedHives: document.getElementById("edit-occupied-hives").value,
+      availableFrom: document.getElementById("edit-available-from").value,
+      availableUntil: document.getElementById("edit-available-until").value,
+    });
+    updated.setStatus(document.getElementById("edit-plot-status").value);
+    await plots.save(updated);
+    updated.applyScore({
+      score: landData.suitability,
+      breakdown: landData.scoreBreakdown,
+    });
+    landData = updated;
+  } catch (error) {
+    console.error("Failed to update plot:", error);
+    alert(
+      error.message.startsWith("Invalid plot")
+        ? `Those details can't be saved: ${error.message.replace(/^Invalid plot [^:]*: /, "")}.`
+        : "There was an error saving your changes.",
+    );
+    return;
+  }
+
+  bootstrap.Modal.getInstance(document.getElementById("editPlotModal"))?.hide();
+  displayLandDetails(landData);
+}
+
+async function deletePlot() {
+  if (!confirm(`Delete "${landData.ownerName}"? This cannot be undone.`)) {
+    return;
+  }
+
+  try {
+    await plots.remove(landData.id);
+  } catch (error) {
+    console.error("Failed to delete plot:", error);
+    alert("There was an error deleting this plot.");
+    return;
+  }
+  window.location.href = "index.html";
+}
+
 /**
  * Simple helper to safely set text
  */
@@ -202,51 +433,266 @@ function showError(msg) {
 }
 
 /**
- * Action for the contact button
+ * Action for the contact button: opens the enquiry form
  */
 function contactOwner() {
   if (!landData) return;
+  if (!landData.isListed()) {
+    alert("This plot isn't taking hives at the moment.");
+    return;
+  }
+
+  document.getElementById("enquiry-feedback").textContent = "";
+  const startInput = document.getElementById("enquiry-start");
+  if (!startInput.value) {
+    startInput.value = new Date().toISOString().slice(0, 10);
+  }
+  startInput.min = new Date().toISOString().slice(0, 10);
+
+  bootstrap.Modal.getOrCreateInstance(
+    document.getElementById("enquiryModal"),
+  ).show();
+}
+
+/**
+ * Fallback for beekeepers who would rather write an email
+ */
+function emailOwner() {
+  if (!landData) return;
 
   if (landData.email) {
-    window.location.href = `mailto:${landData.email}?subject=BeeLandr Inquiry: ${landData.ownerName}`;
+    const subject = encodeURIComponent(
+      `BeeLandr Inquiry: ${landData.ownerName || "Unnamed Plot"}`,
+    );
+    window.location.href = `mailto:${landData.email}?subject=${subject}`;
   } else {
     alert("This landowner hasn't provided an email address.");
   }
 }
 
+/**
+ * Stores the enquiry against the plot and refreshes its status badge
+ */
+async function submitEnquiry() {
+  const feedback = document.getElementById("enquiry-feedback");
+  const value = (id) => document.getElementById(id).value;
+
+  try {
+    await enquiries.submit(landData.id, {
+      name: value("enquiry-name"),
+      email: value("enquiry-email"),
+      hives: Number(value("enquiry-hives")),
+      startDate: value("enquiry-start"),
+      accessNeeds: value("enquiry-access"),
+      message: value("enquiry-message"),
+    });
+  } catch (error) {
+    console.error("Failed to send enquiry:", error);
+    const free = error.message.match(/only (\d+) hives free/)?.[1];
+    feedback.textContent = free
+      ? `Only ${free} hives are free on this plot.`
+      : error.message.startsWith("Invalid enquiry")
+        ? "Please check your details and try again."
+        : "There was an error sending your enquiry. Please try again.";
+    return;
+  }
+
+  document.getElementById("enquiry-form").reset();
+  bootstrap.Modal.getInstance(document.getElementById("enquiryModal"))?.hide();
+
+  const updated = await plots.get(landData.id).catch(() => null);
+  if (updated) landData.status = updated.status;
+  displayStatus(landData);
+  alert("Enquiry sent! The landowner will see it in their BeeLandr inbox.");
+}
+
+/**
+ * Warns when the weather shown is fallback, saved or demo data, not a live forecast
+ */
+function displayWeatherSource(weather) {
+  const notice = document.getElementById("weatherSourceNotice");
+  if (!notice) return;
+
+  let message = "";
+  if (weather.isFallback) {
+    message =
+      "Weather data is unavailable, so typical UK values are shown. The bee score is an estimate.";
+  } else if (weather.isStale) {
+    const fetched = new Date(weather.fetchedAt).toLocaleDateString();
+    message = `Showing saved weather from ${fetched}. It updates once a fresh forecast loads.`;
+  } else if (weather.source && weather.source !== "live") {
+    message = `Showing ${weather.source} weather data, not a live forecast.`;
+  }
+
+  notice.textContent = message;
+  notice.classList.toggle("d-none", !message);
+}
+
+/**
+ * Long-term climate for the location, or the forecast average without it
+ */
+function displayClimate(weather) {
+  const { climate } = weather;
+  const setText = (id, text) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  };
+
+  const avgTempEl = document.getElementById("avgTemp");
+  if (avgTempEl) {
+    avgTempEl.innerHTML = climate
+      ? `${climate.summerTemp}°C <small class="text-muted">(Jun–Aug)</small>`
+      : `${weather.temperature}°C <small class="text-muted">(next 7 days)</small>`;
+  }
+
+  setText(
+    "rainfall",
+    Number.isFinite(weather.rainfall)
+      ? `${weather.rainfall} mm/year`
+      : "Unavailable",
+  );
+  setText("frostDays", climate ? climate.frostDays : "-");
+  setText("flyingDays", climate ? climate.flyingDays : "-");
+
+  const monthlyTempsEl = document.getElementById("monthlyTemps");
+  if (monthlyTempsEl) {
+    monthlyTempsEl.innerHTML = (climate?.monthlyTemps || [])
+      .map(
+        ({ month, mean, min, max }) => `
+          <div class="temp-cell" role="listitem" title="${min}°C to ${max}°C"
+            aria-label="${month}: average ${mean}°C">
+            <div class="small text-muted">${month}</div>
+            <div class="small fw-bold">${Math.round(mean)}°</div>
+          </div>`,
+      )
+      .join("");
+  }
+  setText(
+    "climateYears",
+    climate
+      ? `Average temperature by month (past ${climate.years} ${climate.years === 1 ? "year" : "years"})`
+      : "Climate history unavailable for this location",
+  );
+}
+
+/**
+ * Short-term forecast for the "Next 7 Days" panel
+ */
+function displayForecast(weather) {
+  const humidityEl = document.getElementById("humidity");
+  if (humidityEl) {
+    humidityEl.textContent = `${weather.humidity}%`;
+  }
+
+  const windSpeedEl = document.getElementById("windSpeed");
+  if (windSpeedEl) {
+    windSpeedEl.textContent = `${weather.windSpeed} km/h`;
+  }
+
+  const forecastEl = document.getElementById("forecastDays");
+  if (!forecastEl) return;
+
+  const days = weather.forecast || [];
+  forecastEl.innerHTML = days.length
+    ? days
+        .map((day) => {
+          const label = day.date
+            ? new Date(day.date).toLocaleDateString(undefined, {
+                weekday: "short",
+                day: "numeric",
+              })
+            : "-";
+          return `
+            <div class="forecast-day" role="listitem">
+              <div class="small fw-bold text-warning">${label}</div>
+              <div>${day.maxTemp}° <small class="text-muted">/ ${day.minTemp ?? "-"}°</small></div>
+              <div class="small text-muted">💧 ${day.rainfall ?? "-"} mm · 💨 ${day.windSpeed ?? "-"} km/h</div>
+            </div>`;
+        })
+        .join("")
+    : `<p class="text-muted small mb-0">Forecast unavailable.</p>`;
+}
+
+/**
+ * Timeline strip of inspection weather: one row per day, one cell per daylight hour
+ * @param {Object} flyingWindows - { hours, windows } from WeatherService
+ */
+function displayFlyingWindows(flyingWindows) {
+  const timelineEl = document.getElementById("flyingTimeline");
+  const summaryEl = document.getElementById("flyingSummary");
+  if (!timelineEl) return;
+
+  const { hours = [], windows = [] } = flyingWindows || {};
+  const best = windows.filter((w) => w.best);
+  const isBest = (time) => best.some((w) => time >= w.start && time <= w.end);
+  const dayLabel = (time) =>
+    new Date(time.slice(0, 10)).toLocaleDateString(undefined, {
+      weekday: "short",
+      day: "numeric",
+    });
+  const hourLabel = (time, offset = 0) =>
+    `${String(Number(time.slice(11, 13)) + offset).padStart(2, "0")}:00`;
+
+  const days = new Map();
+  hours.forEach((hour) => {
+    const date = hour.time.slice(0, 10);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(hour);
+  });
+
+  timelineEl.innerHTML = [...days.entries()]
+    .map(
+      ([date, dayHours]) => `
+        <div class="flying-day">
+          <span class="flying-label small text-muted">${dayLabel(date)}</span>
+          ${dayHours
+            .map(
+              (
+                h,
+              ) => `<span class="flying-hour${h.flyable ? " flyable" : ""}${isBest(h.time) ? " best" : ""}"
+                title="${hourLabel(h.time)}: ${h.temp}°C, ${h.wind} km/h, ${h.rain} mm"></span>`,
+            )
+            .join("")}
+        </div>`,
+    )
+    .join("");
+
+  if (summaryEl) {
+    summaryEl.innerHTML = best.length
+      ? `<strong class="text-warning">Best slots:</strong> ${best
+          .map(
+            (w) =>
+              `${dayLabel(w.start)} ${hourLabel(w.start)}–${hourLabel(w.end, 1)}`,
+          )
+          .join(", ")}`
+      : hours.length
+        ? "No good inspection weather in the next 7 days."
+        : "Hourly forecast unavailable.";
+  }
+}
+
 /**
  * Fetches and displays weather data for the plot
  */
 async function loadWeather(land) {
   try {
-    const lat = land.lat || land.coordinates?.[0]?.lat || 51.505;
-    const lng = land.lng || land.coordinates?.[0]?.lng || -0.09;
+    const [lat, lng] = land.center;
 
     const weather = await weatherService.getWeatherForPlot(lat, lng);
+    displayWeatherSource(weather);
 
-    // Update temperature
-    const avgTempEl = document.getElementById("avgTemp");
-    if (avgTempEl) {
-      avgTempEl.innerHTML = `${weather.temperature}°C <small class="text-muted">(${weather.minTemp}°C - ${weather.maxTemp}°C)</small>`;
-    }
-
-    // Update humidity
-    const humidityEl = document.getElementById("humidity");
-    if (humidityEl) {
-      humidityEl.textContent = `${weather.humidity}%`;
+    // Saved data was shown straight away; redraw when the refresh lands
+    if (weather.isStale) {
+      weatherService
+        .refreshInBackground(lat, lng)
+        .then((fresh) => fresh && loadWeather(land));
     }
 
-    // Update rainfall
-    const rainfallEl = document.getElementById("rainfall");
-    if (rainfallEl) {
-      rainfallEl.textContent = `${weather.rainfall} mm/year`;
-    }
+    displayWeatherAdjustment(landData, weather);
 
-    // Update wind speed
-    const windSpeedEl = document.getElementById("windSpeed");
-    if (windSpeedEl) {
-      windSpeedEl.textContent = `${weather.windSpeed} km/h`;
-    }
+    displayClimate(weather);
+    displayForecast(weather);
+    displayFlyingWindows(weather.flyingWindows);
 
     // Update bee score
     const beeScoreBar = document.getElementById("beeScoreBar");
@@ -275,8 +721,24 @@ async function loadWeather(land) {
       }
     }
 
+    // List the penalties and bonuses behind the bee score
+    const beeScoreFactorsEl = document.getElementById("beeScoreFactors");
+    if (beeScoreFactorsEl) {
+      beeScoreFactorsEl.innerHTML = (weather.beeScoreFactors || [])
+        .map(
+          ({ label, points }) => `
+            <li class="d-flex justify-content-between">
+              <span>${label}</span>
+              <span class="${points < 0 ? "text-danger" : "text-success"}">${points > 0 ? "+" : ""}${points}</span>
+            </li>`,
+        )
+        .join("");
+    }
+
     // Update foraging/pollen information if available
     if (weather.pollen) {
+      loadForageCalendar(land, weather.pollen);
+
       const forageIndexBar = document.getElementById("forageIndexBar");
       const forageIndexText = document.getElementById("forageIndexText");
       const dominantPollenEl = document.getElementById("dominantPollen");
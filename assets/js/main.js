@@ -3,10 +3,42 @@
  * Manages user roles, UI states, and data persistence.
  */
 import StorageManager from "./services/StorageManager.js";
+import PlotRepository from "./services/PlotRepository.js";
+import EnquiryRepository from "./services/EnquiryRepository.js";
+import SavedSearchRepository from "./services/SavedSearchRepository.js";
+import OverlapDetector from "./services/OverlapDetector.js";
 import MapManager from "./services/MapManager.js";
+import LocationService from "./services/LocationService.js";
+import SuitabilityScorer from "./services/SuitabilityScorer.js";
+import HeatmapService from "./services/HeatmapService.js";
+import SidebarUI from "./ui/SidebarUI.js";
+import EnquiryInbox from "./ui/EnquiryInbox.js";
+import SavedSearchesUI from "./ui/SavedSearchesUI.js";
+import LandPlot, { PLOT_STATUS } from "./models/LandPlot.js";
+import { distanceKm } from "./utils/geometry.js";
+import {
+  parseBoundaryFile,
+  exportPlots,
+  EXPORT_FORMATS,
+} from "./utils/geoFormats.js";
+import { downloadFile } from "./utils/download.js";
+import { escapeHTML } from "./utils/html.js";
+import { encodeUrlState, decodeUrlState } from "./utils/urlState.js";
 
 const ROLES = { LANDOWNER: "landowner", BEEKEEPER: "beekeeper" };
 
+// Beekeeper search filters; areas are in acres, null means "no limit"
+const DEFAULT_FILTERS = {
+  landTypes: [],
+  minHives: null,
+  maxHives: null,
+  minAcres: null,
+  maxAcres: null,
+  minSuitability: null, // 0-100
+  origin: null, // { lat, lng, label } for "near me" searches
+  radiusKm: 25,
+};
+
 const ROLE_SETTINGS = {
   [ROLES.LANDOWNER]: {
     title: "Plot Analysis",
@@ -25,10 +57,25 @@ export const app = {
     role: null,
     modal: null,
     map: null,
-    filters: { hiveCapacity: null, landType: null },
+    filters: { ...DEFAULT_FILTERS },
     allPlots: [],
+    ownedPlotIds: new Set(), // Plots this browser created, as strings
+    enquiries: [], // For the landowner's own plots
+    results: [], // Plots that passed the filters, as drawn on the map
+    distances: new Map(), // Plot id -> km from the search origin
+    editingPlotId: null, // Set while a saved user plot is being reshaped
+    selectedPlotId: null, // Last plot picked from the results list, kept in the URL
+    importedBoundaries: [], // Polygons read from the last imported file
+    newListings: [], // [{ search, plots }] matching saved searches, found this visit
   },
   storage: new StorageManager(),
+  plots: new PlotRepository(),
+  location: new LocationService(),
+  scorer: new SuitabilityScorer(),
+  overlaps: new OverlapDetector(),
+  savedSearches: new SavedSearchRepository(),
+  sidebar: null,
+  searchesUI: null,
 
   // Cached DOM elements
   el: {
@@ -40,22 +87,53 @@ export const app = {
     saveForm: null,
     plotInfo: null, // Landowner specific
     landownerActions: null, // Landowner specific
+    importFile: null,
+    importOptions: null,
+    importShapeSelect: null,
+    importUseBtn: null,
     filterContainer: null, // Beekeeper specific
-    hiveCapacityFilter: null,
     landTypeFilter: null,
+    minHivesFilter: null,
+    maxHivesFilter: null,
+    minAreaFilter: null,
+    maxAreaFilter: null,
+    minSuitabilityFilter: null,
+    minSuitabilityValue: null,
     applyFiltersBtn: null,
+    resetFiltersBtn: null,
+    locationInput: null,
+    locateBtn: null,
+    radiusFilter: null,
+    radiusValue: null,
+    resultsExport: null,
   },
 
   init(mapInstance) {
     this.state.map = mapInstance;
     this.cacheElements();
     this.bindEvents();
+    this.restoreFilters();
+    const shared = this.restoreFromUrl(); // A shared link wins over storage
+    this.initResultsList();
+    this.initInbox();
+    this.initSavedSearches();
+    this.state.map.onEditPlot((id) => this.startEditing(id));
 
-    const savedRole = this.storage.load("userRole");
+    // Arriving from details.html with ?edit=<id> opens that plot in edit mode
+    const editId = new URLSearchParams(window.location.search).get("edit");
+    if (editId) {
+      this.startEditing(editId);
+      return;
+    }
+
+    const savedRole = this.isValidRole(shared?.role)
+      ? shared.role
+      : this.storage.load("userRole");
     if (this.isValidRole(savedRole)) {
-      this.setRole(savedRole, false);
+      this.setRole(savedRole, false).then(() => this.focusSelectedPlot());
     } else {
       this.state.modal.show();
+      this.updateUrl();
     }
   },
 
@@ -66,16 +144,33 @@ export const app = {
 
     this.el.saveBtn = document.getElementById("save-btn");
     this.el.clearBtn = document.getElementById("clear-btn");
+    this.el.importFile = document.getElementById("import-file");
+    this.el.importOptions = document.getElementById("import-options");
+    this.el.importShapeSelect = document.getElementById("import-shape-select");
+    this.el.importUseBtn = document.getElementById("import-use-btn");
+    this.el.resultsExport = document.getElementById("results-export");
     this.el.saveForm = document.getElementById("save-plot-form");
 
     this.el.landownerSection = document.getElementById("landowner-section");
     this.el.beekeeperSection = document.getElementById("beekeeper-section");
 
-    this.el.hiveCapacityFilter = document.getElementById(
-      "hive-capacity-filter",
-    );
     this.el.landTypeFilter = document.getElementById("land-type-filter");
+    this.el.minHivesFilter = document.getElementById("min-hives-filter");
+    this.el.maxHivesFilter = document.getElementById("max-hives-filter");
+    this.el.minAreaFilter = document.getElementById("min-area-filter");
+    this.el.maxAreaFilter = document.getElementById("max-area-filter");
+    this.el.minSuitabilityFilter = document.getElementById(
+      "min-suitability-filter",
+    );
+    this.el.minSuitabilityValue = document.getElementById(
+      "min-suitability-value",
+    );
     this.el.applyFiltersBtn = document.getElementById("apply-filters-btn");
+    this.el.resetFiltersBtn = document.getElementById("reset-filters-btn");
+    this.el.locationInput = document.getElementById("location-search");
+    this.el.locateBtn = document.getElementById("locate-me-btn");
+    this.el.radiusFilter = document.getElementById("radius-filter");
+    this.el.radiusValue = document.getElementById("radius-value");
 
     this.state.modal = new bootstrap.Modal(
       document.getElementById("roleModal"),
@@ -94,25 +189,551 @@ export const app = {
       event.preventDefault();
       this.finalizeSave();
     });
+    // Capacity depends on the land type, so update it as one is chosen
+    document
+      .getElementById("land-type")
+      ?.addEventListener("change", () => this.renderCapacitySummary());
 
     // 4. Map Utility
     this.el.clearBtn?.addEventListener("click", () => {
+      if (this.state.editingPlotId) {
+        this.cancelEditing();
+        return;
+      }
       this.state.map.clearDrawLayer();
+      this.resetImport();
       this.el.feedback.innerText = "Map cleared.";
     });
 
+    // Boundary import: preview the chosen polygon, then continue to the save modal
+    this.el.importFile?.addEventListener("change", () => {
+      const [file] = this.el.importFile.files;
+      if (file) this.importBoundaryFile(file);
+    });
+    this.el.importShapeSelect?.addEventListener("change", () =>
+      this.previewImportedBoundary(Number(this.el.importShapeSelect.value)),
+    );
+    this.el.importUseBtn?.addEventListener("click", () =>
+      this.handleSavePlot(),
+    );
+
     // 5. Beekeeper Filter Events
-    this.el.applyFiltersBtn?.addEventListener("click", () => {
-      this.state.filters.hiveCapacity = this.el.hiveCapacityFilter.value;
-      this.state.filters.landType = this.el.landTypeFilter.value;
+    this.el.applyFiltersBtn?.addEventListener("click", async () => {
+      if (!this.readFilterInputs()) return;
+      if (!(await this.updateOriginFromInput())) return;
+      this.saveFilters({ push: true });
       this.applyFilters();
     });
+    this.el.resetFiltersBtn?.addEventListener("click", () => {
+      this.state.filters = { ...DEFAULT_FILTERS };
+      this.renderFilterInputs();
+      this.saveFilters();
+      this.applyFilters();
+    });
+
+    this.el.resultsExport?.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-export-format]");
+      if (button) this.exportResults(button.dataset.exportFormat);
+    });
+
+    // 6. Location Search Events
+    this.el.locateBtn?.addEventListener("click", () => this.locateUser());
+    this.el.locationInput?.addEventListener(
+      "focus",
+      () => this.populateCityList(),
+      { once: true },
+    );
+    this.el.radiusFilter?.addEventListener("input", () => {
+      this.state.filters.radiusKm = Number(this.el.radiusFilter.value);
+      this.el.radiusValue.innerText = this.el.radiusFilter.value;
+    });
+    this.el.minSuitabilityFilter?.addEventListener("input", () => {
+      this.el.minSuitabilityValue.innerText =
+        this.el.minSuitabilityFilter.value;
+    });
+    this.el.radiusFilter?.addEventListener("change", () => {
+      this.saveFilters();
+      if (this.state.filters.origin) this.applyFilters();
+    });
+
+    // 7. Browser Back/Forward steps through applied searches
+    window.addEventListener("popstate", () => this.restoreHistoryEntry());
+  },
+
+  /**
+   * Copies the sidebar filter inputs into state.filters
+   * @returns {boolean} False if a range is the wrong way round
+   */
+  readFilterInputs() {
+    const toNumber = (input) =>
+      input && input.value !== "" ? Number(input.value) : null;
+
+    const filters = {
+      landTypes: [
+        ...(this.el.landTypeFilter?.querySelectorAll("input:checked") || []),
+      ].map((input) => input.value),
+      minHives: toNumber(this.el.minHivesFilter),
+      maxHives: toNumber(this.el.maxHivesFilter),
+      minAcres: toNumber(this.el.minAreaFilter),
+      maxAcres: toNumber(this.el.maxAreaFilter),
+      minSuitability: toNumber(this.el.minSuitabilityFilter) || null, // 0 = any
+    };
+
+    const isInverted = (min, max) => min !== null && max !== null && min > max;
+    if (
+      isInverted(filters.minHives, filters.maxHives) ||
+      isInverted(filters.minAcres, filters.maxAcres)
+    ) {
+      this.el.feedback.innerText = "Each minimum must be below its maximum.";
+      return false;
+    }
+
+    Object.assign(this.state.filters, filters);
+    return true;
+  },
+
+  /**
+   * Writes state.filters back into the sidebar inputs
+   */
+  renderFilterInputs() {
+    const f = this.state.filters;
+    const setValue = (input, value) => {
+      if (input) input.value = value ?? "";
+    };
+
+    this.el.landTypeFilter
+      ?.querySelectorAll("input[type=checkbox]")
+      .forEach((input) => {
+        input.checked = f.landTypes.includes(input.value);
+      });
+    setValue(this.el.minHivesFilter, f.minHives);
+    setValue(this.el.maxHivesFilter, f.maxHives);
+    setValue(this.el.minAreaFilter, f.minAcres);
+    setValue(this.el.maxAreaFilter, f.maxAcres);
+    setValue(this.el.minSuitabilityFilter, f.minSuitability ?? 0);
+    if (this.el.minSuitabilityValue) {
+      this.el.minSuitabilityValue.innerText = f.minSuitability ?? 0;
+    }
+    setValue(this.el.locationInput, f.origin?.label);
+    setValue(this.el.radiusFilter, f.radiusKm);
+    if (this.el.radiusValue) this.el.radiusValue.innerText = f.radiusKm;
+  },
+
+  /**
+   * Stores the search. A new search starts with nothing selected.
+   * @param {Object} options
+   * @param {boolean} options.push - Give it its own history entry; only
+   *   for searches the beekeeper applies, so Back isn't full of tweaks
+   */
+  saveFilters({ push = false } = {}) {
+    this.storage.save("beekeeperFilters", this.state.filters);
+    this.state.selectedPlotId = null;
+    this.updateUrl({ push });
+  },
+
+  /**
+   * Brings back the returning beekeeper's last search
+   */
+  restoreFilters() {
+    const saved = this.storage.load("beekeeperFilters");
+    this.state.filters = { ...DEFAULT_FILTERS, ...saved };
+    this.renderFilterInputs();
+  },
+
+  /**
+   * Applies the filters, map view and selected plot from the page URL
+   * @returns {Object|null} The decoded URL state, or null if it has none
+   */
+  restoreFromUrl() {
+    const shared = decodeUrlState(window.location.search);
+    if (!shared) return null;
+
+    this.state.filters = { ...DEFAULT_FILTERS, ...shared.filters };
+    this.renderFilterInputs();
+    if (shared.view) this.state.map.setView(shared.view);
+    this.state.selectedPlotId = shared.plotId;
+    return shared;
+  },
+
+  /**
+   * Back/Forward: shows the search and plot of that history entry, or the
+   * default filters if it has none
+   */
+  restoreHistoryEntry() {
+    if (!this.restoreFromUrl()) {
+      this.state.filters = { ...DEFAULT_FILTERS };
+      this.renderFilterInputs();
+      this.state.selectedPlotId = null;
+    }
+    this.applyFilters();
+    this.focusSelectedPlot();
+  },
+
+  /**
+   * Mirrors the map view, role, filters and selected plot into the address
+   * bar. Only applied searches push a history entry; the rest replace it.
+   * @param {Object} options
+   * @param {boolean} options.push - Add a history entry instead of replacing
+   */
+  updateUrl({ push = false } = {}) {
+    const search = encodeUrlState({
+      view: this.state.map.getView(),
+      role: this.state.role,
+      filters: this.state.filters,
+      plotId: this.state.selectedPlotId,
+    });
+    const { pathname, hash } = window.location;
+    const url = `${pathname}${search ? `?${search}` : ""}${hash}`;
+    if (url === pathname + window.location.search + hash) return;
+
+    if (push) window.history.pushState(null, "", url);
+    else window.history.replaceState(null, "", url);
+  },
+
+  /**
+   * Opens the plot a shared link pointed at, once the plots have loaded.
+   * If the filters now hide it, the selection is dropped.
+   */
+  focusSelectedPlot() {
+    const id = this.state.selectedPlotId;
+    if (id === null) return;
+
+    if (this.state.results.some((plot) => plot.id == id)) {
+      this.state.map.focusPlot(id);
+    } else {
+      this.state.selectedPlotId = null;
+      this.updateUrl();
+    }
+  },
+
+  /**
+   * Wires the sidebar results list to the map
+   */
+  initResultsList() {
+    this.sidebar = new SidebarUI({
+      onHover: (id, isActive) => this.state.map.highlightPlot(id, isActive),
+      onSelect: (id) => this.selectPlot(id),
+      onOptionsChange: () => this.renderResults(),
+    });
+    this.sidebar.init();
+
+    this.state.map.onViewChange(() => {
+      if (this.sidebar.limitToView) this.renderResults();
+      this.updateUrl();
+    });
+  },
+
+  selectPlot(id) {
+    this.state.selectedPlotId = String(id);
+    this.state.map.focusPlot(id);
+    this.updateUrl();
+  },
+
+  /**
+   * Wires the beekeeper's saved searches and their new-plot alerts
+   */
+  initSavedSearches() {
+    this.searchesUI = new SavedSearchesUI({
+      onSave: (name, notify) => this.saveSearch(name, notify),
+      onApply: (id) => this.applySavedSearch(id),
+      onDelete: (id) => this.deleteSavedSearch(id),
+      onSelectPlot: (searchId, plotId) => {
+        if (this.applySavedSearch(searchId)) this.selectPlot(plotId);
+      },
+      onDismiss: () => {
+        this.state.newListings = [];
+        this.renderSavedSearches();
+      },
+    });
+    this.searchesUI.init();
+    this.renderSavedSearches();
+  },
+
+  renderSavedSearches() {
+    this.searchesUI?.render(this.savedSearches.list(), this.state.newListings);
+  },
+
+  /**
+   * Saves the applied filters under a name. Plots matching them now are
+   * not reported as new later.
+   * @param {string} name
+   * @param {boolean} notify - Also send browser notifications
+   */
+  saveSearch(name, notify) {
+    const plotIds = this.state.allPlots
+      .filter((plot) => this.matchesSearch(plot, this.state.filters))
+      .map((plot) => plot.id);
+
+    try {
+      const search = this.savedSearches.save(name, this.state.filters, {
+        plotIds,
+        notify,
+      });
+      this.el.feedback.innerText = `Saved search "${search.name}".`;
+      this.searchesUI?.resetForm();
+    } catch (error) {
+      if (/needs a name/.test(error.message)) {
+        this.el.feedback.innerText = "Give the search a name to save it.";
+      } else {
+        console.error("Failed to save search:", error);
+        this.el.feedback.innerText =
+          "There was an error saving that search. Please try again.";
+      }
+    }
+    this.renderSavedSearches();
+  },
+
+  /**
+   * Loads a saved search into the filters and runs it
+   * @returns {boolean} False if the search no longer exists
+   */
+  applySavedSearch(id) {
+    const search = this.savedSearches.list().find((s) => s.id === id);
+    if (!search) return false;
+
+    this.state.filters = { ...DEFAULT_FILTERS, ...search.filters };
+    this.renderFilterInputs();
+    this.saveFilters();
+    this.applyFilters();
+    return true;
+  },
+
+  deleteSavedSearch(id) {
+    this.savedSearches.remove(id);
+    this.state.newListings = this.state.newListings.filter(
+      ({ search }) => search.id !== id,
+    );
+    this.renderSavedSearches();
+  },
+
+  /**
+   * Looks for plots listed since the saved searches last ran, including
+   * ones just saved in this browser, and adds them to this visit's alerts
+   */
+  checkSavedSearches() {
+    const found = this.savedSearches.checkForNew(
+      this.state.allPlots,
+      (plot, filters) => this.matchesSearch(plot, filters),
+    );
+    if (found.length === 0) return;
+
+    found.forEach(({ search, plots }) => {
+      const existing = this.state.newListings.find(
+        (entry) => entry.search.id === search.id,
+      );
+      if (existing) existing.plots.push(...plots);
+      else this.state.newListings.push({ search, plots });
+    });
+    SavedSearchesUI.notify(found);
+    this.renderSavedSearches();
+  },
+
+  /**
+   * Wires the landowner's enquiry inbox
+   */
+  initInbox() {
+    this.enquiries = new EnquiryRepository({ plots: this.plots });
+    this.inbox = new EnquiryInbox({
+      onRespond: (id, status) => this.respondToEnquiry(id, status),
+    });
+    this.inbox.init();
+  },
+
+  /**
+   * Fetches enquiries about the plots this browser created
+   */
+  async loadInbox() {
+    if (!this.inbox || this.state.role !== ROLES.LANDOWNER) return;
+
+    const owned = this.state.allPlots.filter((plot) => this.isOwnPlot(plot));
+
+    try {
+      this.state.enquiries = await this.enquiries.forPlots(
+        owned.map((plot) => plot.id),
+      );
+    } catch (error) {
+      console.error("Failed to load enquiries:", error);
+      this.state.enquiries = [];
+    }
+    this.inbox.render(
+      this.state.enquiries,
+      new Map(owned.map((plot) => [String(plot.id), plot])),
+    );
+  },
+
+  /**
+   * Accepts or declines an enquiry, then refreshes the plot badges and inbox
+   * @param {string} id - Enquiry id
+   * @param {string} status - accepted or declined
+   */
+  async respondToEnquiry(id, status) {
+    const enquiry = this.state.enquiries.find((e) => e.id == id);
+    if (!enquiry) return;
+
+    try {
+      await this.enquiries.respond(enquiry, status);
+      this.el.feedback.innerText = `Enquiry from ${enquiry.name} ${status}.`;
+    } catch (error) {
+      console.error("Failed to answer enquiry:", error);
+      this.el.feedback.innerText = /hives free/.test(error.message)
+        ? `Not enough hives are free to accept ${enquiry.name}'s enquiry.`
+        : "There was an error answering that enquiry. Please try again.";
+    }
+    await this.loadCommunityPlots();
+  },
+
+  /**
+   * Downloads the plots that currently pass the filters
+   * @param {string} format - geojson, kml or csv
+   * @returns {boolean} Whether there was anything to export
+   */
+  exportResults(format) {
+    const plots = this.state.results;
+    if (plots.length === 0) {
+      this.el.feedback.innerText =
+        "No plots to export. Try widening your search.";
+      return false;
+    }
+
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    downloadFile(
+      `beelandr-plots.${extension}`,
+      exportPlots(plots, format),
+      mimeType,
+    );
+    this.el.feedback.innerText = `Exported ${plots.length} ${plots.length === 1 ? "plot" : "plots"} as ${extension.toUpperCase()}.`;
+    return true;
+  },
+
+  /**
+   * Refreshes the results list, optionally limited to the map viewport
+   */
+  renderResults() {
+    if (!this.sidebar) return;
+
+    const plots = this.sidebar.limitToView
+      ? this.state.results.filter((p) => this.state.map.isInView(p))
+      : this.state.results;
+    this.sidebar.render(plots, this.state.distances);
+  },
+
+  /**
+   * Fills the town suggestions from the bundled UK towns list
+   */
+  async populateCityList() {
+    try {
+      const cities = await this.location.getCities();
+      const list = document.getElementById("uk-city-list");
+      if (list) {
+        list.innerHTML = cities
+          .map((city) => `<option value="${escapeHTML(city.name)}"></option>`)
+          .join("");
+      }
+    } catch (error) {
+      console.warn("Town suggestions unavailable:", error);
+    }
+  },
+
+  /**
+   * Resolves the typed town into the search origin
+   * @returns {Promise<boolean>} False if the town could not be found
+   */
+  async updateOriginFromInput() {
+    const query = this.el.locationInput?.value.trim() || "";
+    if (!query) {
+      this.state.filters.origin = null;
+      return true;
+    }
+    if (query === this.state.filters.origin?.label) return true;
+
+    try {
+      const city = await this.location.findCity(query);
+      if (!city) {
+        this.el.feedback.innerText = `Couldn't find "${query}". Try a nearby town.`;
+        return false;
+      }
+      this.state.filters.origin = {
+        lat: city.lat,
+        lng: city.lng,
+        label: city.name,
+      };
+      this.el.locationInput.value = city.name;
+      return true;
+    } catch (error) {
+      console.error("Town lookup failed:", error);
+      this.el.feedback.innerText = "Town search is unavailable right now.";
+      return false;
+    }
+  },
+
+  /**
+   * Uses browser geolocation as the search origin
+   */
+  async locateUser() {
+    this.el.feedback.innerText = "Finding your location...";
+    try {
+      const { lat, lng } = await this.location.getCurrentPosition();
+      this.state.filters.origin = { lat, lng, label: "My location" };
+      if (this.el.locationInput) this.el.locationInput.value = "My location";
+      this.saveFilters();
+      this.applyFilters();
+    } catch (error) {
+      console.warn("Geolocation failed:", error);
+      this.el.feedback.innerText =
+        "Couldn't get your location. Type a town name instead.";
+    }
+  },
+
+  /**
+   * Reads a GeoJSON, KML or GPX file and previews its first polygon
+   * @param {File} file
+   * @returns {Promise<boolean>} Whether a boundary was found
+   */
+  async importBoundaryFile(file) {
+    let boundaries;
+    try {
+      boundaries = parseBoundaryFile(await file.text(), file.name);
+    } catch (error) {
+      this.el.feedback.innerText = error.message;
+      return false;
+    }
+
+    this.state.importedBoundaries = boundaries;
+    if (boundaries.length === 0) {
+      this.el.importOptions?.classList.add("d-none");
+      this.el.feedback.innerText = `No plot boundaries found in ${file.name}.`;
+      return false;
+    }
+
+    // Names come from the file, so set them as text, not HTML
+    this.el.importShapeSelect?.replaceChildren(
+      ...boundaries.map((b, index) => new Option(b.name, index)),
+    );
+    this.el.importOptions?.classList.remove("d-none");
+    this.previewImportedBoundary(0);
+    return true;
+  },
+
+  resetImport() {
+    this.state.importedBoundaries = [];
+    if (this.el.importFile) this.el.importFile.value = "";
+    this.el.importOptions?.classList.add("d-none");
+  },
+
+  previewImportedBoundary(index) {
+    const boundary = this.state.importedBoundaries[index];
+    if (!boundary) return;
+
+    this.state.map.loadBoundary(boundary.coordinates);
+    const overlaps = this.checkOverlaps(boundary.coordinates);
+    this.el.feedback.innerText = overlaps.length
+      ? `"${boundary.name}" overlaps ${overlaps.length === 1 ? "a listed plot" : `${overlaps.length} listed plots`} (shaded red): ${overlaps.map(OverlapDetector.describe).join("; ")}. Check it isn't already listed before saving.`
+      : `Previewing "${boundary.name}". Adjust it with the edit tool if needed, then save.`;
   },
 
   handleSavePlot() {
     const layer = this.state.map.getDrawnLayer();
     const currentArea = document.getElementById("area-display")?.innerText;
-    const currentHives = document.getElementById("hive-display")?.innerText;
 
     if (!layer || currentArea === "No plot drawn yet.") {
       alert("Wait! You need to draw a shape on the map first.");
@@ -120,16 +741,78 @@ export const app = {
     }
 
     this.el.saveForm.reset();
+    const editingPlot = this.getEditingPlot();
+    if (editingPlot) {
+      document.getElementById("plot-name").value = editingPlot.ownerName;
+      document.getElementById("land-type").value = editingPlot.landType;
+      document.getElementById("plot-email").value = editingPlot.email;
+      document.getElementById("plot-phone").value = editingPlot.phone;
+      document.getElementById("plot-available-from").value =
+        editingPlot.availableFrom || "";
+      document.getElementById("plot-available-until").value =
+        editingPlot.availableUntil || "";
+    }
+    // Only unpublished plots can stay drafts; a listed plot can't go back
+    const draftToggle = document.getElementById("plot-draft");
+    draftToggle.checked = editingPlot?.status === PLOT_STATUS.DRAFT;
+    draftToggle.disabled =
+      Boolean(editingPlot) && editingPlot.status !== PLOT_STATUS.DRAFT;
+    this.renderOverlapWarning(
+      this.checkOverlaps(this.state.map.getDrawnFields()),
+    );
     document.getElementById("modal-area-summary").innerText =
       `Area: ${currentArea}`;
-    document.getElementById("modal-hive-summary").innerText =
-      `Capacity: ${currentHives}`;
+    this.renderCapacitySummary();
 
     const saveModal = new bootstrap.Modal(document.getElementById("saveModal"));
     saveModal.show();
   },
 
-  finalizeSave() {
+  /**
+   * Shows the drawing's hive capacity for the land type picked in the save modal
+   */
+  renderCapacitySummary() {
+    const landType = document.getElementById("land-type")?.value;
+    const { hives } = this.state.map.getDrawnStats(landType || null);
+    document.getElementById("modal-hive-summary").innerText =
+      `Capacity: ${hives} ${hives === 1 ? "Hive" : "Hives"}`;
+  },
+
+  /**
+   * Finds listed plots a boundary overlaps and shades the overlap on the map
+   * @param {Array} boundary - [[lat, lng], ...], or a list of such rings, one per field
+   * @returns {Array} OverlapDetector results
+   */
+  checkOverlaps(boundary) {
+    const overlaps = this.overlaps.findOverlaps(boundary, this.state.allPlots, {
+      ignoreId: this.state.editingPlotId,
+    });
+    this.state.map.showOverlaps(overlaps.flatMap((overlap) => overlap.pieces));
+    return overlaps;
+  },
+
+  /**
+   * Lists overlaps in the save modal; saving then needs an explicit confirm
+   */
+  renderOverlapWarning(overlaps) {
+    const warning = document.getElementById("overlap-warning");
+    const confirm = document.getElementById("overlap-confirm");
+    if (!warning || !confirm) return;
+
+    warning.classList.toggle("d-none", overlaps.length === 0);
+    confirm.required = overlaps.length > 0;
+    confirm.checked = false;
+    const list = document.getElementById("overlap-list");
+    list.replaceChildren(
+      ...overlaps.map((overlap) => {
+        const item = document.createElement("li");
+        item.textContent = OverlapDetector.describe(overlap);
+        return item;
+      }),
+    );
+  },
+
+  async finalizeSave() {
     // 1. Identify the drawn layer from MapManager
     const layer = this.state.map.getDrawnLayer();
     if (!layer) {
@@ -142,61 +825,85 @@ export const app = {
       document.activeElement.blur();
     }
 
-    // 3. Normalize Coordinates
-    // flatten nested arrays if necessary
-    let rawCoords = layer.getLatLngs();
-    const normalizedCoords = Array.isArray(rawCoords[0])
-      ? rawCoords[0]
-      : rawCoords;
-
-    // 4. Construct the Plot Object
-    const newPlot = {
-      id: `local-${Date.now()}`, // Unique ID for local storage plots
-      ownerName: document.getElementById("plot-name")?.value || "Anonymous",
-      landType: document.getElementById("land-type")?.value || "Unspecified",
-      email: document.getElementById("plot-email")?.value, // email is required in HTML
-      phone: document.getElementById("plot-phone")?.value || "N/A",
-      type: "polygon",
-      coordinates: normalizedCoords,
-      area: document.getElementById("area-display")?.innerText || "0",
-      hives: document.getElementById("hive-display")?.innerText || "0",
-      timestamp: new Date().toISOString(),
-      isUserCreated: true,
-    };
-
-    // 5. Persistence: Save to LocalStorage
+    // 3. Construct the Plot from every drawn field
+    // When editing, the plot keeps its id so it replaces the stored copy
+    const landType =
+      document.getElementById("land-type")?.value || "Unspecified";
+    const { area, hives, holes, hiveStands, bufferFeatures } =
+      this.state.map.getDrawnStats(landType);
+    const editingPlot = this.getEditingPlot();
+    const keepDraft = document.getElementById("plot-draft")?.checked;
+    const status =
+      editingPlot && editingPlot.status !== PLOT_STATUS.DRAFT
+        ? editingPlot.status
+        : keepDraft
+          ? PLOT_STATUS.DRAFT
+          : PLOT_STATUS.AVAILABLE;
+    let newPlot;
     try {
-      const existingPlots = this.storage.load("user_plots") || [];
-      existingPlots.push(newPlot);
-      this.storage.save("user_plots", existingPlots);
+      newPlot = new LandPlot({
+        ...editingPlot?.toJSON(),
+        id: editingPlot?.id || `local-${Date.now()}`, // Unique ID for local storage plots
+        ownerName: document.getElementById("plot-name")?.value || "Anonymous",
+        landType,
+        email: document.getElementById("plot-email")?.value, // email is required in HTML
+        phone: document.getElementById("plot-phone")?.value,
+        status,
+        availableFrom: document.getElementById("plot-available-from")?.value,
+        availableUntil: document.getElementById("plot-available-until")?.value,
+        type: "polygon",
+        fields: this.state.map.getDrawnFields(),
+        area,
+        hives,
+        holes,
+        hiveStands,
+        bufferFeatures,
+        timestamp: editingPlot?.timestamp || new Date().toISOString(),
+        isUserCreated: true,
+      });
+    } catch (err) {
+      console.error("❌ Drawn plot is not valid:", err);
+      alert(
+        /availability/.test(err.message)
+          ? "Please check the availability dates: the end can't be before the start."
+          : "That shape can't be saved. Please draw at least three points.",
+      );
+      return;
+    }
 
-      console.log("✅ Plot successfully saved to storage:", newPlot);
+    // 4. Persistence: the API when it is running, else LocalStorage
+    try {
+      await this.plots.save(newPlot);
     } catch (err) {
-      console.error("❌ Failed to save plot to storage:", err);
+      console.error("❌ Failed to save plot:", err);
       alert(
-        "There was an error saving your plot. Local storage might be full.",
+        "There was an error saving your plot. Please check your connection and try again.",
       );
       return;
     }
 
-    // 6. UI Cleanup & Modal Handling
+    // 5. UI Cleanup & Modal Handling
     const saveModalEl = document.getElementById("saveModal");
     const modalInstance = bootstrap.Modal.getInstance(saveModalEl);
     if (modalInstance) {
       modalInstance.hide();
     }
 
-    // 7. Map & UI Refresh
+    // 6. Map & UI Refresh
+    this.state.editingPlotId = null;
     this.state.map.clearDrawLayer(); // Remove the "editable" drawing
+    this.resetImport();
     this.loadCommunityPlots(); // Refresh the map to show the new "saved" plot
 
     // Visual feedback for the user
     if (this.el.feedback) {
-      this.el.feedback.innerText = "Plot saved successfully! 🍯";
+      this.el.feedback.innerText = editingPlot
+        ? "Plot updated successfully! 🍯"
+        : "Plot saved successfully! 🍯";
       this.el.feedback.className = "text-success fw-bold p-2";
     }
 
-    // 8. Refocus on the map
+    // 7. Refocus on the map
     document.getElementById("map")?.focus();
   },
 
@@ -204,9 +911,45 @@ export const app = {
     if (!this.isValidRole(role)) return;
     this.state.role = role;
     if (shouldSave) this.storage.save("userRole", role);
+    this.updateUrl();
 
     this.state.modal.hide();
-    this.updateUI();
+    return this.updateUI();
+  },
+
+  /**
+   * Puts one of the user's saved plots into edit mode on the map
+   * @param {string} id - Id of a plot this browser created
+   */
+  async startEditing(id) {
+    if (this.state.role !== ROLES.LANDOWNER) {
+      await this.setRole(ROLES.LANDOWNER);
+    }
+
+    const plot = this.state.allPlots.find((p) => p.id == id);
+    if (!plot || plot.type !== "polygon" || !this.isOwnPlot(plot)) {
+      this.el.feedback.innerText = "Only your own saved plots can be edited.";
+      return;
+    }
+
+    this.state.editingPlotId = plot.id;
+    this.applyFilters(); // Hides the saved copy while it is being edited
+    this.state.map.editPlot(plot);
+    this.el.feedback.innerText = `Editing "${plot.ownerName}". Use the edit tool to reshape it, then Save Plot.`;
+  },
+
+  cancelEditing() {
+    this.state.editingPlotId = null;
+    this.state.map.clearDrawLayer();
+    this.applyFilters();
+    this.el.feedback.innerText = "Editing cancelled.";
+  },
+
+  getEditingPlot() {
+    if (!this.state.editingPlotId) return null;
+    return (
+      this.state.allPlots.find((p) => p.id == this.state.editingPlotId) || null
+    );
   },
 
   updateUI() {
@@ -232,50 +975,136 @@ export const app = {
       this.el.beekeeperSection.style.display = isLandowner ? "none" : "block";
     }
 
-    this.loadCommunityPlots();
+    return this.loadCommunityPlots();
   },
 
   async loadCommunityPlots() {
     try {
-      const response = await fetch("assets/data/landData.json");
-      const seedPlots = await response.json();
-      const userPlots = this.storage.load("user_plots") || [];
-      this.state.allPlots = [...seedPlots, ...userPlots];
+      this.state.allPlots = await this.plots.list();
+      const owned = await Promise.all(
+        this.state.allPlots.map((plot) => this.plots.isOwned(plot)),
+      );
+      this.state.ownedPlotIds = new Set(
+        this.state.allPlots
+          .filter((plot, i) => owned[i])
+          .map((plot) => String(plot.id)),
+      );
+      this.scorer.scoreAll(this.state.allPlots);
       this.applyFilters();
+      this.checkSavedSearches();
     } catch (error) {
       console.error("Sync error:", error);
     }
+    await this.loadInbox();
   },
 
   applyFilters() {
-    let filtered = this.state.allPlots;
-
-    if (this.state.filters.hiveCapacity) {
-      const min = parseInt(this.state.filters.hiveCapacity);
-      filtered = filtered.filter((p) => (parseInt(p.hives) || 0) <= min);
-    }
+    let filtered = this.state.allPlots.filter(
+      (p) =>
+        p.id != this.state.editingPlotId &&
+        this.isVisible(p) &&
+        this.matchesFilters(p),
+    );
 
-    if (this.state.filters.landType) {
-      filtered = filtered.filter(
-        (p) => p.landType === this.state.filters.landType,
+    // Radius search: keep plots within range, nearest first
+    const { origin, radiusKm } = this.state.filters;
+    this.state.distances = new Map();
+    if (origin) {
+      filtered.forEach((p) =>
+        this.state.distances.set(p.id, distanceKm(origin, p.center)),
       );
+      filtered = filtered
+        .filter((p) => this.state.distances.get(p.id) <= radiusKm)
+        .sort(
+          (a, b) =>
+            this.state.distances.get(a.id) - this.state.distances.get(b.id),
+        );
     }
 
-    this.state.map.clearAll();
+    this.state.results = filtered;
+    this.state.map.clearPlots();
     filtered.forEach((plot) => {
+      const details = { distanceKm: this.state.distances.get(plot.id) };
       plot.type === "polygon"
-        ? this.state.map.displayPolygon(plot)
-        : this.state.map.displayMarker(plot);
+        ? this.state.map.displayPolygon(plot, details)
+        : this.state.map.displayMarker(plot, details);
     });
 
     if (this.state.role === ROLES.BEEKEEPER) {
-      this.el.feedback.innerText = `Found ${filtered.length} plots matching your criteria.`;
+      this.el.feedback.innerText = origin
+        ? `Found ${filtered.length} plots within ${radiusKm} km of ${origin.label}.`
+        : `Found ${filtered.length} plots matching your criteria.`;
+    }
+
+    this.renderResults();
+  },
+
+  isOwnPlot(plot) {
+    return this.state.ownedPlotIds.has(String(plot.id));
+  },
+
+  /**
+   * Full, withdrawn, draft and expired plots are hidden, except from the
+   * landowner who listed them
+   * @param {LandPlot} plot
+   */
+  isVisible(plot) {
+    return (
+      plot.isListed() ||
+      (this.state.role === ROLES.LANDOWNER && this.isOwnPlot(plot))
+    );
+  },
+
+  /**
+   * Whether a beekeeper running these filters would see the plot: listed,
+   * passing the filters and inside the search radius
+   * @param {LandPlot} plot
+   * @param {Object} filters - As in state.filters
+   */
+  matchesSearch(plot, filters) {
+    const { origin, radiusKm } = filters;
+    return (
+      plot.isListed() &&
+      this.matchesFilters(plot, filters) &&
+      (!origin || distanceKm(origin, plot.center) <= radiusKm)
+    );
+  },
+
+  /**
+   * Checks a plot against the land type, hive capacity, area and suitability filters
+   * @param {LandPlot} plot
+   * @param {Object} filters - Defaults to the applied ones
+   */
+  matchesFilters(plot, filters = this.state.filters) {
+    const {
+      landTypes,
+      minHives,
+      maxHives,
+      minAcres,
+      maxAcres,
+      minSuitability,
+    } = { ...DEFAULT_FILTERS, ...filters };
+    const acres = LandPlot.convertArea(plot.area, "acres");
+
+    if (landTypes.length > 0 && !landTypes.includes(plot.landType)) {
+      return false;
+    }
+    if (minHives !== null && plot.hives < minHives) return false;
+    if (maxHives !== null && plot.hives > maxHives) return false;
+    if (minAcres !== null && acres < minAcres) return false;
+    if (maxAcres !== null && acres > maxAcres) return false;
+    if (minSuitability !== null && (plot.suitability ?? 0) < minSuitability) {
+      return false;
     }
+    return true;
   },
 
   clearRole() {
     this.state.role = null;
+    this.state.editingPlotId = null;
+    this.state.map.clearAll();
     this.storage.remove("userRole");
+    this.updateUrl();
     this.state.modal.show();
   },
 
@@ -286,6 +1115,7 @@ export const app = {
 document.addEventListener("DOMContentLoaded", () => {
   const mapManager = new MapManager("map");
   mapManager.init();
+  mapManager.setHeatmap(new HeatmapService());
   app.init(mapManager);
   window.app = app;
 });
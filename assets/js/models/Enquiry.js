@@ -0,0 +1,163 @@
+/**
+ * Enquiry Model
+ * A beekeeper's request to keep hives on a plot, and the landowner's answer.
+ * Shared by the browser and the API so both validate enquiries the same way.
+ */
+
+import { PLOT_STATUS } from "./LandPlot.js";
+
+export const ENQUIRY_STATUS = {
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export default class Enquiry {
+  constructor(data = {}) {
+    if (data.id === undefined || data.id === null || data.id === "") {
+      throw new Error("Invalid enquiry: missing id");
+    }
+    if (
+      data.plotId === undefined ||
+      data.plotId === null ||
+      data.plotId === ""
+    ) {
+      throw new Error(`Invalid enquiry ${data.id}: missing plot`);
+    }
+
+    this.id = data.id;
+    this.plotId = data.plotId;
+    this.name = String(data.name || "").trim();
+    this.email = String(data.email || "").trim();
+    this.hives = Number(data.hives);
+    this.startDate = data.startDate || "";
+    this.accessNeeds = String(data.accessNeeds || "").trim();
+    this.message = String(data.message || "").trim();
+    this.status = data.status || ENQUIRY_STATUS.PENDING;
+    this.createdAt = data.createdAt || null;
+    this.respondedAt = data.respondedAt || null;
+
+    if (!this.name) {
+      throw new Error(`Invalid enquiry ${this.id}: missing name`);
+    }
+    if (!EMAIL_PATTERN.test(this.email)) {
+      throw new Error(`Invalid enquiry ${this.id}: bad email`);
+    }
+    if (!Number.isInteger(this.hives) || this.hives < 1) {
+      throw new Error(`Invalid enquiry ${this.id}: hives must be 1 or more`);
+    }
+    if (
+      !DATE_PATTERN.test(this.startDate) ||
+      Number.isNaN(Date.parse(this.startDate))
+    ) {
+      throw new Error(`Invalid enquiry ${this.id}: bad start date`);
+    }
+    if (!Object.values(ENQUIRY_STATUS).includes(this.status)) {
+      throw new Error(`Invalid enquiry ${this.id}: unknown status`);
+    }
+  }
+
+  static from(data) {
+    return data instanceof Enquiry ? data : new Enquiry(data);
+  }
+
+  /**
+   * Builds enquiries from raw records, skipping (and logging) invalid ones
+   */
+  static fromList(records = []) {
+    return records.reduce((enquiries, record) => {
+      try {
+        enquiries.push(Enquiry.from(record));
+      } catch (error) {
+        console.warn("Skipping enquiry:", error.message);
+      }
+      return enquiries;
+    }, []);
+  }
+
+  /**
+   * Moves a plot along as an enquiry about it changes: a new enquiry
+   * reserves an available plot, an accepted one occupies its hives, and
+   * declining the last pending one makes a reserved plot available again.
+   * @param {LandPlot} plot - Updated in place
+   * @param {Enquiry} enquiry - The enquiry just created or answered
+   * @param {Enquiry[]} others - The plot's other enquiries
+   * @returns {LandPlot} The same plot
+   * @throws {Error} If the plot can't take the hives asked for
+   */
+  static applyToPlot(plot, enquiry, others = []) {
+    switch (enquiry.status) {
+      case ENQUIRY_STATUS.PENDING:
+        if (!plot.isListed()) {
+          throw new Error(
+            `Invalid enquiry ${enquiry.id}: plot isn't taking hives`,
+          );
+        }
+        if (plot.hives > 0 && enquiry.hives > plot.freeHives) {
+          throw new Error(
+            `Invalid enquiry ${enquiry.id}: only ${plot.freeHives} hives free`,
+          );
+        }
+        if (plot.status === PLOT_STATUS.AVAILABLE) {
+          plot.setStatus(PLOT_STATUS.RESERVED);
+        }
+        break;
+      case ENQUIRY_STATUS.ACCEPTED:
+        plot.occupy(enquiry.hives);
+        break;
+      case ENQUIRY_STATUS.DECLINED:
+        if (
+          plot.status === PLOT_STATUS.RESERVED &&
+          !others.some((e) => e.status === ENQUIRY_STATUS.PENDING)
+        ) {
+          plot.setStatus(PLOT_STATUS.AVAILABLE);
+        }
+        break;
+    }
+    return plot;
+  }
+
+  /**
+   * Accepts or declines a pending enquiry
+   * @returns {Enquiry} A new, answered enquiry
+   * @throws {Error} If it was already answered or the answer is unknown
+   */
+  respond(status, now = new Date()) {
+    if (this.status !== ENQUIRY_STATUS.PENDING) {
+      throw new Error(`Invalid enquiry ${this.id}: already ${this.status}`);
+    }
+    if (
+      status !== ENQUIRY_STATUS.ACCEPTED &&
+      status !== ENQUIRY_STATUS.DECLINED
+    ) {
+      throw new Error(`Invalid enquiry ${this.id}: unknown response`);
+    }
+    return new Enquiry({
+      ...this.toJSON(),
+      status,
+      respondedAt: now.toISOString(),
+    });
+  }
+
+  /**
+   * Plain object used for storage
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      plotId: this.plotId,
+      name: this.name,
+      email: this.email,
+      hives: this.hives,
+      startDate: this.startDate,
+      accessNeeds: this.accessNeeds,
+      message: this.message,
+      status: this.status,
+      createdAt: this.createdAt,
+      respondedAt: this.respondedAt,
+    };
+  }
+}
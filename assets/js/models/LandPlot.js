@@ -0,0 +1,590 @@
+/**
+ * LandPlot Model
+ * Canonical shape for every plot in the app, whether it comes from the seed
+ * JSON, from localStorage or from the drawing tools.
+ * Validates input and normalizes area units, coordinates and hive counts.
+ */
+
+import {
+  toLatLngPair,
+  geodesicArea,
+  centroid,
+  openRing,
+  pointInRing,
+} from "../utils/geometry.js";
+
+// Square metres in one unit of each supported area unit
+export const AREA_UNITS = {
+  m2: 1,
+  acres: 4046.8564224,
+  hectares: 10000,
+};
+
+const UNIT_LABELS = { m2: "m²", acres: "acres", hectares: "ha" };
+
+/**
+ * Plot lifecycle. Drafts aren't listed yet, available plots take enquiries,
+ * reserved ones have enquiries awaiting an answer, occupied ones have
+ * beekeepers on site (and may still have hives free), withdrawn ones are
+ * off the market.
+ */
+export const PLOT_STATUS = {
+  DRAFT: "draft",
+  AVAILABLE: "available",
+  RESERVED: "reserved",
+  OCCUPIED: "occupied",
+  WITHDRAWN: "withdrawn",
+};
+
+// Statuses each status may move to
+export const STATUS_TRANSITIONS = {
+  [PLOT_STATUS.DRAFT]: [PLOT_STATUS.AVAILABLE, PLOT_STATUS.WITHDRAWN],
+  [PLOT_STATUS.AVAILABLE]: [
+    PLOT_STATUS.RESERVED,
+    PLOT_STATUS.OCCUPIED,
+    PLOT_STATUS.WITHDRAWN,
+  ],
+  [PLOT_STATUS.RESERVED]: [
+    PLOT_STATUS.AVAILABLE,
+    PLOT_STATUS.OCCUPIED,
+    PLOT_STATUS.WITHDRAWN,
+  ],
+  [PLOT_STATUS.OCCUPIED]: [
+    PLOT_STATUS.AVAILABLE,
+    PLOT_STATUS.RESERVED,
+    PLOT_STATUS.WITHDRAWN,
+  ],
+  [PLOT_STATUS.WITHDRAWN]: [PLOT_STATUS.DRAFT, PLOT_STATUS.AVAILABLE],
+};
+
+// Free-text statuses from older data
+const LEGACY_STATUSES = {
+  "": PLOT_STATUS.AVAILABLE,
+  local: PLOT_STATUS.AVAILABLE,
+  pending: PLOT_STATUS.RESERVED,
+};
+
+const STATUS_DISPLAY = {
+  [PLOT_STATUS.DRAFT]: { label: "Draft", badge: "bg-light text-dark" },
+  [PLOT_STATUS.AVAILABLE]: { label: "Available", badge: "bg-success" },
+  [PLOT_STATUS.RESERVED]: { label: "Reserved", badge: "bg-warning text-dark" },
+  [PLOT_STATUS.OCCUPIED]: { label: "Occupied", badge: "bg-info text-dark" },
+  [PLOT_STATUS.WITHDRAWN]: { label: "Withdrawn", badge: "bg-secondary" },
+};
+
+// Beekeepers only see plots in these statuses
+const LISTED_STATUSES = [
+  PLOT_STATUS.AVAILABLE,
+  PLOT_STATUS.RESERVED,
+  PLOT_STATUS.OCCUPIED,
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Things marked on a plot that hives must be kept away from: houses are
+// points, footpaths are lines (see HiveCapacityCalculator for the distances)
+export const BUFFER_FEATURE_KINDS = ["house", "footpath"];
+
+export default class LandPlot {
+  constructor(data = {}) {
+    if (data.id === undefined || data.id === null || data.id === "") {
+      throw new Error("Invalid plot: missing id");
+    }
+
+    this.id = data.id;
+    this.ownerName = data.ownerName || "";
+    this.email = data.email || "";
+    this.phone = data.phone && data.phone !== "N/A" ? data.phone : "";
+    this.landType = data.landType || "Unspecified";
+    this.description = data.description || "";
+    this.locationName = data.locationName || "";
+    this.status = LandPlot.parseStatus(data.status);
+    if (!this.status) {
+      throw new Error(
+        `Invalid plot ${this.id}: unknown status "${data.status}"`,
+      );
+    }
+    this.suitability = null; // 0-100, set by SuitabilityScorer via applyScore()
+    this.scoreBreakdown = [];
+    this.timestamp = data.timestamp || null;
+    this.isUserCreated = Boolean(data.isUserCreated);
+
+    // 1. Geometry: polygons keep a [lat, lng] ring per field, markers keep
+    // lat/lng. `coordinates` is the first field, so single-field plots
+    // look the same as before.
+    const fields = Array.isArray(data.fields)
+      ? data.fields.map((ring) => LandPlot.normalizeCoordinates(ring))
+      : [LandPlot.normalizeCoordinates(data.coordinates)];
+    const isPolygon =
+      data.type === "polygon" || (!data.type && fields[0]?.length > 0);
+
+    if (isPolygon) {
+      if (fields.length === 0 || fields.some((ring) => ring.length < 3)) {
+        throw new Error(`Invalid plot ${this.id}: polygon needs 3+ points`);
+      }
+      this.type = "polygon";
+      this.fields = fields;
+      this.coordinates = fields[0];
+    } else {
+      const point = toLatLngPair({ lat: data.lat, lng: data.lng });
+      if (!point) {
+        throw new Error(`Invalid plot ${this.id}: missing lat/lng`);
+      }
+      this.type = "marker";
+      [this.lat, this.lng] = point;
+    }
+
+    // 2. Area in m² (stated area, then land size in acres, then geometry)
+    let area = LandPlot.parseArea(data.area);
+    if (area === null) area = LandPlot.parseArea(data.landSize, "acres");
+    if (area === null && this.type === "polygon") {
+      area = this.fields.reduce((sum, ring) => sum + geodesicArea(ring), 0);
+    }
+    this.area = Math.round(area || 0);
+
+    // 3. Hive capacity as a whole number
+    this.hives = LandPlot.parseHives(data.hives);
+    if (this.hives === null) {
+      throw new Error(`Invalid plot ${this.id}: bad hive count`);
+    }
+
+    // 4. Occupancy, capped at capacity in case the plot was redrawn smaller
+    const occupied = LandPlot.parseHives(data.occupiedHives);
+    if (occupied === null) {
+      throw new Error(`Invalid plot ${this.id}: bad occupied hive count`);
+    }
+    this.occupiedHives = Math.min(occupied, this.hives);
+
+    // 5. Availability window as YYYY-MM-DD dates, either end open
+    this.availableFrom = LandPlot.parseDate(data.availableFrom);
+    this.availableUntil = LandPlot.parseDate(data.availableUntil);
+    if (this.availableFrom === undefined || this.availableUntil === undefined) {
+      throw new Error(`Invalid plot ${this.id}: bad availability date`);
+    }
+    if (
+      this.availableFrom &&
+      this.availableUntil &&
+      this.availableUntil < this.availableFrom
+    ) {
+      throw new Error(
+        `Invalid plot ${this.id}: availability ends before it starts`,
+      );
+    }
+
+    // 6. Houses and footpaths marked inside the boundary
+    this.bufferFeatures = LandPlot.parseBufferFeatures(data.bufferFeatures);
+    if (!this.bufferFeatures) {
+      throw new Error(`Invalid plot ${this.id}: bad house or footpath`);
+    }
+
+    // 7. No-hive zones cut out of the boundary, and suggested hive stands
+    this.holes = LandPlot.parseHoles(data.holes);
+    if (!this.holes || (this.holes.length > 0 && this.type !== "polygon")) {
+      throw new Error(`Invalid plot ${this.id}: bad exclusion zone`);
+    }
+    this.hiveStands = LandPlot.parsePoints(data.hiveStands);
+    if (!this.hiveStands) {
+      throw new Error(`Invalid plot ${this.id}: bad hive stand`);
+    }
+  }
+
+  /**
+   * Returns the value as a LandPlot, constructing one if needed
+   */
+  static from(data) {
+    return data instanceof LandPlot ? data : new LandPlot(data);
+  }
+
+  /**
+   * Builds plots from raw records, skipping (and logging) invalid ones
+   * @param {Array} records - Raw plot objects
+   * @returns {LandPlot[]}
+   */
+  static fromList(records = []) {
+    return records.reduce((plots, record) => {
+      try {
+        plots.push(LandPlot.from(record));
+      } catch (error) {
+        console.warn("Skipping plot:", error.message);
+      }
+      return plots;
+    }, []);
+  }
+
+  /**
+   * Converts a list of [lat, lng] arrays or {lat, lng} objects into [lat, lng] arrays
+   * Accepts Leaflet's nested getLatLngs() output and uses the outer ring
+   */
+  static normalizeCoordinates(coords) {
+    if (!Array.isArray(coords) || coords.length === 0) return [];
+
+    const ring =
+      Array.isArray(coords[0]) && typeof coords[0][0] === "object"
+        ? coords[0]
+        : coords;
+
+    return ring.map(toLatLngPair).filter(Boolean);
+  }
+
+  /**
+   * Parses an area value into m²
+   * @param {number|string} value - e.g. 1200, "1,200 m²", "3.5 acres", "2 ha"
+   * @param {string} defaultUnit - Unit used when the value has none
+   * @returns {number|null} Area in m², or null if the value is missing or unreadable
+   */
+  static parseArea(value, defaultUnit = "m2") {
+    if (value === undefined || value === null || value === "") return null;
+    if (typeof value === "number") {
+      return Number.isFinite(value) && value >= 0
+        ? value * AREA_UNITS[defaultUnit]
+        : null;
+    }
+
+    const text = String(value).toLowerCase().replace(/,/g, "");
+    const number = parseFloat(text.replace(/^[^0-9.]*/, ""));
+    if (!Number.isFinite(number) || number < 0) return null;
+
+    let unit = defaultUnit;
+    if (/hectare|\bha\b/.test(text)) unit = "hectares";
+    else if (/acre|\bac\b/.test(text)) unit = "acres";
+    else if (/m²|m2|sq/.test(text)) unit = "m2";
+
+    return number * AREA_UNITS[unit];
+  }
+
+  /**
+   * Reads a lifecycle status, mapping older free-text values
+   * @returns {string|null} One of PLOT_STATUS, or null if unknown
+   */
+  static parseStatus(value) {
+    const text = String(value ?? "")
+      .trim()
+      .toLowerCase();
+    if (Object.values(PLOT_STATUS).includes(text)) return text;
+    return LEGACY_STATUSES[text] ?? null;
+  }
+
+  /**
+   * @returns {string|null|undefined} YYYY-MM-DD, null if missing, undefined if invalid
+   */
+  static parseDate(value) {
+    if (value === undefined || value === null || value === "") return null;
+    const text = String(value);
+    return DATE_PATTERN.test(text) && !Number.isNaN(Date.parse(text))
+      ? text
+      : undefined;
+  }
+
+  /**
+   * Reads marked houses and footpaths
+   * @param {Array} value - [{ kind: "house" | "footpath", coordinates: [[lat, lng], ...] }]
+   * @returns {Array|null} Normalized features, [] if missing, null if invalid
+   */
+  static parseBufferFeatures(value) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) return null;
+
+    const features = value.map((feature) => {
+      const coordinates = LandPlot.normalizeCoordinates(feature?.coordinates);
+      const needed = feature?.kind === "footpath" ? 2 : 1;
+      return BUFFER_FEATURE_KINDS.includes(feature?.kind) &&
+        coordinates.length >= needed
+        ? { kind: feature.kind, coordinates }
+        : null;
+    });
+    return features.every(Boolean) ? features : null;
+  }
+
+  /**
+   * Reads exclusion zones
+   * @param {Array} value - Rings, [[[lat, lng], ...], ...]
+   * @returns {Array|null} Rings of 3+ points, [] if missing, null if invalid
+   */
+  static parseHoles(value) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) return null;
+
+    const holes = value.map((ring) =>
+      openRing(LandPlot.normalizeCoordinates(ring)),
+    );
+    return holes.every((ring) => ring.length >= 3) ? holes : null;
+  }
+
+  /**
+   * Reads a list of points such as hive stands
+   * @returns {Array|null} [[lat, lng], ...], [] if missing, null if any point is invalid
+   */
+  static parsePoints(value) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) return null;
+
+    const points = value.map(toLatLngPair);
+    return points.every(Boolean) ? points : null;
+  }
+
+  /**
+   * Parses a hive count such as 12 or "12 Hives"
+   * @returns {number|null} Whole number of hives, 0 if missing, null if invalid
+   */
+  static parseHives(value) {
+    if (value === undefined || value === null || value === "") return 0;
+    const number = parseFloat(String(value).replace(/,/g, ""));
+    if (!Number.isFinite(number) || number < 0) return null;
+    return Math.floor(number);
+  }
+
+  /**
+   * Converts an area in m² into the given unit
+   */
+  static convertArea(squareMetres, unit = "m2") {
+    return squareMetres / (AREA_UNITS[unit] || 1);
+  }
+
+  get acres() {
+    return LandPlot.convertArea(this.area, "acres");
+  }
+
+  get hectares() {
+    return LandPlot.convertArea(this.area, "hectares");
+  }
+
+  /**
+   * Representative point of the plot: polygon centre (weighted by field
+   * size when there are several) or marker position
+   * @returns {Array} [lat, lng]
+   */
+  get center() {
+    if (this.type !== "polygon") return [this.lat, this.lng];
+    if (this.fields.length === 1) return centroid(this.coordinates);
+
+    const weights = this.fields.map((ring) => geodesicArea(ring));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return this.fields
+      .map((ring) => centroid(ring))
+      .reduce(
+        ([lat, lng], [fieldLat, fieldLng], i) => [
+          lat + (fieldLat * weights[i]) / total,
+          lng + (fieldLng * weights[i]) / total,
+        ],
+        [0, 0],
+      );
+  }
+
+  /**
+   * One [outer, ...holes] list per field, each no-hive zone under the field
+   * it sits in, as Leaflet multi-polygons and GeoJSON expect
+   */
+  get polygons() {
+    if (this.type !== "polygon") return [];
+    return this.fields.map((field, i) => [
+      field,
+      ...this.holes.filter((hole) => {
+        const home = this.fields.findIndex((ring) =>
+          pointInRing(hole[0], ring),
+        );
+        return home === i || (home === -1 && i === 0);
+      }),
+    ]);
+  }
+
+  /**
+   * Every boundary point across the fields, e.g. to fit a map around the plot
+   */
+  get boundsPoints() {
+    return this.type === "polygon" ? this.fields.flat() : [this.center];
+  }
+
+  get sizeCategory() {
+    if (this.area > 5000) return "Large";
+    if (this.area > 1000) return "Medium";
+    return "Small";
+  }
+
+  /**
+   * Formats the area in a unit, e.g. "12,000 m²" or "2.97 acres"
+   */
+  formatArea(unit = "m2") {
+    const value = LandPlot.convertArea(this.area, unit);
+    const digits = unit === "m2" ? 0 : 2;
+    const text = value.toLocaleString(undefined, {
+      maximumFractionDigits: digits,
+    });
+    return `${text} ${UNIT_LABELS[unit] || unit}`;
+  }
+
+  /**
+   * Area for popups and summaries, e.g. "12,000 m² (2.97 acres)"
+   */
+  formatSize() {
+    return `${this.formatArea()} (${this.formatArea("acres")})`;
+  }
+
+  /**
+   * Stores a SuitabilityScorer result on the plot
+   */
+  applyScore({ score, breakdown }) {
+    this.suitability = score;
+    this.scoreBreakdown = breakdown;
+  }
+
+  formatSuitability() {
+    return this.suitability === null ? "N/A" : `${this.suitability}/100`;
+  }
+
+  /**
+   * Display name for a status, e.g. "Reserved"
+   */
+  static formatStatus(status) {
+    return STATUS_DISPLAY[status]?.label || status;
+  }
+
+  get statusLabel() {
+    return LandPlot.formatStatus(this.status);
+  }
+
+  /**
+   * Bootstrap classes for the status badge
+   */
+  get statusBadgeClass() {
+    return STATUS_DISPLAY[this.status].badge;
+  }
+
+  /**
+   * Statuses this plot may move to next
+   */
+  get nextStatuses() {
+    return STATUS_TRANSITIONS[this.status];
+  }
+
+  /**
+   * Moves the plot through its lifecycle
+   * @throws {Error} If the lifecycle doesn't allow the move
+   */
+  setStatus(status) {
+    if (status === this.status) return;
+    if (!this.nextStatuses.includes(status)) {
+      throw new Error(
+        `Invalid plot ${this.id}: can't go from ${this.status} to ${status}`,
+      );
+    }
+    this.status = status;
+  }
+
+  get freeHives() {
+    return Math.max(0, this.hives - this.occupiedHives);
+  }
+
+  /**
+   * Every hive taken. Plots with no stated capacity never count as full.
+   */
+  get isFull() {
+    return this.hives > 0 && this.freeHives === 0;
+  }
+
+  /**
+   * Places a beekeeper's hives on the plot
+   * @throws {Error} If there isn't room or the plot can't be occupied
+   */
+  occupy(hives) {
+    if (this.hives > 0 && hives > this.freeHives) {
+      throw new Error(
+        `Invalid plot ${this.id}: only ${this.freeHives} of ${this.hives} hives free`,
+      );
+    }
+    this.setStatus(PLOT_STATUS.OCCUPIED);
+    this.occupiedHives = Math.min(this.occupiedHives + hives, this.hives);
+  }
+
+  /**
+   * Whether the availability window covers a date
+   * @param {string} date - YYYY-MM-DD
+   */
+  isAvailableOn(date) {
+    return (
+      (!this.availableFrom || this.availableFrom <= date) &&
+      (!this.availableUntil || this.availableUntil >= date)
+    );
+  }
+
+  /**
+   * Whether beekeepers should see the plot: published, not withdrawn, with
+   * hives free and an availability window that hasn't ended
+   * @param {string} today - YYYY-MM-DD
+   */
+  isListed(today = new Date().toISOString().slice(0, 10)) {
+    return (
+      LISTED_STATUSES.includes(this.status) &&
+      !this.isFull &&
+      (!this.availableUntil || this.availableUntil >= today)
+    );
+  }
+
+  /**
+   * Remaining capacity, e.g. "3 of 10 hives free"
+   */
+  formatCapacity() {
+    if (this.hives === 0) return this.formatHives();
+    return `${this.freeHives.toLocaleString()} of ${this.hives.toLocaleString()} ${this.hives === 1 ? "hive" : "hives"} free`;
+  }
+
+  /**
+   * Availability window, e.g. "1 May 2026 – 30 Sept 2026" or "From 1 May 2026"
+   */
+  formatAvailability() {
+    const format = (date) =>
+      new Date(`${date}T00:00:00Z`).toLocaleDateString("en-GB", {
+        day: "numeric",
+        month: "short",
+        year: "numeric",
+        timeZone: "UTC",
+      });
+
+    if (this.availableFrom && this.availableUntil) {
+      return `${format(this.availableFrom)} – ${format(this.availableUntil)}`;
+    }
+    if (this.availableFrom) return `From ${format(this.availableFrom)}`;
+    if (this.availableUntil) return `Until ${format(this.availableUntil)}`;
+    return "Any time";
+  }
+
+  formatHives() {
+    return `${this.hives.toLocaleString()} ${this.hives === 1 ? "Hive" : "Hives"}`;
+  }
+
+  /**
+   * Plain object used for storage
+   */
+  toJSON() {
+    const json = {
+      id: this.id,
+      ownerName: this.ownerName,
+      email: this.email,
+      phone: this.phone,
+      landType: this.landType,
+      description: this.description,
+      locationName: this.locationName,
+      status: this.status,
+      type: this.type,
+      area: this.area,
+      hives: this.hives,
+      occupiedHives: this.occupiedHives,
+      availableFrom: this.availableFrom,
+      availableUntil: this.availableUntil,
+      bufferFeatures: this.bufferFeatures,
+      holes: this.holes,
+      hiveStands: this.hiveStands,
+      timestamp: this.timestamp,
+      isUserCreated: this.isUserCreated,
+    };
+
+    if (this.type === "polygon") {
+      json.coordinates = this.coordinates;
+      if (this.fields.length > 1) json.fields = this.fields;
+    } else {
+      json.lat = this.lat;
+      json.lng = this.lng;
+    }
+
+    return json;
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * EnquiryRepository
+ * Stores beekeepers' enquiries against plots. Follows the PlotRepository's
+ * mode: the local API when it is running, otherwise this browser's
+ * localStorage, where this class also moves the plot along its lifecycle.
+ */
+
+import PlotRepository from "./PlotRepository.js";
+import Enquiry, { ENQUIRY_STATUS } from "../models/Enquiry.js";
+
+const ENQUIRIES_KEY = "plot_enquiries"; // Static mode only
+
+export default class EnquiryRepository {
+  /**
+   * @param {Object} options
+   * @param {PlotRepository} options.plots - Shares its mode and API client
+   */
+  constructor({ plots = new PlotRepository() } = {}) {
+    this.plots = plots;
+    this.storage = plots.storage;
+  }
+
+  /**
+   * Enquiries for any of the given plots, newest first. The API only shows
+   * them for plots this browser created, so the rest are skipped there.
+   * @param {Array} plotIds
+   * @returns {Promise<Enquiry[]>}
+   */
+  async forPlots(plotIds) {
+    if (plotIds.length === 0) return [];
+
+    if ((await this.plots.getMode()) === "api") {
+      const tokens = this.plots.ownerTokens();
+      const owned = plotIds.filter((id) => tokens[id]);
+      if (owned.length === 0) return [];
+
+      const query = owned
+        .map((id) => `plotId=${encodeURIComponent(id)}`)
+        .join("&");
+      return Enquiry.fromList(
+        await this.plots.request("GET", `enquiries?${query}`, null, {
+          ownerToken: owned.map((id) => tokens[id]).join(","),
+        }),
+      );
+    }
+
+    const ids = plotIds.map(String);
+    return Enquiry.fromList(this.loadLocal())
+      .filter((enquiry) => ids.includes(String(enquiry.plotId)))
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  /**
+   * Sends a beekeeper's enquiry about a plot
+   * @param {string|number} plotId
+   * @param {Object} details - { name, email, hives, startDate, accessNeeds, message }
+   * @returns {Promise<Enquiry>}
+   * @throws {Error} If the details are invalid or the API rejects them
+   */
+  async submit(plotId, details) {
+    if ((await this.plots.getMode()) === "api") {
+      return Enquiry.from(
+        await this.plots.request(
+          "POST",
+          `plots/${encodeURIComponent(plotId)}/enquiries`,
+          details,
+        ),
+      );
+    }
+
+    const enquiry = new Enquiry({
+      ...details,
+      id: `enquiry-${Date.now()}`,
+      plotId,
+      status: ENQUIRY_STATUS.PENDING,
+      createdAt: new Date().toISOString(),
+    });
+    await this.updatePlot(enquiry);
+    this.storage.saveItem(ENQUIRIES_KEY, enquiry.toJSON());
+    return enquiry;
+  }
+
+  /**
+   * Accepts or declines an enquiry
+   * @param {Enquiry} enquiry
+   * @param {string} status - ENQUIRY_STATUS.ACCEPTED or DECLINED
+   * @returns {Promise<Enquiry>}
+   */
+  async respond(enquiry, status) {
+    if ((await this.plots.getMode()) === "api") {
+      return Enquiry.from(
+        await this.plots.request(
+          "PATCH",
+          `enquiries/${encodeURIComponent(enquiry.id)}`,
+          { status },
+          { ownerToken: this.plots.ownerTokens()[enquiry.plotId] },
+        ),
+      );
+    }
+
+    const answered = enquiry.respond(status);
+    await this.updatePlot(answered);
+    this.storage.saveItem(ENQUIRIES_KEY, answered.toJSON());
+    return answered;
+  }
+
+  /**
+   * Static mode: applies an enquiry change to its plot
+   * @throws {Error} If the plot is gone or can't take the hives
+   */
+  async updatePlot(enquiry) {
+    const plot = await this.plots.get(enquiry.plotId);
+    if (!plot) throw new Error(`Invalid enquiry ${enquiry.id}: plot not found`);
+
+    const others = Enquiry.fromList(this.loadLocal()).filter(
+      (e) => e.plotId == enquiry.plotId && e.id != enquiry.id,
+    );
+    Enquiry.applyToPlot(plot, enquiry, others);
+    this.plots.saveLocalState(plot);
+  }
+
+  loadLocal() {
+    return this.storage.load(ENQUIRIES_KEY) || [];
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * ForageCalendarService
+ * Builds a month-by-month forage calendar for a plot from the bundled
+ * flowering data for its land type (works offline), adjusted by any
+ * measured pollen we have for the current month.
+ */
+
+const FLOW_THRESHOLD = 60; // Monthly forage value at or above this is a nectar flow
+const DEARTH_THRESHOLD = 20; // Below this is a dearth
+const MEASURED_WEIGHT = 0.3; // Share of the current month taken from live pollen data
+
+export default class ForageCalendarService {
+  constructor(dataUrl = "assets/data/forageCalendar.json") {
+    this.dataUrl = dataUrl;
+    this.data = null;
+  }
+
+  async loadData() {
+    if (!this.data) {
+      const response = await fetch(this.dataUrl);
+      if (!response.ok) throw new Error("Forage calendar data unavailable");
+      this.data = await response.json();
+    }
+    return this.data;
+  }
+
+  /**
+   * Calendar for a land type
+   * @param {string} landType
+   * @param {Object|null} pollen - WeatherService pollen data ({ forageIndex }), if any
+   * @param {Date} today - Decides which month the pollen data applies to
+   * @returns {Promise<Object>} See buildCalendar()
+   */
+  async getCalendar(landType, pollen = null, today = new Date()) {
+    const data = await this.loadData();
+    const profile = data.landTypes[landType] || data.default;
+    return ForageCalendarService.buildCalendar(
+      data.months,
+      profile,
+      pollen,
+      today.getMonth(),
+    );
+  }
+
+  /**
+   * @param {string[]} monthNames - Twelve short month names
+   * @param {Object} profile - { values: [12 x 0-100], plants: { Mon: [names] } }
+   * @param {Object|null} pollen - { forageIndex } measured for the current month
+   * @param {number} currentMonth - 0-11
+   * @returns {Object} { months: [{ name, value, level, plants, measured }], flows, dearths }
+   */
+  static buildCalendar(monthNames, profile, pollen, currentMonth) {
+    const hasPollen = Number.isFinite(pollen?.forageIndex);
+
+    const months = monthNames.map((name, index) => {
+      const measured = hasPollen && index === currentMonth;
+      const value = measured
+        ? Math.round(
+            profile.values[index] * (1 - MEASURED_WEIGHT) +
+              pollen.forageIndex * MEASURED_WEIGHT,
+          )
+        : profile.values[index];
+
+      let level = "moderate";
+      if (value >= FLOW_THRESHOLD) level = "flow";
+      else if (value < DEARTH_THRESHOLD) level = "dearth";
+
+      return {
+        name,
+        value,
+        level,
+        plants: profile.plants?.[name] || [],
+        measured,
+      };
+    });
+
+    return {
+      months,
+      flows: ForageCalendarService.findPeriods(months, "flow"),
+      dearths: ForageCalendarService.findPeriods(months, "dearth"),
+    };
+  }
+
+  /**
+   * Groups consecutive months with the same level into periods,
+   * joining a run that wraps from December into January
+   * @returns {Array} [{ from: "Nov", to: "Feb" }, ...]
+   */
+  static findPeriods(months, level) {
+    const runs = [];
+    months.forEach((month, index) => {
+      if (month.level !== level) return;
+      const last = runs[runs.length - 1];
+      if (last && last.end === index - 1) last.end = index;
+      else runs.push({ start: index, end: index });
+    });
+
+    const lastIndex = months.length - 1;
+    if (
+      runs.length > 1 &&
+      runs[0].start === 0 &&
+      runs[runs.length - 1].end === lastIndex
+    ) {
+      runs[0].start = runs.pop().start;
+    }
+
+    return runs.map(({ start, end }) => ({
+      from: months[start].name,
+      to: months[end].name,
+    }));
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * HeatmapService
+ * Samples bee score and forage index on a grid over the UK for the map's
+ * bee-friendliness overlay. Cells snap to fixed sizes so each one is fetched
+ * once and cached, whichever way the user pans.
+ */
+
+import WeatherService from "./WeatherService.js";
+import WeatherCache from "./WeatherCache.js";
+
+export const UK_BOUNDS = { south: 49.8, west: -8.7, north: 60.9, east: 1.8 };
+const CELL_SIZES = [0.1, 0.25, 0.5, 1, 2]; // Degrees, finest first
+const MAX_CELLS = 64; // Cells sampled for one view before switching to a coarser grid
+
+export default class HeatmapService {
+  /**
+   * @param {Object} options
+   * @param {WeatherService} options.weatherService - Only its light current-conditions call is used,
+   *   uncached; the cell summaries are stored here instead
+   * @param {WeatherCache} options.cache - Cell key -> { beeScore, forageIndex, value }
+   */
+  constructor({
+    weatherService = new WeatherService({ cache: null }),
+    cache = new WeatherCache({
+      storageKey: "beeLandr_heatmap_cache",
+      maxEntries: 500,
+    }),
+  } = {}) {
+    this.weatherService = weatherService;
+    this.cache = cache;
+    this.cache.prune();
+  }
+
+  /**
+   * Grid cells covering the bounds (clipped to the UK)
+   * @param {Object} bounds - { south, west, north, east }
+   * @returns {Array} [{ key, south, west, north, east, center: [lat, lng] }]
+   */
+  static cellsInBounds(bounds) {
+    const south = Math.max(bounds.south, UK_BOUNDS.south);
+    const north = Math.min(bounds.north, UK_BOUNDS.north);
+    const west = Math.max(bounds.west, UK_BOUNDS.west);
+    const east = Math.min(bounds.east, UK_BOUNDS.east);
+    if (south >= north || west >= east) return [];
+
+    const range = (min, max, size) => [
+      Math.floor(min / size),
+      Math.ceil(max / size) - 1,
+    ];
+    const size =
+      CELL_SIZES.find((s) => {
+        const [r0, r1] = range(south, north, s);
+        const [c0, c1] = range(west, east, s);
+        return (r1 - r0 + 1) * (c1 - c0 + 1) <= MAX_CELLS;
+      }) || CELL_SIZES[CELL_SIZES.length - 1];
+
+    const [rowStart, rowEnd] = range(south, north, size);
+    const [colStart, colEnd] = range(west, east, size);
+    const cells = [];
+
+    for (let row = rowStart; row <= rowEnd; row++) {
+      for (let col = colStart; col <= colEnd; col++) {
+        const cellSouth = row * size;
+        const cellWest = col * size;
+        cells.push({
+          key: `${size}:${row}:${col}`,
+          south: cellSouth,
+          west: cellWest,
+          north: cellSouth + size,
+          east: cellWest + size,
+          center: [cellSouth + size / 2, cellWest + size / 2],
+        });
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Score for one cell, from the cache when possible
+   * @returns {Promise<Object|null>} { beeScore, forageIndex, value }, null if no data
+   */
+  async getCellScore(cell) {
+    const cached = this.cache.get(cell.key);
+    if (cached && !cached.isStale) return cached.data;
+
+    const [lat, lng] = cell.center;
+    const weather = await this.weatherService.getCurrentConditions(lat, lng);
+    if (weather.isFallback) return cached?.data || null;
+
+    const forageIndex = weather.forageIndex ?? null;
+    const data = {
+      beeScore: weather.beeScore,
+      forageIndex,
+      value: HeatmapService.combine(weather.beeScore, forageIndex),
+    };
+    this.cache.set(cell.key, data);
+    return data;
+  }
+
+  /**
+   * One 0-100 value per cell: the average of bee score and forage index,
+   * or the bee score alone where there is no pollen data
+   */
+  static combine(beeScore, forageIndex) {
+    return Number.isFinite(forageIndex)
+      ? Math.round((beeScore + forageIndex) / 2)
+      : beeScore;
+  }
+
+  /**
+   * Red (0) through yellow to green (100)
+   */
+  static colorFor(value) {
+    const clamped = Math.max(0, Math.min(100, value));
+    return `hsl(${Math.round(clamped * 1.2)}, 75%, 45%)`;
+  }
+}
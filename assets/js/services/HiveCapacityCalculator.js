@@ -0,0 +1,217 @@
+/**
+ * HiveCapacityCalculator
+ * Estimates how many hives a plot can hold, following common apiary
+ * guidance rather than a flat hives-per-m² rate:
+ *  - hives only go on usable ground, away from the plot edge, from
+ *    houses and footpaths the landowner marks and from no-hive zones;
+ *  - the rest of the plot has to feed them, so the land type's forage
+ *    sets a second limit;
+ *  - a single apiary site is capped regardless of size.
+ * Used for drawn, imported and seed plots alike.
+ */
+
+import { AREA_UNITS } from "../models/LandPlot.js";
+import { geodesicArea, openRing, pointInRing } from "../utils/geometry.js";
+
+// Per land type: hives per usable acre of placement space, and hives per
+// acre the forage supports
+export const DEFAULT_RULES = {
+  "Wildflower Meadow": { hivesPerAcre: 4, forageHivesPerAcre: 3 },
+  Orchard: { hivesPerAcre: 4, forageHivesPerAcre: 2.5 },
+  Farmland: { hivesPerAcre: 3, forageHivesPerAcre: 2 },
+  Pasture: { hivesPerAcre: 3, forageHivesPerAcre: 1.5 },
+  Vineyard: { hivesPerAcre: 3, forageHivesPerAcre: 1 },
+  Woodland: { hivesPerAcre: 2, forageHivesPerAcre: 1.5 },
+  Garden: { hivesPerAcre: 2, forageHivesPerAcre: 2 },
+  Park: { hivesPerAcre: 2, forageHivesPerAcre: 1.5 },
+};
+
+const DEFAULT_RULE = { hivesPerAcre: 3, forageHivesPerAcre: 2 };
+
+// Metres kept clear around each kind of feature
+export const DEFAULT_BUFFERS = {
+  edge: 5, // Plot boundary, so flight paths don't cross the neighbours' land
+  house: 30,
+  footpath: 10,
+};
+
+const MAX_HIVES_PER_APIARY = 40;
+const SAMPLE_GRID = 60; // Samples per side when measuring usable ground
+const METRES_PER_DEGREE = 111320;
+
+export default class HiveCapacityCalculator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.rules - Land type -> { hivesPerAcre, forageHivesPerAcre }, merged over the defaults
+   * @param {Object} options.buffers - { edge, house, footpath } in metres, merged over the defaults
+   * @param {number} options.maxHives - Cap for a single apiary site
+   */
+  constructor({
+    rules = {},
+    buffers = {},
+    maxHives = MAX_HIVES_PER_APIARY,
+  } = {}) {
+    this.rules = { ...DEFAULT_RULES, ...rules };
+    this.buffers = { ...DEFAULT_BUFFERS, ...buffers };
+    this.maxHives = maxHives;
+  }
+
+  ruleFor(landType) {
+    return this.rules[landType] || DEFAULT_RULE;
+  }
+
+  /**
+   * @param {Object} plot
+   * @param {Array} plot.coordinates - Boundary ring [[lat, lng], ...], if there is one
+   * @param {Array} plot.fields - Boundary rings of a plot spanning several fields, instead of coordinates
+   * @param {Array} plot.holes - No-hive zones inside the boundary, [ring, ...]
+   * @param {number} plot.area - m² inside the boundary, defaults to the rings' area
+   * @param {string} plot.landType
+   * @param {Array} plot.bufferFeatures - [{ kind: "house" | "footpath", coordinates: [[lat, lng], ...] }]
+   * @returns {Object} { hives, totalArea, openArea, usableArea, placementHives, forageHives, limitedBy }
+   *   openArea is what the no-hive zones leave; limitedBy is "placement", "forage" or "apiary"
+   */
+  calculate({
+    coordinates = [],
+    fields = null,
+    holes = [],
+    area = null,
+    landType,
+    bufferFeatures = [],
+  } = {}) {
+    const rings = (fields || [coordinates || []])
+      .map(openRing)
+      .filter((ring) => ring.length >= 3);
+    const ringAreas = rings.map((ring) => geodesicArea(ring));
+    const ringArea = ringAreas.reduce((sum, value) => sum + value, 0);
+    const totalArea = area ?? ringArea;
+    const isPolygon = rings.length > 0;
+
+    // Zones are measured as a share, so they scale with a stated area too
+    const holeArea = holes.reduce((sum, hole) => sum + geodesicArea(hole), 0);
+    const openArea =
+      isPolygon && ringArea > 0
+        ? totalArea * Math.max(0, 1 - holeArea / ringArea)
+        : totalArea;
+    // Each field is sampled on its own grid, then weighted by its size.
+    // Marker plots have no edge to measure from, so all of it counts.
+    const usableShare = !isPolygon
+      ? 1
+      : ringArea > 0
+        ? rings.reduce(
+            (sum, ring, i) =>
+              sum +
+              (ringAreas[i] / ringArea) *
+                this.usableShare(ring, bufferFeatures, holes),
+            0,
+          )
+        : 0;
+    const usableArea = totalArea * usableShare;
+
+    const rule = this.ruleFor(landType);
+    const placementHives = (usableArea / AREA_UNITS.acres) * rule.hivesPerAcre;
+    const forageHives = (openArea / AREA_UNITS.acres) * rule.forageHivesPerAcre;
+
+    const limits = {
+      placement: placementHives,
+      forage: forageHives,
+      apiary: this.maxHives,
+    };
+    const limitedBy = Object.keys(limits).reduce((a, b) =>
+      limits[b] < limits[a] ? b : a,
+    );
+
+    return {
+      hives: Math.max(0, Math.floor(limits[limitedBy])),
+      totalArea,
+      openArea,
+      usableArea,
+      placementHives: Math.floor(placementHives),
+      forageHives: Math.floor(forageHives),
+      limitedBy,
+    };
+  }
+
+  /**
+   * Share (0-1) of the plot outside every buffer and no-hive zone, measured
+   * on a grid of sample points so concave plots and any mix of features are
+   * handled alike
+   * @param {Array} ring - [[lat, lng], ...]
+   * @param {Array} bufferFeatures
+   * @param {Array} holes - No-hive zones; hives keep the edge buffer from these too
+   */
+  usableShare(ring, bufferFeatures = [], holes = []) {
+    // Local flat projection in metres, as [north, east] to suit pointInRing
+    const [lat0, lng0] = ring[0];
+    const eastScale = Math.cos((lat0 * Math.PI) / 180) * METRES_PER_DEGREE;
+    const project = ([lat, lng]) => [
+      (lat - lat0) * METRES_PER_DEGREE,
+      (lng - lng0) * eastScale,
+    ];
+
+    const boundary = ring.map(project);
+    const zones = holes.map((hole) => openRing(hole).map(project));
+    const edges = [boundary, ...zones].flatMap((points) =>
+      toSegments([...points, points[0]]),
+    );
+    const obstacles = bufferFeatures
+      .filter((feature) => this.buffers[feature.kind] > 0)
+      .map((feature) => ({
+        buffer: this.buffers[feature.kind],
+        segments: toSegments(feature.coordinates.map(project)),
+      }));
+
+    const norths = boundary.map(([north]) => north);
+    const easts = boundary.map(([, east]) => east);
+    const south = Math.min(...norths);
+    const west = Math.min(...easts);
+    const step =
+      Math.max(Math.max(...norths) - south, Math.max(...easts) - west) /
+      SAMPLE_GRID;
+    if (step === 0) return 0;
+
+    let inside = 0;
+    let usable = 0;
+    for (let row = 0; row < SAMPLE_GRID; row++) {
+      for (let col = 0; col < SAMPLE_GRID; col++) {
+        const point = [south + (row + 0.5) * step, west + (col + 0.5) * step];
+        if (!pointInRing(point, boundary)) continue;
+        inside++;
+
+        const clear =
+          !zones.some((zone) => pointInRing(point, zone)) &&
+          distanceToSegments(point, edges) >= this.buffers.edge &&
+          obstacles.every(
+            ({ buffer, segments }) =>
+              distanceToSegments(point, segments) >= buffer,
+          );
+        if (clear) usable++;
+      }
+    }
+    return inside === 0 ? 0 : usable / inside;
+  }
+}
+
+// A single point becomes a zero-length segment, so houses and paths share one distance test
+function toSegments(points) {
+  if (points.length === 1) return [[points[0], points[0]]];
+  return points.slice(1).map((point, i) => [points[i], point]);
+}
+
+function distanceToSegments(point, segments) {
+  return Math.min(...segments.map(([a, b]) => distanceToSegment(point, a, b)));
+}
+
+function distanceToSegment([py, px], [ay, ax], [by, bx]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t =
+    lengthSquared === 0
+      ? 0
+      : Math.max(
+          0,
+          Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared),
+        );
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
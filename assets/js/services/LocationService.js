@@ -0,0 +1,64 @@
+/**
+ * LocationService
+ * Resolves a search origin for "near me" searches, either from the browser's
+ * geolocation or from a UK town name in the bundled ukCities.json
+ */
+
+export default class LocationService {
+  constructor(citiesUrl = "assets/data/ukCities.json") {
+    this.citiesUrl = citiesUrl;
+    this.cities = null; // Loaded on first lookup
+  }
+
+  /**
+   * Loads the bundled list of UK towns
+   * @returns {Promise<Array>} [{ name, lat, lng }, ...]
+   */
+  async getCities() {
+    if (!this.cities) {
+      const response = await fetch(this.citiesUrl);
+      if (!response.ok) throw new Error("Could not load UK towns list");
+      this.cities = await response.json();
+    }
+    return this.cities;
+  }
+
+  /**
+   * Finds a town by name: exact match first, then the first town starting with the query
+   * @param {string} query - Town name typed by the user
+   * @returns {Promise<Object|null>} { name, lat, lng } or null if nothing matches
+   */
+  async findCity(query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return null;
+
+    const cities = await this.getCities();
+    return (
+      cities.find((city) => city.name.toLowerCase() === needle) ||
+      cities.find((city) => city.name.toLowerCase().startsWith(needle)) ||
+      null
+    );
+  }
+
+  /**
+   * Wraps navigator.geolocation in a promise
+   * @returns {Promise<Object>} { lat, lng }
+   */
+  getCurrentPosition() {
+    return new Promise((resolve, reject) => {
+      if (!navigator.geolocation) {
+        reject(new Error("Geolocation is not supported by this browser"));
+        return;
+      }
+      navigator.geolocation.getCurrentPosition(
+        (position) =>
+          resolve({
+            lat: position.coords.latitude,
+            lng: position.coords.longitude,
+          }),
+        (error) => reject(new Error(error.message)),
+        { enableHighAccuracy: false, timeout: 10000 },
+      );
+    });
+  }
+}
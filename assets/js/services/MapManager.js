@@ -3,18 +3,57 @@
  * Handles all map interactions including markers, polygons, and drawing
  */
 
+import LandPlot from "../models/LandPlot.js";
+import PlotLayout, { PART_STYLES } from "../ui/PlotLayout.js";
+import { pointInRing, toRingList } from "../utils/geometry.js";
+import { escapeHTML } from "../utils/html.js";
+import HeatmapService from "./HeatmapService.js";
+import HiveCapacityCalculator from "./HiveCapacityCalculator.js";
+
+const DEFAULT_VIEW = { lat: 51.5074, lng: -0.1278, zoom: 13 }; // London
+const POLYGON_MIN_ZOOM = 13; // Below this, polygons collapse into clustered points
+const RENDER_PADDING = 0.25; // Extra viewport fraction drawn around the visible bounds
+const HEATMAP_CONCURRENCY = 2; // Heatmap cells fetched at once, so panning stays responsive
+const DRAW_HINT =
+  "Draw more shapes to add fields. Mark houses and footpaths, draw no-hive zones inside a field and place hive stands.";
+const LIMIT_LABELS = {
+  placement: "room to place hives",
+  forage: "forage",
+  apiary: "the apiary size cap",
+};
+
 export default class MapManager {
   constructor(mapElement = "map") {
     this.mapElement = mapElement;
     this.map = null;
     this.drawnItems = new L.FeatureGroup();
+    this.overlapLayer = new L.FeatureGroup(); // Where the drawing overlaps saved plots
     this.drawControl = null;
     this.featureGroup = new L.FeatureGroup(); // Group to track all loaded features
+    this.clusterGroup = L.markerClusterGroup
+      ? L.markerClusterGroup({
+          chunkedLoading: true,
+          showCoverageOnHover: false,
+          iconCreateFunction: (cluster) => this.createClusterIcon(cluster),
+        })
+      : this.featureGroup; // Plain markers if Leaflet.markercluster is missing
+    this.plots = new Map(); // Plot id -> { plot, details } for everything displayed
+    this.rendered = new Map(); // Plot id -> { layer, mode } for what is on the map now
+    this.renderQueued = false;
+    this.drawnStats = { area: 0, hives: 0 }; // Figures for the current drawing
+    this.capacity = new HiveCapacityCalculator();
+    this.heatmap = null; // HeatmapService, set with setHeatmap()
+    this.heatmapLayer = new L.FeatureGroup();
+    this.heatmapCells = new Map(); // Cell key -> { rectangle, state } in view; state is queued, loading or done
+    this.heatmapQueue = []; // Cells waiting to be fetched, nearest the view first
+    this.heatmapLoading = 0;
+    this.heatmapEnabled = false;
   }
 
   init() {
     // Initialize Leaflet map
-    this.map = L.map(this.mapElement).setView([51.5074, -0.1278], 13);
+    this.map = L.map(this.mapElement);
+    this.setView(DEFAULT_VIEW);
 
     // Add OpenStreetMap tiles
     L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
@@ -22,9 +61,20 @@ export default class MapManager {
       maxZoom: 19,
     }).addTo(this.map);
 
+    // Heatmap cells sit below plots, so they never block plot clicks
+    this.map.createPane("heatmap").style.zIndex = 350;
+
     // Add layers to map
     this.map.addLayer(this.drawnItems);
+    this.map.addLayer(this.overlapLayer);
     this.map.addLayer(this.featureGroup);
+    this.map.addLayer(this.clusterGroup);
+
+    // Only plots near the viewport are drawn, so redraw after every move
+    this.map.on("moveend", () => {
+      this.renderVisible();
+      if (this.heatmapEnabled) this.renderHeatmap();
+    });
 
     // Initialize drawing tools
     this.initDrawControl();
@@ -32,53 +82,125 @@ export default class MapManager {
     // Event: User finishes drawing a shape
     this.map.on(L.Draw.Event.CREATED, (e) => {
       const layer = e.layer;
+      const kind = this.partKindFor(e.layerType, layer);
+      this.clearOverlaps();
 
-      // Clear previous unsaved drawings
-      this.drawnItems.clearLayers();
+      // Marked parts are kept alongside the fields; a shape outside every
+      // field becomes another field of the same plot
+      if (kind) {
+        layer.drawnKind = kind;
+        if (kind === "hole") layer.setStyle(PART_STYLES.hole);
+      }
       this.drawnItems.addLayer(layer);
 
       // Calculate and update Sidebar UI
-      this.updateSidebarStats(layer);
+      this.refreshDrawnStats();
+    });
+
+    // Event: User saves changes made with the edit toolbar
+    this.map.on(L.Draw.Event.EDITED, () => {
+      this.clearOverlaps();
+      this.refreshDrawnStats();
+    });
+
+    // Event: User removes shapes with the delete toolbar
+    this.map.on(L.Draw.Event.DELETED, () => {
+      this.clearOverlaps();
+      this.refreshDrawnStats();
     });
 
     console.log("MapManager initialized");
   }
 
   /**
-   * Calculates area and updates the sidebar DOM elements
+   * What a newly drawn shape marks: null for a field of the plot, otherwise
+   * a house, footpath, hive stand or, for shapes drawn inside a field, a
+   * no-hive zone
    */
-  updateSidebarStats(layer) {
-    let areaValue = 0;
-    let areaText = "0 m²";
-    let hiveCount = 0;
+  partKindFor(layerType, layer) {
+    if (layerType === "marker") return "house";
+    if (layerType === "polyline") return "footpath";
+    if (layerType === "circlemarker") return "stand";
 
-    // Check if it's a polygon or rectangle
-    if (layer instanceof L.Polygon || layer instanceof L.Rectangle) {
-      const latlngs = layer.getLatLngs()[0];
+    const points = LandPlot.normalizeCoordinates(layer.getLatLngs());
+    return this.getDrawnFields().some((ring) =>
+      points.every((point) => pointInRing(point, ring)),
+    )
+      ? "hole"
+      : null;
+  }
 
-      // Use GeometryUtil if available, else fallback to 0
-      if (L.GeometryUtil) {
-        areaValue = L.GeometryUtil.geodesicArea(latlngs);
-        areaText = `${Math.round(areaValue).toLocaleString()} m²`;
-        // Formula: roughly 1 hive per 10 square meters = 10 foot buffer
-        hiveCount = Math.floor(areaValue / 10);
-      } else {
-        console.warn(
-          "Leaflet.GeometryUtil not found. Please add the script tag to index.html",
-        );
-        areaText = "GeometryUtil Missing";
-      }
-    }
+  /**
+   * Recalculates the sidebar figures after a field or anything marked on
+   * the plot changes
+   */
+  refreshDrawnStats() {
+    this.getDrawnLayer() ? this.updateSidebarStats() : this.resetSidebarStats();
+  }
+
+  /**
+   * Calculates the combined area and hive capacity of the drawn fields and
+   * updates the sidebar DOM elements.
+   * The land type isn't known until the plot is saved, so the sidebar uses
+   * the calculator's general rule.
+   */
+  updateSidebarStats() {
+    const stats = this.measureDrawing();
+    const usableAcres = LandPlot.convertArea(stats.usableArea, "acres");
+    const totalAcres = LandPlot.convertArea(stats.area, "acres");
 
     // Update the Sidebar
     const areaDisplay = document.getElementById("area-display");
     const hiveDisplay = document.getElementById("hive-display");
+    const hiveDetail = document.getElementById("hive-detail");
+
+    if (areaDisplay) {
+      areaDisplay.innerText = `${Math.round(stats.area).toLocaleString()} m²`;
+    }
+    if (hiveDisplay) hiveDisplay.innerText = `${stats.hives} Hives`;
+    if (hiveDetail) {
+      const stands = stats.hiveStands.length
+        ? ` · ${stats.hiveStands.length} ${PlotLayout.label("stand", stats.hiveStands.length)} placed`
+        : "";
+      const fields =
+        stats.fields.length > 1 ? ` across ${stats.fields.length} fields` : "";
+      hiveDetail.innerText = `${usableAcres.toFixed(2)} of ${totalAcres.toFixed(2)} acres usable${fields} after buffers · limited by ${LIMIT_LABELS[stats.limitedBy]}${stands}`;
+    }
 
-    if (areaDisplay) areaDisplay.innerText = areaText;
-    if (hiveDisplay) hiveDisplay.innerText = `${hiveCount} Hives`;
+    this.drawnStats = stats;
+  }
+
+  /**
+   * Runs the fields and everything marked on them through the capacity calculator
+   * @param {string} landType - Omit to use the general rule
+   * @returns {Object} { area, hives, usableArea, limitedBy, fields, holes, hiveStands, bufferFeatures }
+   */
+  measureDrawing(landType) {
+    const fields = this.getDrawnFields();
+    const parts = this.getDrawnParts();
+    const { hives, totalArea, usableArea, limitedBy } = this.capacity.calculate(
+      {
+        fields,
+        holes: parts.holes,
+        landType,
+        bufferFeatures: parts.bufferFeatures,
+      },
+    );
+    return { area: totalArea, hives, usableArea, limitedBy, fields, ...parts };
   }
 
   initDrawControl() {
+    // The marker and line tools mark houses and footpaths for the hive
+    // buffers, the circle marker places hive stands. Polygons drawn inside
+    // a field become no-hive zones, others add a field (see partKindFor).
+    if (L.drawLocal) {
+      L.drawLocal.draw.toolbar.buttons.marker = "Mark a house";
+      L.drawLocal.draw.toolbar.buttons.polyline = "Mark a footpath";
+      L.drawLocal.draw.toolbar.buttons.circlemarker = "Place a hive stand";
+      L.drawLocal.draw.toolbar.buttons.polygon =
+        "Draw a field of the plot, or a no-hive zone inside one";
+    }
+
     this.drawControl = new L.Control.Draw({
       edit: {
         featureGroup: this.drawnItems,
@@ -92,82 +214,441 @@ export default class MapManager {
         rectangle: {
           shapeOptions: { color: "#ffc107" },
         },
-        polyline: false,
+        polyline: { shapeOptions: PART_STYLES.footpath },
+        marker: { icon: PlotLayout.houseIcon() },
+        circlemarker: PART_STYLES.stand,
         circle: false,
-        marker: false,
-        circlemarker: false,
       },
     });
     this.map.addControl(this.drawControl);
   }
 
-  displayMarker(land) {
-    // 1. Validation: Ensure map exists and we have coordinates
-    if (!this.map || (!land.lat && !land.lng)) return;
+  /**
+   * Adds a marker plot to the map. Drawing is deferred to renderVisible().
+   */
+  displayMarker(land, details = {}) {
+    this.addPlot(land, details);
+  }
 
-    const isUser = land.isUserCreated;
-    const detailsUrl = `details.html?id=${land.id}`;
+  /**
+   * Adds a polygon plot to the map. Drawing is deferred to renderVisible().
+   */
+  displayPolygon(land, details = {}) {
+    this.addPlot(land, details);
+  }
 
-    // 2. Create the marker / Customize once the flow is working
+  addPlot(land, details) {
+    if (!this.map) return;
+    const plot = LandPlot.from(land);
 
-    const marker = L.marker([land.lat, land.lng]).addTo(this.featureGroup);
+    this.plots.set(String(plot.id), { plot, details });
+    this.scheduleRender();
+  }
 
-    // 3. Prepare the popup content (Matching displayPolygon structure)
-    const popupContent = `
-    <div class="bee-popup">
-      <h6 class="mb-1 fw-bold">${land.ownerName || "Unnamed Plot"}</h6>
-      <p class="small text-muted mb-1"><strong>Type:</strong> ${land.landType || "Unknown"}</p>
-      <p class="small text-muted mb-1"><strong>Size:</strong> ${land.landSize || land.area || "N/A"}</p>
-      <p class="small text-muted mb-1"><strong>Suitability:</strong> ${land.suitability || "N/A"}</p>
-      <p class="small text-muted mb-1"><strong>Hive Capacity:</strong> ${land.hives || "N/Asssss"}</p>
-      <p class="small text-muted mb-1"><strong>Contact:</strong> ${land.email || land.phone || "N/A"}</p>
-      <div class="d-flex justify-content-between align-items-center mt-2 pt-2 border-top">
-        <span class="badge bg-warning text-dark">${land.status || (isUser ? "Local" : "Available")}</span>
-        <a href="${detailsUrl}" class="btn btn-sm btn-dark text-warning fw-bold border-warning" style="font-size: 0.7rem;">
-          VIEW DETAILS →
-        </a>
-      </div>
-    </div>
-  `;
+  /**
+   * Batches the many displayX calls of one filter pass into a single render
+   */
+  scheduleRender() {
+    if (this.renderQueued) return;
+    this.renderQueued = true;
+    requestAnimationFrame(() => {
+      this.renderQueued = false;
+      this.renderVisible();
+    });
+  }
+
+  /**
+   * Draws plots inside the (padded) viewport and drops the ones that left it.
+   * Polygons are drawn as shapes when zoomed in and as clustered points otherwise.
+   */
+  renderVisible() {
+    if (!this.map) return;
+
+    const bounds = this.map.getBounds().pad(RENDER_PADDING);
+    const showShapes = this.map.getZoom() >= POLYGON_MIN_ZOOM;
+    const modeFor = (plot) =>
+      plot.type === "polygon" && showShapes ? "polygon" : "point";
+
+    // 1. Remove layers that are off-screen, filtered out or in the wrong mode
+    const stalePoints = [];
+    this.rendered.forEach(({ layer, mode }, id) => {
+      const entry = this.plots.get(id);
+      if (
+        entry &&
+        bounds.contains(entry.plot.center) &&
+        modeFor(entry.plot) === mode
+      ) {
+        return;
+      }
+      mode === "point"
+        ? stalePoints.push(layer)
+        : this.featureGroup.removeLayer(layer);
+      this.rendered.delete(id);
+    });
+    this.removeFromClusters(stalePoints);
+
+    // 2. Add layers for plots that came into view
+    const newPoints = [];
+    this.plots.forEach(({ plot, details }, id) => {
+      if (this.rendered.has(id) || !bounds.contains(plot.center)) return;
+
+      const mode = modeFor(plot);
+      const layer = this.createLayer(plot, details, mode);
+      mode === "point" ? newPoints.push(layer) : layer.addTo(this.featureGroup);
+      this.rendered.set(id, { layer, mode });
+    });
+    this.addToClusters(newPoints);
+  }
 
-    // 4. Bind popup with consistent constraints
-    marker.bindPopup(popupContent, {
+  /**
+   * Builds the Leaflet layer for a plot
+   * @param {string} mode - "polygon" for the shape, "point" for a clusterable marker
+   */
+  createLayer(plot, details, mode) {
+    const layer =
+      mode === "polygon"
+        ? L.polygon(plot.polygons, {
+            color: plot.isUserCreated ? "#ffc107" : "#2E8B57",
+            weight: 3,
+            opacity: 0.8,
+            fillOpacity: 0.4,
+          })
+        : L.marker(plot.center, { hives: plot.hives });
+
+    layer.bindPopup(this.buildPopupContent(plot, details), {
       maxWidth: 220,
     });
+    return layer;
+  }
+
+  addToClusters(layers) {
+    if (layers.length === 0) return;
+    this.clusterGroup.addLayers
+      ? this.clusterGroup.addLayers(layers)
+      : layers.forEach((layer) => this.clusterGroup.addLayer(layer));
+  }
+
+  removeFromClusters(layers) {
+    if (layers.length === 0) return;
+    this.clusterGroup.removeLayers
+      ? this.clusterGroup.removeLayers(layers)
+      : layers.forEach((layer) => this.clusterGroup.removeLayer(layer));
+  }
+
+  /**
+   * Adds the bee-friendliness overlay and a map control to toggle it
+   * @param {HeatmapService} heatmap
+   */
+  setHeatmap(heatmap) {
+    this.heatmap = heatmap;
+    if (!this.map || !L.control) return;
+
+    const control = L.control({ position: "topright" });
+    control.onAdd = () => {
+      const container = L.DomUtil.create("label", "leaflet-bar heatmap-toggle");
+      container.innerHTML = `<input type="checkbox" id="heatmap-toggle" /> 🐝 Bee heatmap`;
+      L.DomEvent.disableClickPropagation(container);
+      container
+        .querySelector("input")
+        .addEventListener("change", (e) =>
+          this.toggleHeatmap(e.target.checked),
+        );
+      return container;
+    };
+    control.addTo(this.map);
+  }
+
+  toggleHeatmap(enabled) {
+    if (!this.map || !this.heatmap) return;
+    this.heatmapEnabled = enabled;
+
+    if (enabled) {
+      this.map.addLayer(this.heatmapLayer);
+      this.renderHeatmap();
+    } else {
+      this.map.removeLayer(this.heatmapLayer);
+      this.heatmapLayer.clearLayers();
+      this.heatmapCells.clear();
+      this.heatmapQueue = [];
+    }
+  }
+
+  /**
+   * Places a cell for every grid square in view, then fills their colours
+   * in as the scores load. Cells that left the view are dropped and no
+   * longer fetched.
+   */
+  renderHeatmap() {
+    const bounds = this.map.getBounds();
+    const cells = HeatmapService.cellsInBounds({
+      south: bounds.getSouth(),
+      west: bounds.getWest(),
+      north: bounds.getNorth(),
+      east: bounds.getEast(),
+    });
+    const visible = new Set(cells.map((cell) => cell.key));
+
+    this.heatmapCells.forEach(({ rectangle }, key) => {
+      if (visible.has(key)) return;
+      this.heatmapLayer.removeLayer(rectangle);
+      this.heatmapCells.delete(key);
+    });
+
+    cells.forEach((cell) => {
+      if (this.heatmapCells.has(cell.key)) return;
+      const rectangle = L.rectangle(
+        [
+          [cell.south, cell.west],
+          [cell.north, cell.east],
+        ],
+        { pane: "heatmap", weight: 0, fillColor: "#6c757d", fillOpacity: 0.1 },
+      );
+      this.heatmapCells.set(cell.key, { rectangle, state: "queued" });
+      this.heatmapLayer.addLayer(rectangle);
+    });
+
+    const center = this.map.getCenter();
+    this.heatmapQueue = cells
+      .filter((cell) => this.heatmapCells.get(cell.key).state === "queued")
+      .sort(
+        (a, b) => center.distanceTo(a.center) - center.distanceTo(b.center),
+      );
+
+    this.loadHeatmapCells();
+  }
+
+  /**
+   * Works through the queue a few cells at a time
+   */
+  loadHeatmapCells() {
+    while (
+      this.heatmapLoading < HEATMAP_CONCURRENCY &&
+      this.heatmapQueue.length > 0
+    ) {
+      const cell = this.heatmapQueue.shift();
+      this.heatmapCells.get(cell.key).state = "loading";
+      this.heatmapLoading++;
+
+      this.heatmap
+        .getCellScore(cell)
+        .then((score) => this.paintHeatmapCell(cell, score))
+        .catch((error) => {
+          console.warn("Heatmap cell failed:", error);
+          this.paintHeatmapCell(cell, null);
+        })
+        .finally(() => {
+          this.heatmapLoading--;
+          this.loadHeatmapCells();
+        });
+    }
+  }
+
+  paintHeatmapCell(cell, score) {
+    const entry = this.heatmapCells.get(cell.key);
+    if (!entry) return; // Scrolled away while loading
+
+    const { rectangle } = entry;
+    entry.state = "done";
+
+    if (!score) {
+      this.heatmapLayer.removeLayer(rectangle);
+      return;
+    }
+
+    rectangle.setStyle({
+      fillColor: HeatmapService.colorFor(score.value),
+      fillOpacity: 0.45,
+    });
+    rectangle.bindTooltip(
+      `Bee score ${score.beeScore} · Forage ${score.forageIndex ?? "N/A"}`,
+      { sticky: true },
+    );
+  }
+
+  /**
+   * Cluster bubble showing the plot count and their total hive capacity
+   */
+  createClusterIcon(cluster) {
+    const markers = cluster.getAllChildMarkers();
+    const hives = markers.reduce((sum, m) => sum + (m.options.hives || 0), 0);
+    const size =
+      markers.length < 10 ? "small" : markers.length < 100 ? "medium" : "large";
+
+    return L.divIcon({
+      html: `<div><span>${markers.length}</span><small>${hives.toLocaleString()} 🐝</small></div>`,
+      className: `marker-cluster marker-cluster-${size} bee-cluster`,
+      iconSize: L.point(48, 48),
+    });
+  }
+
+  /**
+   * Emphasises (or restores) a plot's feature, e.g. while its results row is hovered
+   */
+  highlightPlot(id, isActive) {
+    const layer = this.rendered.get(String(id))?.layer;
+    if (!layer) return;
+
+    if (layer instanceof L.Polygon) {
+      layer.setStyle(
+        isActive
+          ? { weight: 6, fillOpacity: 0.7 }
+          : { weight: 3, fillOpacity: 0.4 },
+      );
+      if (isActive) layer.bringToFront();
+    } else {
+      layer.setZIndexOffset(isActive ? 1000 : 0);
+      layer.getElement()?.classList.toggle("marker-highlight", isActive);
+    }
+  }
+
+  /**
+   * Flies to a plot and opens its popup once the map settles.
+   * The plot may not be drawn yet, so its layer is looked up after the move.
+   */
+  focusPlot(id) {
+    const key = String(id);
+    const plot = this.plots.get(key)?.plot;
+    if (!plot) return;
+
+    this.map.once("moveend", () => {
+      this.renderVisible();
+      const entry = this.rendered.get(key);
+      if (!entry) return;
+      if (entry.mode === "point" && this.clusterGroup.zoomToShowLayer) {
+        // Spiderfies the cluster if the marker is still inside one
+        this.clusterGroup.zoomToShowLayer(entry.layer, () =>
+          entry.layer.openPopup(),
+        );
+      } else {
+        entry.layer.openPopup();
+      }
+    });
+
+    if (plot.type === "polygon") {
+      this.map.flyToBounds(L.latLngBounds(plot.boundsPoints), {
+        maxZoom: 16,
+      });
+    } else {
+      this.map.flyTo(plot.center, Math.max(this.map.getZoom(), 15));
+    }
+  }
+
+  /**
+   * True if the plot's centre is inside the current map view
+   */
+  isInView(plot) {
+    return this.map ? this.map.getBounds().contains(plot.center) : true;
+  }
+
+  /**
+   * Current centre and zoom, as written to the shareable URL
+   * @returns {Object} { lat, lng, zoom }
+   */
+  getView() {
+    const { lat, lng } = this.map.getCenter();
+    return { lat, lng, zoom: this.map.getZoom() };
+  }
+
+  /**
+   * @param {Object} view - { lat, lng, zoom }
+   */
+  setView({ lat, lng, zoom }) {
+    this.map.setView([lat, lng], zoom);
+  }
+
+  /**
+   * Calls back with the plot id when a popup's EDIT button is clicked.
+   * Listens in the capture phase, since Leaflet stops clicks bubbling out of popups.
+   */
+  onEditPlot(callback) {
+    this.map?.getContainer().addEventListener(
+      "click",
+      (e) => {
+        const button = e.target.closest?.("[data-edit-plot-id]");
+        if (button) callback(button.dataset.editPlotId);
+      },
+      true,
+    );
+  }
+
+  /**
+   * Calls back whenever the user finishes panning or zooming
+   */
+  onViewChange(callback) {
+    this.map?.on("moveend", callback);
+  }
+
+  /**
+   * Loads a saved plot into drawnItems so the Leaflet.Draw edit toolbar can reshape it
+   * @param {LandPlot} plot
+   */
+  editPlot(plot) {
+    const { holes, hiveStands, bufferFeatures } = plot;
+    this.loadBoundary(plot.fields, { holes, hiveStands, bufferFeatures });
   }
-  displayPolygon(land) {
-    if (!this.map || !land.coordinates) return;
 
-    const isUser = land.isUserCreated;
-    const detailsUrl = `details.html?id=${land.id}`;
+  /**
+   * Puts an existing boundary (a saved plot or an imported file) into the
+   * drawing layer, so it can be reshaped and saved like a drawn one
+   * @param {Array} boundary - [[lat, lng], ...], or a list of such rings for a plot spanning several fields
+   * @param {Object} parts - { holes, hiveStands, bufferFeatures } marked on it
+   */
+  loadBoundary(
+    boundary,
+    { holes = [], hiveStands = [], bufferFeatures = [] } = {},
+  ) {
+    if (!this.map) return;
+
+    const layers = toRingList(boundary).map((ring) =>
+      L.polygon(ring, {
+        color: "#ffc107",
+      }),
+    );
+
+    this.drawnItems.clearLayers();
+    this.clearOverlaps();
+    layers.forEach((layer) => this.drawnItems.addLayer(layer));
+    PlotLayout.partLayers({ holes, hiveStands, bufferFeatures }).forEach(
+      (part) => this.drawnItems.addLayer(part),
+    );
+    this.map.fitBounds(L.featureGroup(layers).getBounds());
+    this.updateSidebarStats();
+  }
 
-    const polygon = L.polygon(land.coordinates, {
-      color: isUser ? "#ffc107" : "#2E8B57",
-      weight: 3,
-      opacity: 0.8,
-      fillOpacity: 0.4,
-    }).addTo(this.featureGroup);
+  /**
+   * Shared popup markup for markers and polygons
+   * @param {LandPlot} plot
+   * @param {Object} details - Search context, e.g. { distanceKm }
+   */
+  buildPopupContent(plot, details = {}) {
+    const detailsUrl = `details.html?id=${encodeURIComponent(plot.id)}`;
+    const distanceRow = Number.isFinite(details.distanceKm)
+      ? `<p class="small text-muted mb-1"><strong>Distance:</strong> ${details.distanceKm.toFixed(1)} km</p>`
+      : "";
 
-    const popupContent = `
+    return `
     <div class="bee-popup">
-      <h6 class="mb-1 fw-bold">${land.ownerName || "Unnamed Plot"}</h6>
-      <p class="small text-muted mb-1"><strong>Type:</strong> ${land.landType || "Unknown"}</p>
-      <p class="small text-muted mb-1"><strong>Size:</strong> ${land.landSize || land.area || "N/A"}</p>
-      <p class="small text-muted mb-1"><strong>Suitability:</strong> ${land.suitability || "N/A"}</p>
-      <p class="small text-muted mb-1"><strong>Hive Capacity:</strong> ${land.hives || "N/A"}</p>
-      <p class="small text-muted mb-1"><strong>Contact:</strong> ${land.email || land.phone || "N/A"}</p>
+      <h6 class="mb-1 fw-bold">${escapeHTML(plot.ownerName || "Unnamed Plot")}</h6>
+      ${distanceRow}
+      <p class="small text-muted mb-1"><strong>Type:</strong> ${escapeHTML(plot.landType)}</p>
+      <p class="small text-muted mb-1"><strong>Size:</strong> ${plot.formatSize()}</p>
+      <p class="small text-muted mb-1"><strong>Suitability:</strong> ${plot.formatSuitability()}</p>
+      <p class="small text-muted mb-1"><strong>Hive Capacity:</strong> ${plot.formatCapacity()}</p>
+      <p class="small text-muted mb-1"><strong>Available:</strong> ${plot.formatAvailability()}</p>
+      <p class="small text-muted mb-1"><strong>Contact:</strong> ${escapeHTML(plot.email || plot.phone || "N/A")}</p>
       <div class="d-flex justify-content-between align-items-center mt-2 pt-2 border-top">
-        <span class="badge bg-warning text-dark">${land.status || (isUser ? "Local" : "Available")}</span>
-        <a href="${detailsUrl}" class="btn btn-sm btn-dark text-warning fw-bold border-warning" style="font-size: 0.7rem;">
+        <span class="badge ${plot.statusBadgeClass}">${plot.statusLabel}</span>
+        ${
+          plot.isUserCreated && plot.type === "polygon"
+            ? `<button type="button" class="btn btn-sm btn-outline-warning fw-bold" style="font-size: 0.7rem;" data-edit-plot-id="${escapeHTML(plot.id)}">EDIT</button>`
+            : ""
+        }
+        <a href="${escapeHTML(detailsUrl)}" class="btn btn-sm btn-dark text-warning fw-bold border-warning" style="font-size: 0.7rem;">
           VIEW DETAILS →
         </a>
       </div>
     </div>
   `;
-
-    polygon.bindPopup(popupContent, {
-      maxWidth: 220,
-    });
   }
 
   enableDraw(enable) {
@@ -177,22 +658,108 @@ export default class MapManager {
       : this.map.removeControl(this.drawControl);
   }
 
+  /**
+   * Removes every plot and the current drawing
+   */
   clearAll() {
-    this.drawnItems.clearLayers();
+    this.clearPlots();
+    this.clearDrawLayer();
+  }
+
+  /**
+   * Removes the displayed plots, leaving the drawing alone so re-rendering
+   * the results doesn't lose a landowner's unsaved plot
+   */
+  clearPlots() {
     this.featureGroup.clearLayers();
-    // Reset sidebar text
+    this.clusterGroup.clearLayers();
+    this.plots.clear();
+    this.rendered.clear();
+  }
+
+  /**
+   * Resets the sidebar figures to the "nothing drawn" state
+   */
+  resetSidebarStats() {
+    this.drawnStats = { area: 0, hives: 0 };
     const areaDisplay = document.getElementById("area-display");
     const hiveDisplay = document.getElementById("hive-display");
+    const hiveDetail = document.getElementById("hive-detail");
     if (areaDisplay) areaDisplay.innerText = "No plot drawn yet.";
     if (hiveDisplay) hiveDisplay.innerText = "0 Hives";
+    if (hiveDetail) {
+      hiveDetail.innerText = DRAW_HINT;
+    }
   }
 
+  /**
+   * The last drawn field, ignoring anything marked on it; null if nothing
+   * is drawn yet
+   */
   getDrawnLayer() {
-    const layers = this.drawnItems.getLayers();
-    return layers.length > 0 ? layers[layers.length - 1] : null;
+    const boundaries = this.drawnItems
+      .getLayers()
+      .filter((layer) => !layer.drawnKind);
+    return boundaries.length > 0 ? boundaries[boundaries.length - 1] : null;
+  }
+
+  /**
+   * Boundary ring of every drawn field
+   * @returns {Array} [[[lat, lng], ...], ...]
+   */
+  getDrawnFields() {
+    return this.drawnItems
+      .getLayers()
+      .filter((layer) => !layer.drawnKind)
+      .map((layer) => LandPlot.normalizeCoordinates(layer.getLatLngs()));
+  }
+
+  /**
+   * No-hive zones, hive stands, houses and footpaths marked on the drawing
+   * @returns {Object} { holes, hiveStands, bufferFeatures }
+   */
+  getDrawnParts() {
+    return PlotLayout.partsFrom(
+      this.drawnItems.getLayers().filter((layer) => layer.drawnKind),
+    );
+  }
+
+  /**
+   * Combined area (m²), hive capacity, fields and marked parts of the
+   * current drawing
+   * @param {string} landType - Recalculates capacity for this land type
+   *   instead of the general rule shown in the sidebar
+   */
+  getDrawnStats(landType = null) {
+    return landType && this.getDrawnLayer()
+      ? this.measureDrawing(landType)
+      : this.drawnStats;
   }
 
   clearDrawLayer() {
     this.drawnItems.clearLayers();
+    this.clearOverlaps();
+    this.resetSidebarStats();
+  }
+
+  /**
+   * Shades where the drawing overlaps saved plots. Pieces are filled
+   * without outlines so they read as one area.
+   * @param {Array} pieces - Rings from OverlapDetector, [[[lat, lng], ...], ...]
+   */
+  showOverlaps(pieces) {
+    this.clearOverlaps();
+    pieces.forEach((piece) =>
+      L.polygon(piece, {
+        stroke: false,
+        fillColor: "#dc3545",
+        fillOpacity: 0.6,
+        interactive: false,
+      }).addTo(this.overlapLayer),
+    );
+  }
+
+  clearOverlaps() {
+    this.overlapLayer.clearLayers();
   }
 }
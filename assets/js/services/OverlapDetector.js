@@ -0,0 +1,101 @@
+/**
+ * OverlapDetector
+ * Compares a boundary about to be saved with the plots already listed, so
+ * landowners are warned before they list the same land twice.
+ */
+
+import {
+  geodesicArea,
+  intersectRings,
+  pointInRing,
+  toRingList,
+} from "../utils/geometry.js";
+
+export default class OverlapDetector {
+  /**
+   * @param {Object} options
+   * @param {number} options.minShare - Share of the smaller plot that must overlap to warn (0-1)
+   * @param {number} options.duplicateShare - Share of both plots that marks a near-duplicate (0-1)
+   */
+  constructor({ minShare = 0.05, duplicateShare = 0.9 } = {}) {
+    this.minShare = minShare;
+    this.duplicateShare = duplicateShare;
+  }
+
+  /**
+   * Finds listed plots the boundary overlaps, comparing every field on
+   * either side
+   * @param {Array} boundary - [[lat, lng], ...], or a list of such rings, one per field
+   * @param {LandPlot[]} plots
+   * @param {Object} options
+   * @param {string|number} options.ignoreId - The plot being edited
+   * @returns {Array} [{ plot, area, share, isDuplicate, pieces }], most overlap first.
+   *   Marker plots have no boundary, so are reported with area 0 when their point falls inside.
+   */
+  findOverlaps(boundary, plots, { ignoreId = null } = {}) {
+    const fields = toRingList(boundary);
+    const ownArea = totalArea(fields);
+    if (ownArea === 0) return [];
+
+    const overlaps = [];
+    plots.forEach((plot) => {
+      if (ignoreId !== null && plot.id == ignoreId) return;
+
+      if (plot.type !== "polygon") {
+        if (fields.some((ring) => pointInRing(plot.center, ring))) {
+          overlaps.push({
+            plot,
+            area: 0,
+            share: null,
+            isDuplicate: false,
+            pieces: [],
+          });
+        }
+        return;
+      }
+
+      let area = 0;
+      const pieces = [];
+      fields.forEach((ring) =>
+        plot.fields.forEach((other) => {
+          const overlap = intersectRings(ring, other);
+          area += overlap.area;
+          pieces.push(...overlap.pieces);
+        }),
+      );
+      const otherArea = totalArea(plot.fields);
+      if (area === 0 || otherArea === 0) return;
+
+      const share = area / Math.min(ownArea, otherArea);
+      if (share < this.minShare) return;
+
+      overlaps.push({
+        plot,
+        area,
+        share: Math.min(share, 1),
+        isDuplicate: area / Math.max(ownArea, otherArea) >= this.duplicateShare,
+        pieces,
+      });
+    });
+
+    return overlaps.sort((a, b) => b.area - a.area);
+  }
+
+  /**
+   * One-line description of an overlap, e.g.
+   * "Sunny Meadow: 1,200 m² (45% of the smaller plot)"
+   */
+  static describe({ plot, area, share, isDuplicate }) {
+    const name = plot.ownerName || `Plot ${plot.id}`;
+    if (share === null)
+      return `${name}: its location marker is inside this boundary`;
+    const amount = `${Math.round(area).toLocaleString()} m² (${Math.round(share * 100)}% of the smaller plot)`;
+    return isDuplicate
+      ? `${name}: looks like a duplicate, ${amount}`
+      : `${name}: ${amount}`;
+  }
+}
+
+function totalArea(rings) {
+  return rings.reduce((sum, ring) => sum + geodesicArea(ring), 0);
+}
@@ -0,0 +1,215 @@
+/**
+ * PlotRepository
+ * The one place the front end reads and writes plots. Uses the local API
+ * (server/) when it is running, so plots are shared between users, and
+ * otherwise falls back to the static seed file plus this browser's
+ * localStorage.
+ */
+
+import StorageManager from "./StorageManager.js";
+import LandPlot from "../models/LandPlot.js";
+
+const USER_PLOTS_KEY = "user_plots";
+const OWNER_TOKENS_KEY = "plot_owner_tokens"; // API plot id -> token issued when this browser created it
+const PLOT_STATES_KEY = "plot_states"; // Static mode: status changes to seed plots
+
+export default class PlotRepository {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiBase
+   * @param {string} options.staticUrl - Seed data used in static mode
+   * @param {StorageManager} options.storage
+   */
+  constructor({
+    apiBase = "api",
+    staticUrl = "assets/data/landData.json",
+    storage = new StorageManager(),
+  } = {}) {
+    this.apiBase = apiBase;
+    this.staticUrl = staticUrl;
+    this.storage = storage;
+    this.modeRequest = null;
+  }
+
+  /**
+   * "api" when the BeeLandr API answers its health check, else "static"
+   * @returns {Promise<string>}
+   */
+  getMode() {
+    if (!this.modeRequest) {
+      this.modeRequest = fetch(`${this.apiBase}/health`)
+        .then((response) => (response.ok ? response.json() : null))
+        .then((body) => (body?.service === "beelandr" ? "api" : "static"))
+        .catch(() => "static");
+    }
+    return this.modeRequest;
+  }
+
+  /**
+   * Every plot; invalid records are skipped
+   * @returns {Promise<LandPlot[]>}
+   */
+  async list() {
+    if ((await this.getMode()) === "api") {
+      return LandPlot.fromList(await this.request("GET", "plots"));
+    }
+
+    const response = await fetch(this.staticUrl);
+    const seedPlots = await response.json();
+    const userPlots = this.storage.load(USER_PLOTS_KEY) || [];
+    return this.applyLocalStates(
+      LandPlot.fromList([...seedPlots, ...userPlots]),
+    );
+  }
+
+  /**
+   * Static mode can't change the seed file, so status and occupancy
+   * changes to seed plots are kept in this browser and laid over it
+   * @param {LandPlot[]} plots
+   * @returns {LandPlot[]} The same plots
+   */
+  applyLocalStates(plots) {
+    const states = this.storage.load(PLOT_STATES_KEY) || {};
+    plots.forEach((plot) => {
+      const state = states[plot.id];
+      if (!state) return;
+      plot.status = LandPlot.parseStatus(state.status) || plot.status;
+      plot.occupiedHives = Math.min(state.occupiedHives ?? 0, plot.hives);
+    });
+    return plots;
+  }
+
+  /**
+   * Static mode: records a plot's status and occupancy after an enquiry
+   * changes them. (The API makes those changes itself.)
+   * @param {LandPlot} plot
+   */
+  saveLocalState(plot) {
+    if (plot.isUserCreated) {
+      this.storage.saveItem(USER_PLOTS_KEY, plot.toJSON());
+      return;
+    }
+    const states = this.storage.load(PLOT_STATES_KEY) || {};
+    states[plot.id] = {
+      status: plot.status,
+      occupiedHives: plot.occupiedHives,
+    };
+    this.storage.save(PLOT_STATES_KEY, states);
+  }
+
+  /**
+   * @returns {Promise<LandPlot|null>}
+   */
+  async get(id) {
+    if ((await this.getMode()) === "api") {
+      try {
+        return LandPlot.from(
+          await this.request("GET", `plots/${encodeURIComponent(id)}`),
+        );
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+    }
+    return (await this.list()).find((plot) => plot.id == id) || null;
+  }
+
+  /**
+   * Creates or replaces a plot. On the API a new plot gets its id from the
+   * server, so use the returned plot rather than the one passed in.
+   * @param {LandPlot} plot
+   * @returns {Promise<LandPlot>} The plot as stored
+   */
+  async save(plot) {
+    if ((await this.getMode()) !== "api") {
+      this.storage.saveItem(USER_PLOTS_KEY, plot.toJSON());
+      return plot;
+    }
+
+    const ownerToken = this.ownerTokens()[plot.id];
+    if (ownerToken) {
+      return LandPlot.from(
+        await this.request(
+          "PUT",
+          `plots/${encodeURIComponent(plot.id)}`,
+          plot.toJSON(),
+          { ownerToken },
+        ),
+      );
+    }
+
+    const { ownerToken: issued, ...created } = await this.request(
+      "POST",
+      "plots",
+      plot.toJSON(),
+    );
+    this.markOwned(created.id, issued);
+    return LandPlot.from(created);
+  }
+
+  async remove(id) {
+    if ((await this.getMode()) === "api") {
+      await this.request("DELETE", `plots/${encodeURIComponent(id)}`, null, {
+        ownerToken: this.ownerTokens()[id],
+      });
+      const { [id]: removed, ...remaining } = this.ownerTokens();
+      this.storage.save(OWNER_TOKENS_KEY, remaining);
+      return;
+    }
+    this.storage.deleteItem(USER_PLOTS_KEY, id);
+  }
+
+  /**
+   * Whether this browser created the plot, so may edit or delete it
+   * In static mode that is any user plot, since they only live in this browser
+   */
+  async isOwned(plot) {
+    if ((await this.getMode()) === "api") {
+      return this.ownedIds().some((id) => id == plot.id);
+    }
+    return plot.isUserCreated;
+  }
+
+  ownedIds() {
+    return Object.keys(this.ownerTokens());
+  }
+
+  ownerTokens() {
+    return this.storage.load(OWNER_TOKENS_KEY) || {};
+  }
+
+  markOwned(id, ownerToken) {
+    this.storage.save(OWNER_TOKENS_KEY, {
+      ...this.ownerTokens(),
+      [id]: ownerToken,
+    });
+  }
+
+  /**
+   * JSON request to the API
+   * @param {Object} options
+   * @param {string} options.ownerToken - Sent for changes to a plot this browser created
+   * @throws {Error} With a status property when the API rejects the request
+   */
+  async request(method, path, body, { ownerToken } = {}) {
+    const headers = {
+      ...(body ? { "Content-Type": "application/json" } : {}),
+      ...(ownerToken ? { "X-Owner-Token": ownerToken } : {}),
+    };
+    const response = await fetch(`${this.apiBase}/${path}`, {
+      method,
+      headers: Object.keys(headers).length > 0 ? headers : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    if (!response.ok) {
+      const { error } = await response.json().catch(() => ({}));
+      const failure = new Error(
+        error || `API request failed (${response.status})`,
+      );
+      failure.status = response.status;
+      throw failure;
+    }
+    return response.status === 204 ? null : response.json();
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * SavedSearchRepository
+ * Beekeepers' named filter sets, kept in this browser's localStorage. Each
+ * search remembers which matching plots it has already shown, so plots
+ * listed since then (seed, API or the local save flow alike) come back as new.
+ */
+
+import StorageManager from "./StorageManager.js";
+
+const SAVED_SEARCHES_KEY = "saved_searches";
+
+export default class SavedSearchRepository {
+  /**
+   * @param {Object} options
+   * @param {StorageManager} options.storage
+   */
+  constructor({ storage = new StorageManager() } = {}) {
+    this.storage = storage;
+  }
+
+  /**
+   * @returns {Array} [{ id, name, filters, notify, seenPlotIds, createdAt }], oldest first
+   */
+  list() {
+    return this.storage.load(SAVED_SEARCHES_KEY) || [];
+  }
+
+  /**
+   * Saves a filter set; the plots matching it now are treated as seen
+   * @param {string} name
+   * @param {Object} filters - A copy of app.state.filters
+   * @param {Object} options
+   * @param {Array} options.plotIds - Plots currently matching the filters
+   * @param {boolean} options.notify - Send a browser notification for new plots
+   * @returns {Object} The stored search
+   * @throws {Error} If the name is empty
+   */
+  save(name, filters, { plotIds = [], notify = false } = {}) {
+    const trimmed = String(name ?? "").trim();
+    if (!trimmed) throw new Error("Saved search needs a name");
+
+    const search = {
+      id: `search-${Date.now()}`,
+      name: trimmed,
+      filters: { ...filters },
+      notify: Boolean(notify),
+      seenPlotIds: plotIds.map(String),
+      createdAt: new Date().toISOString(),
+    };
+    this.storage.saveItem(SAVED_SEARCHES_KEY, search);
+    return search;
+  }
+
+  remove(id) {
+    return this.storage.deleteItem(SAVED_SEARCHES_KEY, id);
+  }
+
+  /**
+   * Finds plots that match a saved search but haven't been shown for it,
+   * then marks them seen so the next visit only reports later ones
+   * @param {LandPlot[]} plots
+   * @param {Function} matches - (plot, filters) => boolean
+   * @returns {Array} [{ search, plots }] for searches with something new
+   */
+  checkForNew(plots, matches) {
+    const searches = this.list();
+    const found = [];
+
+    searches.forEach((search) => {
+      const seen = new Set(search.seenPlotIds);
+      const fresh = plots.filter(
+        (plot) => !seen.has(String(plot.id)) && matches(plot, search.filters),
+      );
+      if (fresh.length === 0) return;
+
+      search.seenPlotIds = [...seen, ...fresh.map((plot) => String(plot.id))];
+      found.push({ search, plots: fresh });
+    });
+
+    if (found.length > 0) this.storage.save(SAVED_SEARCHES_KEY, searches);
+    return found;
+  }
+}
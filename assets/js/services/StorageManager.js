@@ -15,4 +15,26 @@ export default class StorageManager {
   remove(key) {
     localStorage.removeItem(key);
   }
+
+  /**
+   * Inserts an item into a stored list, or replaces the one with the same id
+   */
+  saveItem(key, item) {
+    const items = this.load(key) || [];
+    const index = items.findIndex((existing) => existing.id == item.id);
+    if (index === -1) items.push(item);
+    else items[index] = item;
+    this.save(key, items);
+  }
+
+  /**
+   * Removes the item with the given id from a stored list
+   * @returns {boolean} True if an item was removed
+   */
+  deleteItem(key, id) {
+    const items = this.load(key) || [];
+    const remaining = items.filter((existing) => existing.id != id);
+    this.save(key, remaining);
+    return remaining.length !== items.length;
+  }
 }
@@ -0,0 +1,164 @@
+/**
+ * SuitabilityScorer
+ * Combines weighted factors into a 0-100 bee-suitability score with a
+ * per-factor breakdown. Factors are plain objects, so new ones can be
+ * plugged in without touching the scorer:
+ *   { id, label, weight, score(plot, context) -> 0-100, or null if unknown }
+ * Factors that return null are left out and the remaining weights rescaled.
+ */
+
+import { distanceKm } from "../utils/geometry.js";
+
+// How good each land type is as forage and hive space (0-100)
+export const LAND_TYPE_SCORES = {
+  "Wildflower Meadow": 95,
+  Orchard: 85,
+  Garden: 80,
+  Woodland: 70,
+  Park: 65,
+  Vineyard: 60,
+  Pasture: 60,
+  Farmland: 55,
+};
+
+const FORAGE_RADIUS_KM = 3; // Typical honeybee foraging range
+const SATURATION_HIVES = 150; // Competing hives within range that score 0
+const GRID_SIZE = 0.05; // Degrees per index cell, over 3 km wide at UK latitudes
+
+export const DEFAULT_FACTORS = [
+  {
+    id: "landType",
+    label: "Land type",
+    weight: 0.3,
+    score: (plot) => LAND_TYPE_SCORES[plot.landType] ?? 50,
+  },
+  {
+    id: "area",
+    label: "Area",
+    weight: 0.15,
+    score: (plot) => {
+      const acres = plot.acres;
+      if (acres < 0.25) return 30;
+      if (acres < 1) return 50;
+      if (acres < 3) return 70;
+      if (acres < 8) return 85;
+      return 100;
+    },
+  },
+  {
+    id: "weather",
+    label: "Weather",
+    weight: 0.2,
+    score: (plot, context) => context.weather?.beeScore ?? null,
+  },
+  {
+    id: "forage",
+    label: "Forage",
+    weight: 0.2,
+    score: (plot, context) => context.weather?.pollen?.forageIndex ?? null,
+  },
+  {
+    id: "competition",
+    label: "Nearby hives",
+    weight: 0.15,
+    score: (plot, context) => {
+      if (!context.densityIndex) return null;
+      const competing = context.densityIndex.hivesNear(plot);
+      return Math.max(0, 100 * (1 - competing / SATURATION_HIVES));
+    },
+  },
+];
+
+export default class SuitabilityScorer {
+  constructor(factors = DEFAULT_FACTORS) {
+    this.factors = factors;
+  }
+
+  /**
+   * Scores one plot
+   * @param {LandPlot} plot
+   * @param {Object} context - { weather, densityIndex } (both optional)
+   * @returns {Object} { score, breakdown: [{ id, label, weight, value, contribution }] }
+   */
+  score(plot, context = {}) {
+    const available = this.factors
+      .map((factor) => ({ factor, value: factor.score(plot, context) }))
+      .filter(({ value }) => Number.isFinite(value));
+
+    const totalWeight = available.reduce(
+      (sum, { factor }) => sum + factor.weight,
+      0,
+    );
+    if (totalWeight === 0) return { score: null, breakdown: [] };
+
+    const breakdown = available.map(({ factor, value }) => {
+      const weight = factor.weight / totalWeight;
+      const clamped = Math.max(0, Math.min(100, value));
+      return {
+        id: factor.id,
+        label: factor.label,
+        weight,
+        value: Math.round(clamped),
+        contribution: clamped * weight,
+      };
+    });
+
+    const score = breakdown.reduce((sum, item) => sum + item.contribution, 0);
+    return { score: Math.round(score), breakdown };
+  }
+
+  /**
+   * Scores every plot, counting competing hives among the same set,
+   * and stores the result on each plot
+   * @param {LandPlot[]} plots
+   * @param {Object} context - Extra context shared by all plots
+   */
+  scoreAll(plots, context = {}) {
+    const densityIndex = SuitabilityScorer.buildDensityIndex(plots);
+    plots.forEach((plot) =>
+      plot.applyScore(this.score(plot, { ...context, densityIndex })),
+    );
+  }
+
+  /**
+   * Grid index of plot locations, so counting nearby hives doesn't compare
+   * every plot with every other plot
+   * @param {LandPlot[]} plots
+   * @returns {Object} { hivesNear(plot) } - Hives on other plots within foraging range
+   */
+  static buildDensityIndex(plots) {
+    const cellOf = ([lat, lng]) => [
+      Math.floor(lat / GRID_SIZE),
+      Math.floor(lng / GRID_SIZE),
+    ];
+    const cells = new Map();
+
+    plots.forEach((plot) => {
+      const center = plot.center;
+      const key = cellOf(center).join(":");
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push({ id: plot.id, center, hives: plot.hives });
+    });
+
+    return {
+      hivesNear(plot) {
+        const center = plot.center;
+        const [row, col] = cellOf(center);
+        let hives = 0;
+
+        // A 3 km radius never reaches past the neighbouring cells
+        for (let r = row - 1; r <= row + 1; r++) {
+          for (let c = col - 1; c <= col + 1; c++) {
+            (cells.get(`${r}:${c}`) || []).forEach((other) => {
+              if (other.id === plot.id) return;
+              if (distanceKm(center, other.center) <= FORAGE_RADIUS_KM) {
+                hives += other.hives;
+              }
+            });
+          }
+        }
+        return hives;
+      },
+    };
+  }
+}
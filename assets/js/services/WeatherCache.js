@@ -0,0 +1,127 @@
+/**
+ * WeatherCache
+ * Size-limited localStorage cache for weather results.
+ * Entries are fresh for `ttl`, then stale (still served, e.g. while offline
+ * or after an API error) until `maxAge`, after which they are pruned.
+ * When full, the least recently used entries are evicted.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+export default class WeatherCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.storageKey - localStorage key holding all entries
+   * @param {number} options.ttl - ms an entry counts as fresh
+   * @param {number} options.maxAge - ms an entry may still be served stale
+   * @param {number} options.maxEntries - Locations kept before LRU eviction
+   * @param {Storage} options.storage
+   */
+  constructor({
+    storageKey = "beeLandr_weather_cache",
+    ttl = 24 * HOUR,
+    maxAge = 7 * 24 * HOUR,
+    maxEntries = 100,
+    storage = globalThis.localStorage,
+  } = {}) {
+    this.storageKey = storageKey;
+    this.ttl = ttl;
+    this.maxAge = maxAge;
+    this.maxEntries = maxEntries;
+    this.storage = storage;
+    this.entries = null; // key -> { data, timestamp, lastAccess }, loaded lazily
+  }
+
+  /**
+   * Looks up an entry. Reads only touch memory; access times are
+   * written out with the next set() or prune()
+   * @param {string} key
+   * @param {number} now
+   * @returns {Object|null} { data, isStale }, or null if missing or too old
+   */
+  get(key, now = Date.now()) {
+    const entry = this.load()[key];
+    if (!entry) return null;
+
+    const age = now - entry.timestamp;
+    if (age >= this.maxAge) return null;
+
+    entry.lastAccess = now;
+    return { data: entry.data, isStale: age >= this.ttl };
+  }
+
+  /**
+   * Stores an entry, evicting the least recently used ones beyond maxEntries
+   */
+  set(key, data, now = Date.now()) {
+    const entries = this.load();
+    entries[key] = { data, timestamp: now, lastAccess: now };
+    this.evict(entries, this.maxEntries);
+    this.persist();
+  }
+
+  /**
+   * Removes every entry older than maxAge in one write
+   * @returns {number} Entries removed
+   */
+  prune(now = Date.now()) {
+    const entries = this.load();
+    const expired = Object.keys(entries).filter(
+      (key) => now - entries[key].timestamp >= this.maxAge,
+    );
+    expired.forEach((key) => delete entries[key]);
+    if (expired.length > 0) this.persist();
+    return expired.length;
+  }
+
+  clear() {
+    this.entries = {};
+    this.storage?.removeItem(this.storageKey);
+  }
+
+  get size() {
+    return Object.keys(this.load()).length;
+  }
+
+  load() {
+    if (!this.entries) {
+      try {
+        this.entries = JSON.parse(this.storage?.getItem(this.storageKey)) || {};
+      } catch (e) {
+        console.warn("Cache read error:", e);
+        this.entries = {};
+      }
+    }
+    return this.entries;
+  }
+
+  evict(entries, limit) {
+    const keys = Object.keys(entries);
+    if (keys.length <= limit) return;
+
+    keys
+      .sort((a, b) => entries[a].lastAccess - entries[b].lastAccess)
+      .slice(0, keys.length - limit)
+      .forEach((key) => delete entries[key]);
+  }
+
+  /**
+   * Writes the entries, halving the cache until it fits the storage quota
+   */
+  persist() {
+    const entries = this.load();
+    let limit = Object.keys(entries).length;
+
+    while (limit > 0) {
+      try {
+        this.storage?.setItem(this.storageKey, JSON.stringify(entries));
+        return;
+      } catch (e) {
+        limit = Math.floor(limit / 2);
+        this.evict(entries, limit);
+      }
+    }
+    console.warn("Weather cache cleared: storage quota exhausted");
+    this.clear();
+  }
+}
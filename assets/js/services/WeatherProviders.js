@@ -0,0 +1,267 @@
+/**
+ * Weather Providers
+ * Backends for WeatherService. Every provider returns responses in the
+ * Open-Meteo shape, so WeatherService processes them the same way:
+ *   name       - Shown in the UI as the data source
+ *   cacheable  - Whether results may be stored in the weather cache
+ *   fetchForecast(lat, lng) -> Promise<{ daily: {...}, hourly: {...} }>, throws on failure
+ *   fetchPollen(lat, lng)   -> Promise<{ hourly: {...} } | null>
+ *   fetchClimate(lat, lng)  -> Promise<{ daily: {...} } | null>, past years of daily data
+ *   fetchCurrent(lat, lng)  -> Promise<{ current: {...} }>, conditions and pollen right now;
+ *     one small request for map overlays that sample many points, throws on failure
+ */
+
+const DAILY_FIELDS =
+  "temperature_2m_max,temperature_2m_min,precipitation_sum,windspeed_10m_max,relative_humidity_2m_max";
+const HOURLY_FIELDS = "temperature_2m,precipitation,windspeed_10m";
+const CLIMATE_FIELDS =
+  "temperature_2m_max,temperature_2m_min,precipitation_sum";
+const CLIMATE_YEARS = 5; // Full years of history averaged into climate normals
+const POLLEN_FIELDS =
+  "birch_pollen,grass_pollen,ragweed_pollen,alder_pollen,mugwort_pollen,olive_pollen";
+const CURRENT_FIELDS = "temperature_2m,relative_humidity_2m,windspeed_10m";
+
+/**
+ * Cache/replay key for a location (about 11 m precision)
+ */
+export const locationKey = (lat, lng) => `${lat.toFixed(4)}_${lng.toFixed(4)}`;
+
+/**
+ * Live data from the free Open-Meteo forecast, archive and air-quality APIs
+ */
+export class OpenMeteoProvider {
+  constructor() {
+    this.name = "live";
+    this.cacheable = true;
+    this.apiBase = "https://api.open-meteo.com/v1/forecast";
+    this.airQualityBase =
+      "https://air-quality-api.open-meteo.com/v1/air-quality";
+    this.archiveBase = "https://archive-api.open-meteo.com/v1/archive";
+  }
+
+  async fetchForecast(lat, lng) {
+    const params = new URLSearchParams({
+      latitude: lat,
+      longitude: lng,
+      daily: DAILY_FIELDS,
+      hourly: HOURLY_FIELDS,
+      timezone: "auto",
+    });
+
+    const response = await fetch(`${this.apiBase}?${params}`);
+    if (!response.ok) throw new Error("Weather API request failed");
+    return response.json();
+  }
+
+  // Pollen is Europe only, so failures are expected and not fatal
+  async fetchPollen(lat, lng) {
+    try {
+      const params = new URLSearchParams({
+        latitude: lat,
+        longitude: lng,
+        hourly: POLLEN_FIELDS,
+        timezone: "auto",
+      });
+
+      const response = await fetch(`${this.airQualityBase}?${params}`);
+      return response.ok ? response.json() : null;
+    } catch (error) {
+      console.warn("Pollen data not available for this region:", error);
+      return null;
+    }
+  }
+
+  // Without history the service falls back to forecast-only scoring
+  async fetchClimate(lat, lng, today = new Date()) {
+    try {
+      const lastYear = today.getFullYear() - 1;
+      const params = new URLSearchParams({
+        latitude: lat,
+        longitude: lng,
+        start_date: `${lastYear - CLIMATE_YEARS + 1}-01-01`,
+        end_date: `${lastYear}-12-31`,
+        daily: CLIMATE_FIELDS,
+        timezone: "auto",
+      });
+
+      const response = await fetch(`${this.archiveBase}?${params}`);
+      return response.ok ? response.json() : null;
+    } catch (error) {
+      console.warn("Climate history not available:", error);
+      return null;
+    }
+  }
+
+  async fetchCurrent(lat, lng) {
+    const location = { latitude: lat, longitude: lng, timezone: "auto" };
+    const [weather, pollen] = await Promise.all([
+      fetch(
+        `${this.apiBase}?${new URLSearchParams({ ...location, current: CURRENT_FIELDS })}`,
+      ),
+      // Pollen is Europe only; the weather alone still gives a score
+      fetch(
+        `${this.airQualityBase}?${new URLSearchParams({ ...location, current: POLLEN_FIELDS })}`,
+      ).catch(() => null),
+    ]);
+    if (!weather.ok) throw new Error("Weather API request failed");
+
+    const pollenCurrent = pollen?.ok
+      ? (await pollen.json().catch(() => null))?.current
+      : null;
+    return { current: { ...pollenCurrent, ...(await weather.json()).current } };
+  }
+}
+
+/**
+ * Current conditions taken from the start of a full forecast, for providers
+ * that only hold full responses. Falls back to the first day's averages when
+ * there is no hourly data.
+ */
+function currentFromForecast(forecast, pollen) {
+  const first = (hourly = {}) =>
+    Object.fromEntries(
+      Object.entries(hourly)
+        .filter(([field]) => field !== "time")
+        .map(([field, values]) => [field, values?.[0]]),
+    );
+  const daily = forecast.daily || {};
+  return {
+    current: {
+      ...first(pollen?.hourly),
+      temperature_2m:
+        (daily.temperature_2m_max?.[0] + daily.temperature_2m_min?.[0]) / 2,
+      windspeed_10m: daily.windspeed_10m_max?.[0],
+      ...first(forecast.hourly),
+      relative_humidity_2m: daily.relative_humidity_2m_max?.[0],
+    },
+  };
+}
+
+/**
+ * Fixed responses for tests and offline demos
+ * Pass the fixture object itself, or the URL of a bundled JSON file
+ * shaped { forecast: {...}, pollen: {...}, climate: {...} }
+ */
+export class FixtureProvider {
+  constructor(fixture = "assets/data/weatherFixture.json") {
+    this.name = "fixture";
+    this.cacheable = false;
+    this.fixture = typeof fixture === "string" ? null : fixture;
+    this.fixtureUrl = typeof fixture === "string" ? fixture : null;
+  }
+
+  async loadFixture() {
+    if (!this.fixture) {
+      const response = await fetch(this.fixtureUrl);
+      if (!response.ok) throw new Error("Weather fixture not found");
+      this.fixture = await response.json();
+    }
+    return this.fixture;
+  }
+
+  async fetchForecast() {
+    return (await this.loadFixture()).forecast;
+  }
+
+  async fetchPollen() {
+    return (await this.loadFixture()).pollen || null;
+  }
+
+  async fetchClimate() {
+    return (await this.loadFixture()).climate || null;
+  }
+
+  async fetchCurrent() {
+    const { current, forecast, pollen } = await this.loadFixture();
+    return current ? { current } : currentFromForecast(forecast, pollen);
+  }
+}
+
+/**
+ * Records every response from another provider, so a session can be replayed
+ */
+export class RecordingProvider {
+  constructor(inner) {
+    this.inner = inner;
+    this.name = inner.name;
+    this.cacheable = inner.cacheable;
+    this.recordings = {}; // locationKey -> { forecast, pollen, climate, current }
+  }
+
+  async fetchForecast(lat, lng) {
+    const forecast = await this.inner.fetchForecast(lat, lng);
+    this.entry(lat, lng).forecast = forecast;
+    return forecast;
+  }
+
+  async fetchPollen(lat, lng) {
+    const pollen = await this.inner.fetchPollen(lat, lng);
+    this.entry(lat, lng).pollen = pollen;
+    return pollen;
+  }
+
+  async fetchClimate(lat, lng) {
+    const climate = await this.inner.fetchClimate(lat, lng);
+    this.entry(lat, lng).climate = climate;
+    return climate;
+  }
+
+  async fetchCurrent(lat, lng) {
+    const current = await this.inner.fetchCurrent(lat, lng);
+    this.entry(lat, lng).current = current;
+    return current;
+  }
+
+  entry(lat, lng) {
+    const key = locationKey(lat, lng);
+    this.recordings[key] = this.recordings[key] || {};
+    return this.recordings[key];
+  }
+}
+
+/**
+ * Plays back responses captured by RecordingProvider
+ */
+export class ReplayProvider {
+  constructor(recordings = {}) {
+    this.name = "replay";
+    this.cacheable = false;
+    this.recordings = recordings;
+  }
+
+  async fetchForecast(lat, lng) {
+    const forecast = this.recordings[locationKey(lat, lng)]?.forecast;
+    if (!forecast) throw new Error("No recorded forecast for this location");
+    return forecast;
+  }
+
+  async fetchPollen(lat, lng) {
+    return this.recordings[locationKey(lat, lng)]?.pollen || null;
+  }
+
+  async fetchClimate(lat, lng) {
+    return this.recordings[locationKey(lat, lng)]?.climate || null;
+  }
+
+  async fetchCurrent(lat, lng) {
+    const current = this.recordings[locationKey(lat, lng)]?.current;
+    if (!current) throw new Error("No recorded conditions for this location");
+    return current;
+  }
+}
+
+/**
+ * Picks a provider by name, e.g. from a ?weather= URL parameter
+ * @param {string} name - "live" (default), "fixture" or "replay"
+ * @param {Object} recordings - Used by the replay provider
+ */
+export function createWeatherProvider(name, recordings = {}) {
+  switch (name) {
+    case "fixture":
+      return new FixtureProvider();
+    case "replay":
+      return new ReplayProvider(recordings);
+    default:
+      return new OpenMeteoProvider();
+  }
+}
@@ -1,81 +1,201 @@
 /**
  * WeatherService
- * Fetches weather and air quality (pollen) data using Open-Meteo APIs (free, no API key required)
+ * Fetches weather and air quality (pollen) data through a weather provider
+ * (Open-Meteo by default, free, no API key required)
  * Returns weather metrics and pollen availability for bee foraging
  */
 
+import { OpenMeteoProvider, locationKey } from "./WeatherProviders.js";
+import WeatherCache from "./WeatherCache.js";
+
+const BEST_WINDOWS = 3; // Windows highlighted as the best slots
+export const CACHE_SCHEMA = 2; // Bump when the shape of processed weather data changes
+const FLYING_TEMP = 13; // °C; below this honeybees rarely leave the hive
+
+// When a hive can be opened: warm, calm, dry daylight hours
+export const INSPECTION_RULES = {
+  minTemp: 14, // °C, above this
+  maxWind: 24, // km/h, below this
+  maxRain: 0, // mm in the hour
+  firstHour: 8,
+  lastHour: 19,
+};
+const MONTH_NAMES = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
 export default class WeatherService {
-  constructor() {
-    this.cacheKey = "beeLandr_weather_cache";
-    this.cacheDuration = 24 * 60 * 60 * 1000; // 24 hours
-    this.apiBase = "https://api.open-meteo.com/v1/forecast";
-    this.airQualityBase =
-      "https://air-quality-api.open-meteo.com/v1/air-quality";
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - See WeatherProviders.js
+   * @param {WeatherCache|null} options.cache - null turns caching off
+   */
+  constructor({
+    provider = new OpenMeteoProvider(),
+    cache = new WeatherCache(),
+  } = {}) {
+    this.provider = provider;
+    this.cache = cache;
+    this.refreshes = new Map(); // Location key -> in-flight background refresh
+    this.cache?.prune();
   }
 
   /**
    * Fetches weather and pollen data for a specific latitude and longitude
+   * Stale cached data is returned straight away and refreshed in the background
    * @param {number} lat - Latitude
    * @param {number} lng - Longitude
-   * @returns {Promise<Object>} Weather data with temperature, humidity, rainfall, wind, and pollen
+   * @returns {Promise<Object>} Weather data with temperature, humidity, rainfall, wind, and pollen,
+   *   plus source (provider name or "fallback"), isFallback and isStale
    */
   async getWeatherForPlot(lat, lng) {
-    try {
-      // Check cache first
-      const cached = this.getFromCache(lat, lng);
-      if (cached) {
-        return cached;
-      }
+    const cacheable = this.isCacheable();
+    const key = locationKey(lat, lng);
+    let cached = cacheable ? this.cache.get(key) : null;
 
-      // Fetch weather data
-      const weatherParams = new URLSearchParams({
-        latitude: lat,
-        longitude: lng,
-        daily:
-          "temperature_2m_max,temperature_2m_min,precipitation_sum,windspeed_10m_max,relative_humidity_2m_max",
-        timezone: "auto",
-      });
+    // Entries saved in an older shape are refetched
+    if (cached && cached.data.schema !== CACHE_SCHEMA) cached = null;
 
-      const weatherResponse = await fetch(`${this.apiBase}?${weatherParams}`);
-      if (!weatherResponse.ok) throw new Error("Weather API request failed");
-      const weatherData = await weatherResponse.json();
-
-      // Fetch pollen data (Europe only, but gracefully handle failures)
-      let pollenData = null;
-      try {
-        const pollenParams = new URLSearchParams({
-          latitude: lat,
-          longitude: lng,
-          hourly:
-            "birch_pollen,grass_pollen,ragweed_pollen,alder_pollen,mugwort_pollen,olive_pollen",
-          timezone: "auto",
-        });
+    if (cached && !cached.isStale) {
+      return cached.data;
+    }
 
-        const pollenResponse = await fetch(
-          `${this.airQualityBase}?${pollenParams}`,
-        );
-        if (pollenResponse.ok) {
-          pollenData = await pollenResponse.json();
-        }
-      } catch (pollenError) {
-        console.warn("Pollen data not available for this region:", pollenError);
-      }
+    if (cached) {
+      if (this.isOnline()) this.refreshInBackground(lat, lng);
+      return { ...cached.data, isStale: true };
+    }
 
-      const processedData = this.processWeatherData(weatherData);
-      const finalData = pollenData
-        ? this.integratePollenData(processedData, pollenData)
-        : processedData;
+    try {
+      return await this.fetchWeather(lat, lng);
+    } catch (error) {
+      console.error("WeatherService Error:", error);
+      return this.getDefaultWeather();
+    }
+  }
 
-      // Cache the result
-      this.saveToCache(lat, lng, finalData);
+  /**
+   * Light summary for overlays that sample many points: current conditions
+   * and pollen only, with no forecast, flying windows or climate history.
+   * Not cached here; callers keep their own summaries.
+   * @returns {Promise<Object>} { temperature, humidity, windSpeed, forageIndex, beeScore,
+   *   source, isFallback }, or the flagged default weather if the provider fails
+   */
+  async getCurrentConditions(lat, lng) {
+    try {
+      const { current } = await this.provider.fetchCurrent(lat, lng);
+      if (!Number.isFinite(current?.temperature_2m)) {
+        throw new Error("No current conditions in the response");
+      }
 
-      return finalData;
+      const pollenHourly = Object.fromEntries(
+        Object.entries(current)
+          .filter(
+            ([field, value]) =>
+              field.endsWith("_pollen") && Number.isFinite(value),
+          )
+          .map(([field, value]) => [field, [value]]),
+      );
+      const forageIndex =
+        Object.keys(pollenHourly).length > 0
+          ? this.integratePollenData({}, { hourly: pollenHourly }).pollen
+              .forageIndex
+          : null;
+
+      const temperature = current.temperature_2m;
+      const humidity = current.relative_humidity_2m ?? 60; // Neutral if left out
+      const windSpeed = current.windspeed_10m ?? current.wind_speed_10m ?? 0;
+      return {
+        temperature,
+        humidity,
+        windSpeed,
+        forageIndex,
+        beeScore: this.calculateBeeScore(
+          temperature,
+          humidity,
+          null,
+          windSpeed,
+          forageIndex,
+        ),
+        source: this.provider.name,
+        isFallback: false,
+      };
     } catch (error) {
-      console.error("WeatherService Error:", error);
+      console.warn("Current conditions unavailable:", error);
       return this.getDefaultWeather();
     }
   }
 
+  /**
+   * Fetches from the provider and caches the result
+   * @returns {Promise<Object>} Processed weather data, throws if the provider fails
+   */
+  async fetchWeather(lat, lng) {
+    const weatherData = await this.provider.fetchForecast(lat, lng);
+    const [pollenData, climateData] = await Promise.all([
+      this.provider.fetchPollen(lat, lng),
+      this.provider.fetchClimate(lat, lng),
+    ]);
+
+    // Score last, so the bee score sees the real forage index and climate
+    const processedData = this.processWeatherData(weatherData, climateData);
+    if (processedData.isFallback) return processedData;
+
+    const withPollen = pollenData?.hourly
+      ? this.integratePollenData(processedData, pollenData)
+      : processedData;
+    const finalData = {
+      ...this.applyBeeScore(withPollen),
+      source: this.provider.name,
+      isFallback: false,
+      isStale: false,
+      fetchedAt: Date.now(),
+      schema: CACHE_SCHEMA,
+    };
+
+    if (this.isCacheable()) {
+      this.cache.set(locationKey(lat, lng), finalData);
+    }
+
+    return finalData;
+  }
+
+  /**
+   * Refreshes a stale entry once, keeping the stale copy if the refresh fails
+   * @returns {Promise<Object|null>}
+   */
+  refreshInBackground(lat, lng) {
+    const key = locationKey(lat, lng);
+    if (!this.refreshes.has(key)) {
+      const refresh = this.fetchWeather(lat, lng)
+        .catch((error) => {
+          console.warn("Weather refresh failed, keeping cached data:", error);
+          return null;
+        })
+        .finally(() => this.refreshes.delete(key));
+      this.refreshes.set(key, refresh);
+    }
+    return this.refreshes.get(key);
+  }
+
+  isCacheable() {
+    return Boolean(this.cache) && this.provider.cacheable !== false;
+  }
+
+  isOnline() {
+    return typeof navigator === "undefined" || navigator.onLine !== false;
+  }
+
   /**
    * Integrates pollen data into weather data
    * @param {Object} weatherData - Processed weather data
@@ -156,10 +276,12 @@ export default class WeatherService {
 
   /**
    * Processes raw API data into useful averages
-   * @param {Object} data - Raw Open-Meteo response
-   * @returns {Object} Processed weather data
+   * @param {Object} data - Raw Open-Meteo forecast response
+   * @param {Object|null} climateData - Raw Open-Meteo archive response, if available
+   * @returns {Object} Processed weather data. temperature, humidity and wind are
+   *   forecast averages; rainfall is the climate's annual total (null if unknown)
    */
-  processWeatherData(data) {
+  processWeatherData(data, climateData = null) {
     const daily = data.daily;
 
     if (
@@ -174,27 +296,185 @@ export default class WeatherService {
     const avgMaxTemp = this.calculateAverage(daily.temperature_2m_max);
     const avgMinTemp = this.calculateAverage(daily.temperature_2m_min);
     const avgTemp = (avgMaxTemp + avgMinTemp) / 2;
-    const totalRainfall = daily.precipitation_sum.reduce((a, b) => a + b, 0);
     const avgWindSpeed = this.calculateAverage(daily.windspeed_10m_max);
     const avgHumidity = this.calculateAverage(daily.relative_humidity_2m_max);
+    const climate = this.calculateClimateNormals(climateData);
 
     return {
       temperature: Math.round(avgTemp * 10) / 10, // Round to 1 decimal
       minTemp: Math.round(avgMinTemp * 10) / 10,
       maxTemp: Math.round(avgMaxTemp * 10) / 10,
       humidity: Math.round(avgHumidity),
-      rainfall: Math.round(totalRainfall * 10) / 10, // Annual rainfall
+      rainfall: climate ? climate.annualRainfall : null, // Annual rainfall
       windSpeed: Math.round(avgWindSpeed * 10) / 10,
-      condition: this.getWeatherCondition(avgTemp, totalRainfall, avgWindSpeed),
-      beeScore: this.calculateBeeScore(
-        avgTemp,
-        avgHumidity,
-        totalRainfall,
-        avgWindSpeed,
-      ),
+      condition: this.getWeatherCondition(avgTemp),
+      forecast: this.buildForecastDays(daily),
+      flyingWindows: this.calculateFlyingWindows(data.hourly),
+      climate,
+    };
+  }
+
+  /**
+   * Day-by-day rows for the "next 7 days" panel
+   * @param {Object} daily - Forecast daily arrays
+   * @returns {Array} [{ date, maxTemp, minTemp, rainfall, windSpeed, humidity }]
+   */
+  buildForecastDays(daily) {
+    return daily.temperature_2m_max.slice(0, 7).map((maxTemp, i) => ({
+      date: daily.time?.[i] || null,
+      maxTemp,
+      minTemp: daily.temperature_2m_min?.[i] ?? null,
+      rainfall: daily.precipitation_sum?.[i] ?? null,
+      windSpeed: daily.windspeed_10m_max?.[i] ?? null,
+      humidity: daily.relative_humidity_2m_max?.[i] ?? null,
+    }));
+  }
+
+  /**
+   * Hour-by-hour inspection and flying weather for the forecast period
+   * @param {Object} hourly - Forecast hourly arrays: time, temperature_2m, windspeed_10m, precipitation
+   * @param {Object} rules - See INSPECTION_RULES
+   * @returns {Object} { hours: [{ time, temp, wind, rain, flyable }], windows: [{ start, end, hours, avgTemp, best }] },
+   *   only daylight hours are listed; the longest, warmest windows are marked best
+   */
+  calculateFlyingWindows(hourly, rules = INSPECTION_RULES) {
+    if (!hourly?.time?.length) return { hours: [], windows: [] };
+
+    const hours = [];
+    hourly.time.forEach((time, i) => {
+      const hour = Number(time.slice(11, 13));
+      if (hour < rules.firstHour || hour > rules.lastHour) return;
+
+      const temp = hourly.temperature_2m?.[i];
+      const wind = hourly.windspeed_10m?.[i];
+      const rain = hourly.precipitation?.[i];
+      hours.push({
+        time,
+        temp,
+        wind,
+        rain,
+        flyable:
+          temp > rules.minTemp && wind < rules.maxWind && rain <= rules.maxRain,
+      });
+    });
+
+    // Consecutive flyable hours on the same day form a window
+    const windows = [];
+    hours.forEach((entry, i) => {
+      if (!entry.flyable) return;
+      const last = windows[windows.length - 1];
+      const previous = hours[i - 1];
+      if (
+        last &&
+        previous?.flyable &&
+        previous.time.slice(0, 10) === entry.time.slice(0, 10)
+      ) {
+        last.end = entry.time;
+        last.temps.push(entry.temp);
+      } else {
+        windows.push({
+          start: entry.time,
+          end: entry.time,
+          temps: [entry.temp],
+        });
+      }
+    });
+
+    const result = windows.map(({ start, end, temps }) => ({
+      start,
+      end,
+      hours: temps.length,
+      avgTemp: Math.round(this.calculateAverage(temps) * 10) / 10,
+      best: false,
+    }));
+
+    [...result]
+      .sort((a, b) => b.hours - a.hours || b.avgTemp - a.avgTemp)
+      .slice(0, BEST_WINDOWS)
+      .forEach((window) => (window.best = true));
+
+    return { hours, windows: result };
+  }
+
+  /**
+   * Long-term averages from past years of daily data
+   * @param {Object|null} climateData - { daily: { time, temperature_2m_max, temperature_2m_min, precipitation_sum } }
+   * @returns {Object|null} { years, annualRainfall, monthlyTemps: [{ month, mean, min, max }],
+   *   summerTemp, frostDays, flyingDays } - day counts are per year
+   */
+  calculateClimateNormals(climateData) {
+    const daily = climateData?.daily;
+    if (!daily?.time?.length) return null;
+
+    const years = daily.time.length / 365.25;
+    const perYear = (count) => Math.round(count / years);
+    const months = Array.from({ length: 12 }, () => ({ max: [], min: [] }));
+
+    let rainfall = 0;
+    let frostDays = 0;
+    let flyingDays = 0;
+
+    daily.time.forEach((date, i) => {
+      const max = daily.temperature_2m_max[i];
+      const min = daily.temperature_2m_min[i];
+      rainfall += daily.precipitation_sum[i] || 0;
+
+      if (Number.isFinite(max) && Number.isFinite(min)) {
+        const month = months[Number(date.slice(5, 7)) - 1];
+        month.max.push(max);
+        month.min.push(min);
+        if (min < 0) frostDays++;
+        if (max >= FLYING_TEMP) flyingDays++;
+      }
+    });
+
+    const round = (value) => Math.round(value * 10) / 10;
+    const monthlyTemps = months.map(({ max, min }, index) => {
+      const avgMax = this.calculateAverage(max);
+      const avgMin = this.calculateAverage(min);
+      return {
+        month: MONTH_NAMES[index],
+        mean: round((avgMax + avgMin) / 2),
+        min: round(avgMin),
+        max: round(avgMax),
+      };
+    });
+
+    // Jun-Aug, when colonies are at full strength
+    const summerTemp = round(
+      this.calculateAverage(monthlyTemps.slice(5, 8).map((m) => m.mean)),
+    );
+
+    return {
+      years: Math.round(years),
+      annualRainfall: Math.round(rainfall / years),
+      monthlyTemps,
+      summerTemp,
+      frostDays: perYear(frostDays),
+      flyingDays: perYear(flyingDays),
     };
   }
 
+  /**
+   * Adds the bee score and the adjustments behind it to processed weather data
+   * Uses the pollen forage index when integratePollenData() has provided one,
+   * and climate normals (summer temperature, rainfall, frost and flying days)
+   * when available, falling back to the forecast temperature
+   * @param {Object} data - Processed weather data, with or without pollen
+   * @returns {Object} Data with beeScore and beeScoreFactors
+   */
+  applyBeeScore(data) {
+    const { score, factors } = this.calculateBeeScoreDetails(
+      data.climate?.summerTemp ?? data.temperature,
+      data.humidity,
+      data.rainfall,
+      data.windSpeed,
+      data.pollen?.forageIndex,
+      data.climate,
+    );
+    return { ...data, beeScore: score, beeScoreFactors: factors };
+  }
+
   /**
    * Calculates average from array of numbers
    */
@@ -207,7 +487,7 @@ export default class WeatherService {
   /**
    * Determines weather condition description
    */
-  getWeatherCondition(temp, rainfall, windSpeed) {
+  getWeatherCondition(temp) {
     if (temp < 0) return "Cold";
     if (temp < 10) return "Cool";
     if (temp < 20) return "Mild";
@@ -217,79 +497,96 @@ export default class WeatherService {
 
   /**
    * Calculates a "bee-friendliness" score (0-100)
-   * Bees prefer: 15-25°C, 50-70% humidity, low extreme winds, moderate rainfall, and good pollen availability
-   * @param {number} temp - Average temperature
+   * Bees prefer: 15-25°C summers, 50-70% humidity, low extreme winds, moderate rainfall,
+   * a long flying season, few frosts, and good pollen availability
+   * @param {number} temp - Average summer temperature (or forecast average)
    * @param {number} humidity - Humidity percentage
-   * @param {number} rainfall - Annual rainfall
+   * @param {number} rainfall - Annual rainfall in mm (null if unknown)
    * @param {number} windSpeed - Wind speed
    * @param {number} forageIndex - Pollen foraging index (0-100, optional)
+   * @param {Object} climate - { frostDays, flyingDays } per year (optional)
+   */
+  calculateBeeScore(temp, humidity, rainfall, windSpeed, forageIndex, climate) {
+    return this.calculateBeeScoreDetails(
+      temp,
+      humidity,
+      rainfall,
+      windSpeed,
+      forageIndex,
+      climate,
+    ).score;
+  }
+
+  /**
+   * Same rules as calculateBeeScore, also listing each penalty and bonus
+   * @returns {Object} { score, factors: [{ label, points }] } - negative points are penalties
    */
-  calculateBeeScore(temp, humidity, rainfall, windSpeed, forageIndex = 50) {
-    let score = 100;
+  calculateBeeScoreDetails(
+    temp,
+    humidity,
+    rainfall,
+    windSpeed,
+    forageIndex,
+    climate = null,
+  ) {
+    const factors = [];
+    const adjust = (label, points) => {
+      if (points !== 0) factors.push({ label, points });
+    };
 
     // Temperature penalty (ideal: 15-25°C)
-    if (temp < 10 || temp > 30) score -= 25;
-    else if (temp < 15 || temp > 25) score -= 15;
-    else if (temp < 18 || temp > 23) score -= 5;
+    if (temp < 10 || temp > 30) adjust(`Temperature ${temp}°C`, -25);
+    else if (temp < 15 || temp > 25) adjust(`Temperature ${temp}°C`, -15);
+    else if (temp < 18 || temp > 23) adjust(`Temperature ${temp}°C`, -5);
 
     // Humidity penalty (ideal: 50-70%)
-    if (humidity < 30 || humidity > 80) score -= 15;
-    else if (humidity < 40 || humidity > 75) score -= 5;
+    if (humidity < 30 || humidity > 80) adjust(`Humidity ${humidity}%`, -15);
+    else if (humidity < 40 || humidity > 75) {
+      adjust(`Humidity ${humidity}%`, -5);
+    }
 
     // Wind penalty (ideal: < 20 km/h)
-    if (windSpeed > 40) score -= 20;
-    else if (windSpeed > 30) score -= 10;
-    else if (windSpeed > 20) score -= 5;
-
-    // Rainfall (some is good, too much is bad)
-    if (rainfall < 300)
-      score -= 10; // Too dry
-    else if (rainfall > 2000) score -= 10; // Too wet
-
-    // Pollen/Forage availability bonus (10% of score)
-    score = score * 0.9 + forageIndex * 0.1;
-
-    return Math.max(0, Math.min(100, score)); // Clamp 0-100
-  }
-
-  /**
-   * Cache management
-   */
-  getFromCache(lat, lng) {
-    try {
-      const cache = JSON.parse(localStorage.getItem(this.cacheKey)) || {};
-      const key = `${lat.toFixed(4)}_${lng.toFixed(4)}`;
-      const cached = cache[key];
+    if (windSpeed > 40) adjust(`Wind ${windSpeed} km/h`, -20);
+    else if (windSpeed > 30) adjust(`Wind ${windSpeed} km/h`, -10);
+    else if (windSpeed > 20) adjust(`Wind ${windSpeed} km/h`, -5);
+
+    // Annual rainfall (some is good, too much is bad)
+    if (Number.isFinite(rainfall)) {
+      if (rainfall < 300) adjust(`Too dry (${rainfall} mm/year)`, -10);
+      else if (rainfall > 2000) adjust(`Too wet (${rainfall} mm/year)`, -10);
+    }
 
-      if (cached && Date.now() - cached.timestamp < this.cacheDuration) {
-        return cached.data;
+    // Season length: days warm enough to fly, and hard frosts
+    if (climate) {
+      if (climate.flyingDays < 120) {
+        adjust(`${climate.flyingDays} flying days/year`, -15);
+      } else if (climate.flyingDays < 180) {
+        adjust(`${climate.flyingDays} flying days/year`, -5);
+      }
+      if (climate.frostDays > 100) {
+        adjust(`${climate.frostDays} frost days/year`, -10);
+      } else if (climate.frostDays > 60) {
+        adjust(`${climate.frostDays} frost days/year`, -5);
       }
-
-      // Remove expired entry
-      delete cache[key];
-      localStorage.setItem(this.cacheKey, JSON.stringify(cache));
-    } catch (e) {
-      console.warn("Cache read error:", e);
     }
-    return null;
-  }
 
-  saveToCache(lat, lng, data) {
-    try {
-      const cache = JSON.parse(localStorage.getItem(this.cacheKey)) || {};
-      const key = `${lat.toFixed(4)}_${lng.toFixed(4)}`;
-      cache[key] = {
-        data: data,
-        timestamp: Date.now(),
-      };
-      localStorage.setItem(this.cacheKey, JSON.stringify(cache));
-    } catch (e) {
-      console.warn("Cache write error:", e);
-    }
+    const weatherScore = factors.reduce((score, f) => score + f.points, 100);
+
+    // Pollen/Forage availability (10% of score); 50 is neutral when unknown
+    const hasForage = Number.isFinite(forageIndex);
+    const forage = hasForage ? forageIndex : 50;
+    const blended = weatherScore * 0.9 + forage * 0.1;
+    adjust(
+      hasForage ? `Forage index ${forage}` : "Forage unknown",
+      Math.round((blended - weatherScore) * 10) / 10,
+    );
+
+    const score = Math.round(Math.max(0, Math.min(100, blended))); // Clamp 0-100
+    return { score, factors };
   }
 
   /**
-   * Default weather data fallback
+   * Default weather data fallback, flagged so the UI doesn't present it as measured
    */
   getDefaultWeather() {
     return {
@@ -300,7 +597,14 @@ export default class WeatherService {
       rainfall: 800,
       windSpeed: 15,
       condition: "Data Unavailable",
+      forecast: [],
+      flyingWindows: { hours: [], windows: [] },
+      climate: null,
       beeScore: 50,
+      beeScoreFactors: [],
+      source: "fallback",
+      isFallback: true,
+      isStale: false,
     };
   }
 }
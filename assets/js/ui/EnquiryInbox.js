@@ -0,0 +1,90 @@
+/**
+ * EnquiryInbox
+ * Lists beekeepers' enquiries about the landowner's plots, with accept and
+ * decline buttons for the ones still waiting on an answer.
+ */
+
+import { ENQUIRY_STATUS } from "../models/Enquiry.js";
+import { escapeHTML } from "../utils/html.js";
+
+const STATUS_BADGES = {
+  [ENQUIRY_STATUS.PENDING]: "bg-warning text-dark",
+  [ENQUIRY_STATUS.ACCEPTED]: "bg-success",
+  [ENQUIRY_STATUS.DECLINED]: "bg-secondary",
+};
+
+export default class EnquiryInbox {
+  /**
+   * @param {Object} callbacks
+   * @param {Function} callbacks.onRespond - (enquiryId, status) when accept or decline is clicked
+   */
+  constructor({ onRespond } = {}) {
+    this.onRespond = onRespond || (() => {});
+    this.el = { list: null, count: null };
+  }
+
+  init() {
+    this.el.list = document.getElementById("enquiry-inbox");
+    this.el.count = document.getElementById("enquiry-count");
+
+    // Delegated, so re-rendering doesn't need re-binding
+    this.el.list?.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-enquiry-action]");
+      if (!button) return;
+      button.disabled = true;
+      this.onRespond(button.dataset.enquiryId, button.dataset.enquiryAction);
+    });
+  }
+
+  /**
+   * @param {Enquiry[]} enquiries - Newest first
+   * @param {Map} plotsById - Plot id -> LandPlot, for plot names
+   */
+  render(enquiries, plotsById = new Map()) {
+    if (!this.el.list) return;
+
+    const pending = enquiries.filter(
+      (e) => e.status === ENQUIRY_STATUS.PENDING,
+    ).length;
+    if (this.el.count) {
+      this.el.count.innerText = pending > 0 ? `${pending} new` : "";
+    }
+
+    if (enquiries.length === 0) {
+      this.el.list.innerHTML = `<li class="list-group-item bg-transparent text-muted px-0">No enquiries yet.</li>`;
+      return;
+    }
+
+    this.el.list.innerHTML = enquiries
+      .map((enquiry) =>
+        this.buildRow(enquiry, plotsById.get(String(enquiry.plotId))),
+      )
+      .join("");
+  }
+
+  buildRow(enquiry, plot) {
+    const actions =
+      enquiry.status === ENQUIRY_STATUS.PENDING
+        ? `<div class="d-flex gap-2 mt-2">
+            <button type="button" class="btn btn-sm btn-success" data-enquiry-id="${escapeHTML(enquiry.id)}" data-enquiry-action="${ENQUIRY_STATUS.ACCEPTED}">Accept</button>
+            <button type="button" class="btn btn-sm btn-outline-danger" data-enquiry-id="${escapeHTML(enquiry.id)}" data-enquiry-action="${ENQUIRY_STATUS.DECLINED}">Decline</button>
+          </div>`
+        : "";
+
+    return `
+      <li class="list-group-item bg-transparent px-0" data-enquiry-row="${escapeHTML(enquiry.id)}">
+        <div class="d-flex justify-content-between align-items-start">
+          <strong>${escapeHTML(enquiry.name)}</strong>
+          <span class="badge ${STATUS_BADGES[enquiry.status]}">${enquiry.status}</span>
+        </div>
+        <div class="text-muted">
+          ${escapeHTML(plot?.ownerName || `Plot ${enquiry.plotId}`)} ·
+          ${enquiry.hives} ${enquiry.hives === 1 ? "hive" : "hives"} from ${enquiry.startDate}
+        </div>
+        ${enquiry.accessNeeds ? `<div>Access: ${escapeHTML(enquiry.accessNeeds)}</div>` : ""}
+        ${enquiry.message ? `<div class="fst-italic">"${escapeHTML(enquiry.message)}"</div>` : ""}
+        <a href="mailto:${escapeHTML(enquiry.email)}" class="text-dark">${escapeHTML(enquiry.email)}</a>
+        ${actions}
+      </li>`;
+  }
+}
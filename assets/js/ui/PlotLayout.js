@@ -0,0 +1,155 @@
+/**
+ * PlotLayout
+ * Leaflet layers for what a landowner marks inside a plot: no-hive zones,
+ * hive stands, houses and footpaths. The drawing tools and the details page
+ * both build them here, so a plot looks the same in each.
+ */
+
+import LandPlot from "../models/LandPlot.js";
+import { toLatLngPair } from "../utils/geometry.js";
+
+export const PART_STYLES = {
+  hole: {
+    color: "#dc3545",
+    dashArray: "4 4",
+    weight: 2,
+    fillColor: "#dc3545",
+    fillOpacity: 0.15,
+  },
+  footpath: { color: "#6c757d", dashArray: "6 6" },
+  stand: {
+    radius: 7,
+    color: "#212529",
+    weight: 2,
+    fillColor: "#ffc107",
+    fillOpacity: 1,
+  },
+};
+
+const PART_LABELS = {
+  field: ["field", "fields"],
+  hole: ["no-hive zone", "no-hive zones"],
+  stand: ["hive stand", "hive stands"],
+  house: ["house", "houses"],
+  footpath: ["footpath", "footpaths"],
+};
+
+export default class PlotLayout {
+  /**
+   * Icon for houses, used by the marker draw tool too
+   */
+  static houseIcon() {
+    return L.divIcon({
+      html: "🏠",
+      className: "buffer-house-icon",
+      iconSize: [24, 24],
+    });
+  }
+
+  /**
+   * One marked part as a layer, tagged with its kind in `drawnKind`
+   * @param {string} kind - hole, stand, house or footpath
+   * @param {Array} coordinates - [[lat, lng], ...]; one point for stands and houses
+   */
+  static partLayer(kind, coordinates) {
+    let layer;
+    switch (kind) {
+      case "hole":
+        layer = L.polygon(coordinates, PART_STYLES.hole);
+        break;
+      case "stand":
+        layer = L.circleMarker(coordinates[0], PART_STYLES.stand);
+        break;
+      case "house":
+        layer = L.marker(coordinates[0], { icon: PlotLayout.houseIcon() });
+        break;
+      default:
+        layer = L.polyline(coordinates, PART_STYLES.footpath);
+    }
+
+    layer.drawnKind = kind;
+    return layer;
+  }
+
+  /**
+   * [[lat, lng], ...] of a part layer, whichever tool drew it
+   */
+  static coordinatesOf(layer) {
+    return layer.getLatLng
+      ? [toLatLngPair(layer.getLatLng())]
+      : LandPlot.normalizeCoordinates(layer.getLatLngs());
+  }
+
+  /**
+   * Reads the parts back out of a set of drawn layers
+   * @param {Array} layers - Leaflet layers; ones without a drawnKind are ignored
+   * @returns {Object} { holes, hiveStands, bufferFeatures } as stored on a LandPlot
+   */
+  static partsFrom(layers) {
+    const parts = { holes: [], hiveStands: [], bufferFeatures: [] };
+    layers.forEach((layer) => {
+      const coordinates = PlotLayout.coordinatesOf(layer);
+      if (layer.drawnKind === "hole") parts.holes.push(coordinates);
+      else if (layer.drawnKind === "stand") {
+        parts.hiveStands.push(coordinates[0]);
+      } else if (layer.drawnKind) {
+        parts.bufferFeatures.push({ kind: layer.drawnKind, coordinates });
+      }
+    });
+    return parts;
+  }
+
+  /**
+   * A layer for every marked part, zones first so stands sit on top
+   * @param {Object} parts - { holes, hiveStands, bufferFeatures }, e.g. a LandPlot
+   */
+  static partLayers({ holes = [], hiveStands = [], bufferFeatures = [] }) {
+    return [
+      ...holes.map((hole) => PlotLayout.partLayer("hole", hole)),
+      ...bufferFeatures.map(({ kind, coordinates }) =>
+        PlotLayout.partLayer(kind, coordinates),
+      ),
+      ...hiveStands.map((stand) => PlotLayout.partLayer("stand", [stand])),
+    ];
+  }
+
+  /**
+   * Every layer for a saved plot: the boundary with its zones cut out,
+   * then the marked parts, each labelled on hover
+   * @param {LandPlot} plot
+   * @param {Object} boundaryStyle - Leaflet path options for the boundary
+   */
+  static layers(plot, boundaryStyle) {
+    if (plot.type !== "polygon") return [];
+    return [
+      L.polygon(plot.polygons, boundaryStyle),
+      ...PlotLayout.partLayers(plot).map((layer) =>
+        layer.bindTooltip(PlotLayout.label(layer.drawnKind, 1)),
+      ),
+    ];
+  }
+
+  static label(kind, count) {
+    const [singular, plural] = PART_LABELS[kind];
+    return count === 1 ? singular : plural;
+  }
+
+  /**
+   * e.g. "3 fields, 2 hive stands, 1 no-hive zone"; empty for a single
+   * field with nothing marked
+   */
+  static describe(plot) {
+    const fieldCount = plot.fields?.length ?? 1;
+    const counts = {
+      field: fieldCount > 1 ? fieldCount : 0,
+      stand: plot.hiveStands.length,
+      hole: plot.holes.length,
+      house: plot.bufferFeatures.filter((f) => f.kind === "house").length,
+      footpath: plot.bufferFeatures.filter((f) => f.kind === "footpath").length,
+    };
+    return Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .map(([kind, count]) => `${count} ${PlotLayout.label(kind, count)}`)
+      .join(", ");
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * SavedSearchesUI
+ * The beekeeper's saved searches: a form to name the current filters, the
+ * list of saved ones, and the plots listed since the last visit that match
+ * them, with a count badge and optional browser notifications.
+ */
+
+import { escapeHTML } from "../utils/html.js";
+
+export default class SavedSearchesUI {
+  /**
+   * @param {Object} callbacks
+   * @param {Function} callbacks.onSave - (name, notify) when the form is submitted
+   * @param {Function} callbacks.onApply - (searchId) when a saved search is clicked
+   * @param {Function} callbacks.onDelete - (searchId) when a saved search is deleted
+   * @param {Function} callbacks.onSelectPlot - (searchId, plotId) when a new plot is clicked
+   * @param {Function} callbacks.onDismiss - () when the new plots are marked as seen
+   */
+  constructor({ onSave, onApply, onDelete, onSelectPlot, onDismiss } = {}) {
+    this.onSave = onSave || (() => {});
+    this.onApply = onApply || (() => {});
+    this.onDelete = onDelete || (() => {});
+    this.onSelectPlot = onSelectPlot || (() => {});
+    this.onDismiss = onDismiss || (() => {});
+
+    this.el = {
+      form: null,
+      name: null,
+      notify: null,
+      list: null,
+      badge: null,
+      newPanel: null,
+      newList: null,
+      dismissBtn: null,
+    };
+  }
+
+  init() {
+    this.el.form = document.getElementById("save-search-form");
+    this.el.name = document.getElementById("save-search-name");
+    this.el.notify = document.getElementById("save-search-notify");
+    this.el.list = document.getElementById("saved-searches-list");
+    this.el.badge = document.getElementById("new-listings-badge");
+    this.el.newPanel = document.getElementById("new-listings");
+    this.el.newList = document.getElementById("new-listings-list");
+    this.el.dismissBtn = document.getElementById("new-listings-dismiss");
+
+    this.el.form?.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.onSave(this.el.name.value, Boolean(this.el.notify?.checked));
+    });
+    // Ask while the click still counts as a user gesture
+    this.el.notify?.addEventListener("change", () => {
+      if (this.el.notify.checked) SavedSearchesUI.requestPermission();
+    });
+
+    // Delegated, so re-rendering doesn't need re-binding
+    this.el.list?.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-search-action]");
+      if (!button) return;
+      const { searchId, searchAction } = button.dataset;
+      if (searchAction === "delete") this.onDelete(searchId);
+      else this.onApply(searchId);
+    });
+    this.el.newList?.addEventListener("click", (e) => {
+      const row = e.target.closest("[data-plot-id]");
+      if (row) this.onSelectPlot(row.dataset.searchId, row.dataset.plotId);
+    });
+    this.el.newList?.addEventListener("keydown", (e) => {
+      const row = e.target.closest("[data-plot-id]");
+      if (row && (e.key === "Enter" || e.key === " ")) {
+        e.preventDefault();
+        this.onSelectPlot(row.dataset.searchId, row.dataset.plotId);
+      }
+    });
+    this.el.dismissBtn?.addEventListener("click", () => this.onDismiss());
+  }
+
+  resetForm() {
+    this.el.form?.reset();
+  }
+
+  /**
+   * @param {Array} searches - Saved searches, oldest first
+   * @param {Array} newListings - [{ search, plots }] found since the last visit
+   */
+  render(searches, newListings = []) {
+    const newCount = new Set(
+      newListings.flatMap(({ plots }) => plots.map((plot) => String(plot.id))),
+    ).size;
+
+    if (this.el.badge) {
+      this.el.badge.innerText = newCount > 0 ? `${newCount} new` : "";
+    }
+    if (this.el.newPanel) this.el.newPanel.hidden = newCount === 0;
+    if (this.el.newList) {
+      this.el.newList.innerHTML = newListings
+        .flatMap(({ search, plots }) =>
+          plots.map((plot) => this.buildNewRow(search, plot)),
+        )
+        .join("");
+    }
+
+    if (!this.el.list) return;
+    if (searches.length === 0) {
+      this.el.list.innerHTML = `<li class="list-group-item bg-transparent text-muted px-0">No saved searches yet.</li>`;
+      return;
+    }
+    this.el.list.innerHTML = searches
+      .map((search) => this.buildSearchRow(search))
+      .join("");
+  }
+
+  buildSearchRow(search) {
+    const id = escapeHTML(search.id);
+    return `
+      <li class="list-group-item bg-transparent px-0 d-flex align-items-start gap-2">
+        <button type="button" class="btn btn-link text-dark text-start p-0 me-auto" data-search-id="${id}" data-search-action="apply">
+          <strong>${escapeHTML(search.name)}</strong>${search.notify ? " 🔔" : ""}
+          <span class="d-block text-muted">${escapeHTML(SavedSearchesUI.describe(search.filters))}</span>
+        </button>
+        <button type="button" class="btn btn-sm btn-outline-danger" data-search-id="${id}" data-search-action="delete" aria-label="Delete ${escapeHTML(search.name)}">✕</button>
+      </li>`;
+  }
+
+  buildNewRow(search, plot) {
+    return `
+      <li class="list-group-item list-group-item-action results-row" data-search-id="${escapeHTML(search.id)}" data-plot-id="${escapeHTML(plot.id)}" tabindex="0">
+        <strong class="small">${escapeHTML(plot.ownerName || "Unnamed Plot")}</strong>
+        <div class="small text-muted">
+          ${escapeHTML(plot.landType)} · ${plot.formatCapacity()} · for "${escapeHTML(search.name)}"
+        </div>
+      </li>`;
+  }
+
+  /**
+   * One-line summary of a filter set, e.g. "Orchard · 2–10 hives · within 25 km of York"
+   * @param {Object} filters - As in app.state.filters
+   */
+  static describe(filters) {
+    const range = (min, max, unit) => {
+      if (min !== null && max !== null) return `${min}–${max} ${unit}`;
+      if (min !== null) return `${min}+ ${unit}`;
+      if (max !== null) return `up to ${max} ${unit}`;
+      return null;
+    };
+
+    const parts = [
+      filters.landTypes?.length ? filters.landTypes.join(", ") : "Any land",
+      range(filters.minHives ?? null, filters.maxHives ?? null, "hives"),
+      range(filters.minAcres ?? null, filters.maxAcres ?? null, "acres"),
+      filters.minSuitability ? `⭐ ${filters.minSuitability}+` : null,
+      filters.origin
+        ? `within ${filters.radiusKm} km of ${filters.origin.label}`
+        : null,
+    ];
+    return parts.filter(Boolean).join(" · ");
+  }
+
+  static requestPermission() {
+    if ("Notification" in window && Notification.permission === "default") {
+      Notification.requestPermission();
+    }
+  }
+
+  /**
+   * Browser notification for each search that asked for one
+   * @param {Array} found - [{ search, plots }]
+   */
+  static notify(found) {
+    if (!("Notification" in window) || Notification.permission !== "granted") {
+      return;
+    }
+    found
+      .filter(({ search }) => search.notify)
+      .forEach(({ search, plots }) => {
+        const count = plots.length;
+        new Notification("New hive space on BeeLandr", {
+          body: `${count} new ${count === 1 ? "plot matches" : "plots match"} "${search.name}".`,
+          tag: search.id, // One notification per search, replaced on the next check
+        });
+      });
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * SidebarUI
+ * Renders the beekeeper's results list and keeps it in step with the map.
+ * Map interaction is delegated to the callbacks passed in by main.js.
+ */
+
+import { escapeHTML } from "../utils/html.js";
+
+export default class SidebarUI {
+  /**
+   * @param {Object} callbacks
+   * @param {Function} callbacks.onHover - (plotId, isActive) when a row is hovered or focused
+   * @param {Function} callbacks.onSelect - (plotId) when a row is clicked
+   * @param {Function} callbacks.onOptionsChange - () when sort or viewport options change
+   */
+  constructor({ onHover, onSelect, onOptionsChange } = {}) {
+    this.onHover = onHover || (() => {});
+    this.onSelect = onSelect || (() => {});
+    this.onOptionsChange = onOptionsChange || (() => {});
+
+    this.sortBy = "distance";
+    this.limitToView = false;
+
+    this.el = {
+      list: null,
+      count: null,
+      sortSelect: null,
+      inViewToggle: null,
+    };
+  }
+
+  init() {
+    this.el.list = document.getElementById("results-list");
+    this.el.count = document.getElementById("results-count");
+    this.el.sortSelect = document.getElementById("results-sort");
+    this.el.inViewToggle = document.getElementById("results-in-view");
+
+    this.el.sortSelect?.addEventListener("change", () => {
+      this.sortBy = this.el.sortSelect.value;
+      this.onOptionsChange();
+    });
+
+    this.el.inViewToggle?.addEventListener("change", () => {
+      this.limitToView = this.el.inViewToggle.checked;
+      this.onOptionsChange();
+    });
+
+    // Delegated row events, so re-rendering doesn't need re-binding
+    this.el.list?.addEventListener("click", (e) => {
+      const row = e.target.closest("[data-plot-id]");
+      if (row) this.onSelect(row.dataset.plotId);
+    });
+    this.el.list?.addEventListener("keydown", (e) => {
+      const row = e.target.closest("[data-plot-id]");
+      if (row && (e.key === "Enter" || e.key === " ")) {
+        e.preventDefault();
+        this.onSelect(row.dataset.plotId);
+      }
+    });
+    ["mouseover", "focusin"].forEach((type) =>
+      this.el.list?.addEventListener(type, (e) => this.handleHover(e, true)),
+    );
+    ["mouseout", "focusout"].forEach((type) =>
+      this.el.list?.addEventListener(type, (e) => this.handleHover(e, false)),
+    );
+  }
+
+  handleHover(event, isActive) {
+    const row = event.target.closest("[data-plot-id]");
+    // Ignore moves between elements inside the same row
+    if (!row || row.contains(event.relatedTarget)) return;
+    this.onHover(row.dataset.plotId, isActive);
+  }
+
+  /**
+   * Orders plots for the list. Distance falls back to the incoming order
+   * when there is no search origin.
+   * @param {LandPlot[]} plots
+   * @param {string} sortBy - distance, hives, suitability or area
+   * @param {Map} distances - Plot id -> km
+   * @returns {LandPlot[]} A new, sorted array
+   */
+  static sortPlots(plots, sortBy, distances = new Map()) {
+    const sorted = [...plots];
+    const descending = (key) => (a, b) => (b[key] ?? -1) - (a[key] ?? -1);
+
+    switch (sortBy) {
+      case "distance":
+        if (distances.size > 0) {
+          sorted.sort(
+            (a, b) =>
+              (distances.get(a.id) ?? Infinity) -
+              (distances.get(b.id) ?? Infinity),
+          );
+        }
+        break;
+      case "hives":
+      case "suitability":
+      case "area":
+        sorted.sort(descending(sortBy));
+        break;
+    }
+    return sorted;
+  }
+
+  /**
+   * Renders the results list
+   * @param {LandPlot[]} plots - Plots to list, already filtered
+   * @param {Map} distances - Plot id -> km from the search origin
+   */
+  render(plots, distances = new Map()) {
+    if (!this.el.list) return;
+
+    const sorted = SidebarUI.sortPlots(plots, this.sortBy, distances);
+
+    if (this.el.count) {
+      this.el.count.innerText = `${sorted.length} ${sorted.length === 1 ? "plot" : "plots"}`;
+    }
+
+    if (sorted.length === 0) {
+      this.el.list.innerHTML = `<li class="list-group-item text-muted small">No plots to show. Try widening your search${this.limitToView ? " or zooming out" : ""}.</li>`;
+      return;
+    }
+
+    this.el.list.innerHTML = sorted
+      .map((plot) => this.buildRow(plot, distances.get(plot.id)))
+      .join("");
+  }
+
+  buildRow(plot, distance) {
+    const distanceText = Number.isFinite(distance)
+      ? `<span class="badge bg-dark text-warning">${distance.toFixed(1)} km</span>`
+      : "";
+
+    return `
+      <li class="list-group-item list-group-item-action results-row" data-plot-id="${escapeHTML(plot.id)}" tabindex="0">
+        <div class="d-flex justify-content-between align-items-start">
+          <strong class="small">${escapeHTML(plot.ownerName || "Unnamed Plot")}</strong>
+          ${distanceText}
+        </div>
+        <div class="small text-muted">
+          ${escapeHTML(plot.landType)} · ${plot.formatCapacity()} · ${plot.formatArea("acres")}
+          ${plot.suitability !== null ? ` · ⭐ ${plot.suitability}` : ""}
+        </div>
+      </li>`;
+  }
+}
@@ -0,0 +1,16 @@
+/**
+ * Saves generated text as a file through the browser's download prompt
+ * @param {string} fileName
+ * @param {string} content
+ * @param {string} mimeType
+ */
+export function downloadFile(fileName, content, mimeType = "text/plain") {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
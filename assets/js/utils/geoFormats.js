@@ -0,0 +1,309 @@
+/**
+ * Geo file formats
+ * Reads plot boundaries from GeoJSON, KML and GPX files, and writes plots
+ * out as GeoJSON, KML and CSV.
+ * The app's coordinates are [lat, lng] pairs; GeoJSON and KML store
+ * [lng, lat], GPX stores lat/lon attributes.
+ */
+
+import { toLatLngPair, openRing } from "./geometry.js";
+
+/**
+ * Finds every polygon in a boundary file
+ * @param {string} text - File contents
+ * @param {string} fileName - Used to pick the format
+ * @returns {Array} [{ name, coordinates: [[lat, lng], ...] }] - outer rings, 3+ points each
+ * @throws {Error} If the format is unsupported or the file can't be read
+ */
+export function parseBoundaryFile(text, fileName = "") {
+  const extension = fileName.toLowerCase().match(/\.[a-z]+$/)?.[0];
+  let boundaries;
+
+  switch (extension) {
+    case ".geojson":
+    case ".json":
+      boundaries = parseGeoJSON(text);
+      break;
+    case ".kml":
+      boundaries = parseKML(text);
+      break;
+    case ".gpx":
+      boundaries = parseGPX(text);
+      break;
+    default:
+      throw new Error("Unsupported file type. Use GeoJSON, KML or GPX.");
+  }
+
+  return boundaries
+    .map((boundary, index) => ({
+      name: boundary.name || `Boundary ${index + 1}`,
+      coordinates: openRing(boundary.coordinates.filter(Boolean)),
+    }))
+    .filter((boundary) => boundary.coordinates.length >= 3);
+}
+
+/**
+ * Polygons and MultiPolygons from any GeoJSON object
+ */
+export function parseGeoJSON(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw new Error("This file is not valid GeoJSON.");
+  }
+
+  const features =
+    json.type === "FeatureCollection"
+      ? json.features || []
+      : json.type === "Feature"
+        ? [json]
+        : [{ geometry: json, properties: {} }];
+
+  const fromRing = (ring) => ring.map(([lng, lat]) => toLatLngPair([lat, lng]));
+
+  return features.flatMap(({ geometry, properties = {} }) => {
+    const name = properties?.name || properties?.NAME || properties?.title;
+    if (geometry?.type === "Polygon") {
+      return [{ name, coordinates: fromRing(geometry.coordinates[0] || []) }];
+    }
+    if (geometry?.type === "MultiPolygon") {
+      return geometry.coordinates.map((polygon, i) => ({
+        name: name ? `${name} (${i + 1})` : undefined,
+        coordinates: fromRing(polygon[0] || []),
+      }));
+    }
+    return [];
+  });
+}
+
+/**
+ * Outer boundaries of every Polygon in a KML document
+ */
+export function parseKML(text) {
+  const doc = parseXML(text, "KML");
+
+  return [...doc.getElementsByTagName("Polygon")].map((polygon) => {
+    const ring = polygon.getElementsByTagName("outerBoundaryIs")[0] || polygon;
+    const coordinates =
+      ring.getElementsByTagName("coordinates")[0]?.textContent || "";
+    const placemark = polygon.closest("Placemark");
+
+    return {
+      name: childText(placemark, "name"),
+      coordinates: coordinates
+        .trim()
+        .split(/\s+/)
+        .map((tuple) => {
+          const [lng, lat] = tuple.split(",");
+          return toLatLngPair([lat, lng]);
+        }),
+    };
+  });
+}
+
+/**
+ * Tracks and routes in a GPX file, each walked around the boundary
+ */
+export function parseGPX(text) {
+  const doc = parseXML(text, "GPX");
+  const paths = [
+    ...[...doc.getElementsByTagName("trkseg")].map((segment) => ({
+      parent: segment.closest("trk"),
+      points: segment.getElementsByTagName("trkpt"),
+    })),
+    ...[...doc.getElementsByTagName("rte")].map((route) => ({
+      parent: route,
+      points: route.getElementsByTagName("rtept"),
+    })),
+  ];
+
+  return paths.map(({ parent, points }) => ({
+    name: childText(parent, "name"),
+    coordinates: [...points].map((point) =>
+      toLatLngPair({
+        lat: point.getAttribute("lat"),
+        lon: point.getAttribute("lon"),
+      }),
+    ),
+  }));
+}
+
+export const EXPORT_FORMATS = {
+  geojson: { extension: "geojson", mimeType: "application/geo+json" },
+  kml: { extension: "kml", mimeType: "application/vnd.google-earth.kml+xml" },
+  csv: { extension: "csv", mimeType: "text/csv" },
+};
+
+/**
+ * Serializes plots in one of EXPORT_FORMATS
+ * @param {LandPlot[]} plots
+ * @param {string} format - geojson, kml or csv
+ * @returns {string}
+ */
+export function exportPlots(plots, format) {
+  switch (format) {
+    case "geojson":
+      return JSON.stringify(toGeoJSON(plots), null, 2);
+    case "kml":
+      return toKML(plots);
+    case "csv":
+      return toCSV(plots);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+const CSV_COLUMNS = [
+  "id",
+  "name",
+  "landType",
+  "latitude",
+  "longitude",
+  "areaM2",
+  "acres",
+  "hives",
+  "status",
+  "suitability",
+  "locationName",
+  "email",
+  "phone",
+];
+
+// Fields shared by every format
+function plotProperties(plot) {
+  return {
+    id: plot.id,
+    name: plot.ownerName,
+    landType: plot.landType,
+    hives: plot.hives,
+    areaM2: plot.area,
+    acres: Math.round(plot.acres * 100) / 100,
+    status: plot.status,
+    suitability: plot.suitability,
+    locationName: plot.locationName,
+    email: plot.email,
+    phone: plot.phone,
+  };
+}
+
+/**
+ * GeoJSON FeatureCollection, polygons as closed [lng, lat] rings with
+ * no-hive zones as holes. Plots spanning several fields are MultiPolygons.
+ */
+export function toGeoJSON(plots) {
+  const toPositions = (rings) =>
+    rings.map((ring) => closeRing(ring).map(([lat, lng]) => [lng, lat]));
+
+  return {
+    type: "FeatureCollection",
+    features: plots.map((plot) => {
+      let geometry = { type: "Point", coordinates: [plot.lng, plot.lat] };
+      if (plot.type === "polygon") {
+        const polygons = plot.polygons.map(toPositions);
+        geometry =
+          polygons.length === 1
+            ? { type: "Polygon", coordinates: polygons[0] }
+            : { type: "MultiPolygon", coordinates: polygons };
+      }
+      return { type: "Feature", properties: plotProperties(plot), geometry };
+    }),
+  };
+}
+
+/**
+ * KML document with one Placemark per plot
+ */
+export function toKML(plots) {
+  const placemarks = plots.map((plot) => {
+    const data = Object.entries(plotProperties(plot))
+      .map(
+        ([key, value]) =>
+          `<Data name="${key}"><value>${escapeXML(value)}</value></Data>`,
+      )
+      .join("");
+    const linearRing = (ring) =>
+      `<LinearRing><coordinates>${closeRing(ring)
+        .map(([lat, lng]) => `${lng},${lat},0`)
+        .join(" ")}</coordinates></LinearRing>`;
+    const polygon = ([outer, ...holes]) =>
+      `<Polygon><outerBoundaryIs>${linearRing(outer)}</outerBoundaryIs>${holes
+        .map((hole) => `<innerBoundaryIs>${linearRing(hole)}</innerBoundaryIs>`)
+        .join("")}</Polygon>`;
+
+    let geometry = `<Point><coordinates>${plot.lng},${plot.lat},0</coordinates></Point>`;
+    if (plot.type === "polygon") {
+      const polygons = plot.polygons.map(polygon).join("");
+      geometry =
+        plot.fields.length === 1
+          ? polygons
+          : `<MultiGeometry>${polygons}</MultiGeometry>`;
+    }
+
+    return `    <Placemark>
+      <name>${escapeXML(plot.ownerName || `Plot ${plot.id}`)}</name>
+      <description>${escapeXML(`${plot.landType}, ${plot.formatHives()}, ${plot.formatSize()}`)}</description>
+      <ExtendedData>${data}</ExtendedData>
+      ${geometry}
+    </Placemark>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>BeeLandr plots</name>
+${placemarks.join("\n")}
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * One row per plot, located by its centroid
+ */
+export function toCSV(plots) {
+  const rows = plots.map((plot) => {
+    const [latitude, longitude] = plot.center;
+    return { ...plotProperties(plot), latitude, longitude };
+  });
+
+  return [
+    CSV_COLUMNS.join(","),
+    ...rows.map((row) =>
+      CSV_COLUMNS.map((key) => escapeCSV(row[key])).join(","),
+    ),
+  ].join("\r\n");
+}
+
+function closeRing(ring) {
+  return ring.length > 0 ? [...ring, ring[0]] : ring;
+}
+
+function escapeXML(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function escapeCSV(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseXML(text, label) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error(`This file is not valid ${label}.`);
+  }
+  return doc;
+}
+
+// Text of a direct child element, ignoring names nested deeper
+function childText(element, tagName) {
+  const child = [...(element?.children || [])].find(
+    (node) => node.tagName === tagName,
+  );
+  return child?.textContent.trim() || undefined;
+}
@@ -0,0 +1,306 @@
+/**
+ * Geometry helpers
+ * Small, Leaflet-free maths used by the models and services.
+ * All coordinates are [lat, lng] pairs in degrees.
+ */
+
+const EARTH_RADIUS = 6378137; // metres (WGS84, same as Leaflet.GeometryUtil)
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Converts a point given as [lat, lng], {lat, lng} or {lat, lon} into [lat, lng]
+ * @param {Array|Object} point
+ * @returns {Array|null} [lat, lng] or null when the point is not usable
+ */
+export function toLatLngPair(point) {
+  if (!point) return null;
+
+  let lat;
+  let lng;
+  if (Array.isArray(point)) {
+    [lat, lng] = point;
+  } else {
+    lat = point.lat;
+    lng = point.lng !== undefined ? point.lng : point.lon;
+  }
+
+  lat = parseFloat(lat);
+  lng = parseFloat(lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+
+  return [lat, lng];
+}
+
+/**
+ * Drops the closing vertex of a ring if it repeats the first one
+ */
+export function openRing(ring) {
+  if (ring.length < 2) return ring;
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1]
+    ? ring.slice(0, -1)
+    : ring;
+}
+
+/**
+ * Lets callers pass one ring or several (e.g. a plot's fields)
+ * @param {Array} boundary - [[lat, lng], ...] or [[[lat, lng], ...], ...]
+ * @returns {Array} List of rings
+ */
+export function toRingList(boundary) {
+  return typeof boundary[0]?.[0] === "number" ? [boundary] : boundary;
+}
+
+/**
+ * Geodesic area of a ring in square metres
+ * Same spherical approximation as L.GeometryUtil.geodesicArea, so values match the draw tools
+ * @param {Array} ring - [[lat, lng], ...]
+ * @returns {number} Area in m²
+ */
+export function geodesicArea(ring) {
+  const points = openRing(ring);
+  if (points.length < 3) return 0;
+
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [lat1, lng1] = points[i];
+    const [lat2, lng2] = points[(i + 1) % points.length];
+    area +=
+      (lng2 - lng1) *
+      DEG_TO_RAD *
+      (2 + Math.sin(lat1 * DEG_TO_RAD) + Math.sin(lat2 * DEG_TO_RAD));
+  }
+
+  return Math.abs((area * EARTH_RADIUS * EARTH_RADIUS) / 2);
+}
+
+/**
+ * Centre point of a ring (average of its distinct vertices)
+ * @param {Array} ring - [[lat, lng], ...]
+ * @returns {Array|null} [lat, lng]
+ */
+export function centroid(ring) {
+  const points = openRing(ring);
+  if (points.length === 0) return null;
+
+  const sum = points.reduce(
+    (acc, [lat, lng]) => [acc[0] + lat, acc[1] + lng],
+    [0, 0],
+  );
+  return [sum[0] / points.length, sum[1] / points.length];
+}
+
+/**
+ * Great-circle distance between two points in kilometres (haversine formula)
+ * @param {Array|Object} from - [lat, lng] or {lat, lng}
+ * @param {Array|Object} to - [lat, lng] or {lat, lng}
+ * @returns {number} Distance in km, or Infinity if either point is unusable
+ */
+export function distanceKm(from, to) {
+  const a = toLatLngPair(from);
+  const b = toLatLngPair(to);
+  if (!a || !b) return Infinity;
+
+  const dLat = (b[0] - a[0]) * DEG_TO_RAD;
+  const dLng = (b[1] - a[1]) * DEG_TO_RAD;
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(a[0] * DEG_TO_RAD) *
+      Math.cos(b[0] * DEG_TO_RAD) *
+      Math.sin(dLng / 2) ** 2;
+
+  return (2 * EARTH_RADIUS * Math.asin(Math.sqrt(h))) / 1000;
+}
+
+/**
+ * Bounding box of a ring
+ * @param {Array} ring - [[lat, lng], ...]
+ * @returns {Object} { south, west, north, east }
+ */
+export function ringBounds(ring) {
+  const lats = ring.map(([lat]) => lat);
+  const lngs = ring.map(([, lng]) => lng);
+  return {
+    south: Math.min(...lats),
+    west: Math.min(...lngs),
+    north: Math.max(...lats),
+    east: Math.max(...lngs),
+  };
+}
+
+export function boundsOverlap(a, b) {
+  return (
+    a.south <= b.north &&
+    b.south <= a.north &&
+    a.west <= b.east &&
+    b.west <= a.east
+  );
+}
+
+/**
+ * Whether a point lies inside a ring (ray casting)
+ * @param {Array} point - [lat, lng]
+ * @param {Array} ring - [[lat, lng], ...]
+ */
+export function pointInRing([lat, lng], ring) {
+  const points = openRing(ring);
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [latI, lngI] = points[i];
+    const [latJ, lngJ] = points[j];
+    if (
+      latI > lat !== latJ > lat &&
+      lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Where two rings overlap, as convex pieces plus their total area.
+ * Both rings are split into triangles and every pair is clipped, so the
+ * result is exact for any simple ring, concave ones included.
+ * @param {Array} ringA - [[lat, lng], ...]
+ * @param {Array} ringB - [[lat, lng], ...]
+ * @returns {Object} { area: m², pieces: [[[lat, lng], ...], ...] }
+ */
+export function intersectRings(ringA, ringB) {
+  const a = openRing(ringA);
+  const b = openRing(ringB);
+  if (
+    a.length < 3 ||
+    b.length < 3 ||
+    !boundsOverlap(ringBounds(a), ringBounds(b))
+  ) {
+    return { area: 0, pieces: [] };
+  }
+
+  // Local equirectangular projection: fine at plot scale
+  const refLat = centroid([...a, ...b])[0];
+  const scale = Math.cos(refLat * DEG_TO_RAD);
+  const project = ([lat, lng]) => [lng * scale, lat];
+  const unproject = ([x, y]) => [y, x / scale];
+  const squareMetresPerUnit = (DEG_TO_RAD * EARTH_RADIUS) ** 2;
+
+  const trianglesB = triangulate(b.map(project));
+  const pieces = [];
+  let area = 0;
+
+  triangulate(a.map(project)).forEach((triangleA) => {
+    trianglesB.forEach((triangleB) => {
+      const piece = clipConvex(triangleA, triangleB);
+      const pieceArea = piece.length >= 3 ? planarArea(piece) : 0;
+      if (pieceArea > 0) {
+        area += pieceArea;
+        pieces.push(piece.map(unproject));
+      }
+    });
+  });
+
+  return { area: area * squareMetresPerUnit, pieces };
+}
+
+// z of the cross product (b - a) x (c - a): > 0 when a, b, c turn left
+function cross(a, b, c) {
+  return (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+}
+
+// Signed shoelace area; positive for counter-clockwise rings
+function signedArea(points) {
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    sum += x1 * y2 - x2 * y1;
+  }
+  return sum / 2;
+}
+
+function planarArea(points) {
+  return Math.abs(signedArea(points));
+}
+
+/**
+ * Ear-clipping triangulation of a simple planar ring
+ * @returns {Array} Counter-clockwise triangles
+ */
+function triangulate(ring) {
+  const points = signedArea(ring) < 0 ? [...ring].reverse() : ring;
+  const remaining = points.map((_, i) => i);
+  const triangles = [];
+
+  while (remaining.length > 3) {
+    const earIndex = remaining.findIndex((_, i) => {
+      const n = remaining.length;
+      const prev = points[remaining[(i - 1 + n) % n]];
+      const current = points[remaining[i]];
+      const next = points[remaining[(i + 1) % n]];
+      const turn = cross(prev, current, next);
+
+      if (turn === 0) return true; // Collinear: dropping it loses nothing
+      if (turn < 0) return false; // Reflex corner
+      return !remaining.some((index) => {
+        const p = points[index];
+        return (
+          p !== prev &&
+          p !== current &&
+          p !== next &&
+          cross(prev, current, p) >= 0 &&
+          cross(current, next, p) >= 0 &&
+          cross(next, prev, p) >= 0
+        );
+      });
+    });
+
+    // Only a self-intersecting ring has no ear; keep what was found
+    if (earIndex === -1) return triangles;
+
+    const n = remaining.length;
+    const triangle = [
+      points[remaining[(earIndex - 1 + n) % n]],
+      points[remaining[earIndex]],
+      points[remaining[(earIndex + 1) % n]],
+    ];
+    if (cross(...triangle) !== 0) triangles.push(triangle);
+    remaining.splice(earIndex, 1);
+  }
+
+  triangles.push(remaining.map((index) => points[index]));
+  return triangles;
+}
+
+/**
+ * Sutherland–Hodgman clip of one convex counter-clockwise polygon by another
+ */
+function clipConvex(subject, clip) {
+  let output = subject;
+
+  for (let i = 0; i < clip.length && output.length > 0; i++) {
+    const edgeStart = clip[i];
+    const edgeEnd = clip[(i + 1) % clip.length];
+    const input = output;
+    output = [];
+
+    input.forEach((point, j) => {
+      const next = input[(j + 1) % input.length];
+      const pointInside = cross(edgeStart, edgeEnd, point) >= 0;
+      const nextInside = cross(edgeStart, edgeEnd, next) >= 0;
+
+      if (pointInside) output.push(point);
+      if (pointInside !== nextInside) {
+        output.push(lineIntersection(point, next, edgeStart, edgeEnd));
+      }
+    });
+  }
+  return output;
+}
+
+// Where segment p-q crosses the infinite line through a-b
+function lineIntersection(p, q, a, b) {
+  const t = cross(a, b, p) / (cross(a, b, p) - cross(a, b, q));
+  return [p[0] + t * (q[0] - p[0]), p[1] + t * (q[1] - p[1])];
+}
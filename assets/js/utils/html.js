@@ -0,0 +1,19 @@
+/**
+ * HTML helpers for the template-string renderers
+ */
+
+/**
+ * Escapes text for use inside HTML markup or a quoted attribute. Plots,
+ * enquiries and search names are typed by users, and with the API they are
+ * shared between browsers, so none of them can be trusted as HTML.
+ * @param {*} value - null and undefined become ""
+ * @returns {string}
+ */
+export function escapeHTML(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
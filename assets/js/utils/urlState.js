@@ -0,0 +1,120 @@
+/**
+ * Shareable URL state
+ * Reads and writes the map view, role, beekeeper filters and selected plot
+ * as index.html query parameters, so a search can be sent as a link.
+ */
+
+import { toLatLngPair } from "./geometry.js";
+
+// Filter key -> query parameter, for the filters that are plain numbers
+const NUMBER_PARAMS = {
+  minHives: "minHives",
+  maxHives: "maxHives",
+  minAcres: "minAcres",
+  maxAcres: "maxAcres",
+  minSuitability: "minScore",
+};
+
+const STATE_PARAMS = [
+  "lat",
+  "lng",
+  "z",
+  "role",
+  "plot",
+  "types",
+  "near",
+  "place",
+  "km",
+  ...Object.values(NUMBER_PARAMS),
+];
+
+/**
+ * @param {Object} state
+ * @param {Object} state.view - { lat, lng, zoom } of the map
+ * @param {string} state.role
+ * @param {Object} state.filters - Beekeeper filters; null values are left out
+ * @param {string} state.plotId - Selected plot
+ * @returns {string} Query string without the leading "?"
+ */
+export function encodeUrlState({ view, role, filters = {}, plotId } = {}) {
+  const params = new URLSearchParams();
+
+  if (view) {
+    params.set("lat", view.lat.toFixed(5));
+    params.set("lng", view.lng.toFixed(5));
+    params.set("z", String(view.zoom));
+  }
+  if (role) params.set("role", role);
+  if (plotId !== null && plotId !== undefined) {
+    params.set("plot", String(plotId));
+  }
+
+  if (filters.landTypes?.length) {
+    params.set("types", filters.landTypes.join(","));
+  }
+  Object.entries(NUMBER_PARAMS).forEach(([key, param]) => {
+    if (filters[key] !== null && filters[key] !== undefined) {
+      params.set(param, String(filters[key]));
+    }
+  });
+  // The radius only matters once there is somewhere to measure from
+  if (filters.origin) {
+    const { lat, lng, label } = filters.origin;
+    params.set("near", `${lat.toFixed(5)},${lng.toFixed(5)}`);
+    if (label) params.set("place", label);
+    params.set("km", String(filters.radiusKm));
+  }
+
+  return params.toString();
+}
+
+/**
+ * Reverses encodeUrlState, dropping anything malformed
+ * @param {string} search - e.g. window.location.search
+ * @returns {Object|null} { view, role, filters, plotId }, or null if the
+ *   URL carries no app state at all. filters only holds the keys present.
+ */
+export function decodeUrlState(search) {
+  const params = new URLSearchParams(search);
+  if (!STATE_PARAMS.some((param) => params.has(param))) return null;
+
+  const toNumber = (param) => {
+    const value = params.get(param);
+    if (value === null || value.trim() === "") return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  };
+
+  const center = toLatLngPair([params.get("lat"), params.get("lng")]);
+  const zoom = toNumber("z");
+  const view =
+    center && zoom !== null && zoom >= 0
+      ? { lat: center[0], lng: center[1], zoom }
+      : null;
+
+  const filters = {};
+  if (params.has("types")) {
+    filters.landTypes = params.get("types").split(",").filter(Boolean);
+  }
+  Object.entries(NUMBER_PARAMS).forEach(([key, param]) => {
+    const value = toNumber(param);
+    if (value !== null) filters[key] = value;
+  });
+  const near = toLatLngPair(params.get("near")?.split(","));
+  if (near) {
+    filters.origin = {
+      lat: near[0],
+      lng: near[1],
+      label: params.get("place") || "Shared location",
+    };
+  }
+  const radiusKm = toNumber("km");
+  if (radiusKm > 0) filters.radiusKm = radiusKm;
+
+  return {
+    view,
+    role: params.get("role"),
+    filters,
+    plotId: params.get("plot"),
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * EnquiryStore
+ * File-backed enquiry storage for the API, validated with the shared
+ * Enquiry model.
+ */
+
+import path from "path";
+import JsonFileStore, { DATA_DIR, NotFoundError } from "./JsonFileStore.js";
+import Enquiry, { ENQUIRY_STATUS } from "../assets/js/models/Enquiry.js";
+
+export const DEFAULT_ENQUIRIES_DB = path.join(DATA_DIR, "enquiries.json");
+
+export default class EnquiryStore extends JsonFileStore {
+  /**
+   * Enquiries for any of the given plots, newest first
+   * @param {Array} plotIds
+   */
+  async forPlots(plotIds) {
+    const ids = plotIds.map(String);
+    return (await this.load())
+      .filter((enquiry) => ids.includes(String(enquiry.plotId)))
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  async get(id) {
+    const enquiry = (await this.load()).find((e) => e.id == id);
+    if (!enquiry) throw new NotFoundError(`Enquiry ${id} not found`);
+    return enquiry;
+  }
+
+  /**
+   * A new, pending enquiry, not yet stored
+   * @returns {Enquiry}
+   * @throws {Error} If the enquiry is invalid (Enquiry's validation message)
+   */
+  async build(plotId, data) {
+    const enquiries = await this.load();
+    return new Enquiry({
+      ...data,
+      id: `enquiry-${Date.now()}-${enquiries.length + 1}`,
+      plotId,
+      status: ENQUIRY_STATUS.PENDING,
+      createdAt: new Date().toISOString(),
+      respondedAt: null,
+    });
+  }
+
+  /**
+   * Adds or replaces an enquiry
+   * @param {Enquiry} enquiry
+   */
+  async save(enquiry) {
+    const enquiries = await this.load();
+    const record = enquiry.toJSON();
+    const index = enquiries.findIndex((e) => e.id == record.id);
+
+    if (index === -1) enquiries.push(record);
+    else enquiries[index] = record;
+
+    await this.persist();
+    return record;
+  }
+}
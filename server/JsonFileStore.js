@@ -0,0 +1,57 @@
+/**
+ * JsonFileStore
+ * An array of records kept in memory and mirrored to a JSON file. Writes
+ * are queued and the file is replaced atomically, so a crash mid-write
+ * never leaves it half written.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const DATA_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "data",
+);
+
+export class NotFoundError extends Error {}
+
+export default class JsonFileStore {
+  /**
+   * @param {string} filePath - JSON file holding an array of records
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.records = null; // Loaded lazily, then kept in memory
+    this.writing = Promise.resolve(); // Serializes writes
+  }
+
+  async load() {
+    if (!this.records) {
+      try {
+        this.records = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+        this.records = [];
+      }
+    }
+    return this.records;
+  }
+
+  async list() {
+    return [...(await this.load())];
+  }
+
+  persist() {
+    // A failed write shouldn't block the ones queued after it
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(this.records, null, 2));
+        await fs.rename(tempPath, this.filePath);
+      });
+    return this.writing;
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * PlotStore
+ * File-backed plot storage for the API. Every record is validated with the
+ * same LandPlot model the browser uses.
+ *
+ * Creating a plot returns a secret owner token, and only that token can
+ * change or delete it. The store keeps a hash of the token with the record
+ * and never hands it out again. Seeded plots have no token, so they can't
+ * be changed through the API at all.
+ */
+
+import path from "path";
+import { createHash, randomUUID } from "crypto";
+import JsonFileStore, { DATA_DIR, NotFoundError } from "./JsonFileStore.js";
+import LandPlot from "../assets/js/models/LandPlot.js";
+
+export { NotFoundError };
+
+export class ForbiddenError extends Error {}
+
+export const DEFAULT_DB = path.join(DATA_DIR, "plots.json");
+
+export default class PlotStore extends JsonFileStore {
+  async list() {
+    return (await this.load()).map(withoutOwner);
+  }
+
+  async get(id) {
+    return withoutOwner(await this.find(id));
+  }
+
+  /**
+   * The stored record, owner hash included
+   * @throws {NotFoundError}
+   */
+  async find(id) {
+    const plot = (await this.load()).find((p) => p.id == id);
+    if (!plot) throw new NotFoundError(`Plot ${id} not found`);
+    return plot;
+  }
+
+  /**
+   * Adds a plot under a new id; any id in the data is ignored
+   * @returns {Object} { plot, ownerToken }
+   * @throws {Error} If the plot is invalid (LandPlot's validation message)
+   */
+  async create(data) {
+    const plots = await this.load();
+    const ownerToken = randomUUID();
+    const plot = new LandPlot({
+      ...data,
+      id: `plot-${randomUUID()}`,
+      timestamp: data.timestamp || new Date().toISOString(),
+    }).toJSON();
+
+    plots.push({ ...plot, ownerHash: hashToken(ownerToken) });
+    await this.persist();
+    return { plot, ownerToken };
+  }
+
+  /**
+   * Checks that a token is the one issued when the plot was created
+   * @throws {NotFoundError} If there is no such plot
+   * @throws {ForbiddenError} If the token is missing or wrong
+   */
+  async authorize(id, ownerToken) {
+    const { ownerHash } = await this.find(id);
+    if (!ownerHash || !ownerToken || hashToken(ownerToken) !== ownerHash) {
+      throw new ForbiddenError(`Not allowed to change plot ${id}`);
+    }
+  }
+
+  /**
+   * Replaces an existing plot, keeping its owner
+   * @throws {NotFoundError} If there is no such plot
+   * @throws {Error} If the plot is invalid or its status change isn't allowed
+   */
+  async put(id, data) {
+    const plots = await this.load();
+    const index = plots.findIndex((p) => p.id == id);
+    if (index === -1) throw new NotFoundError(`Plot ${id} not found`);
+
+    const plot = new LandPlot({ ...data, id: plots[index].id }).toJSON();
+    LandPlot.from(plots[index]).setStatus(plot.status);
+
+    plots[index] = { ...plot, ownerHash: plots[index].ownerHash };
+    await this.persist();
+    return plot;
+  }
+
+  async remove(id) {
+    const plots = await this.load();
+    const index = plots.findIndex((p) => p.id == id);
+    if (index === -1) throw new NotFoundError(`Plot ${id} not found`);
+
+    plots.splice(index, 1);
+    await this.persist();
+  }
+
+  /**
+   * Replaces every plot, e.g. from the seed script. Invalid records are skipped.
+   * @returns {number} Plots stored
+   */
+  async seed(records) {
+    this.records = LandPlot.fromList(records).map((plot) => plot.toJSON());
+    await this.persist();
+    return this.records.length;
+  }
+}
+
+function hashToken(token) {
+  return createHash("sha256").update(String(token)).digest("hex");
+}
+
+function withoutOwner({ ownerHash, ...plot }) {
+  return plot;
+}
@@ -0,0 +1,280 @@
+/**
+ * @jest-environment node
+ */
+import { describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import PlotStore from "../PlotStore.js";
+import EnquiryStore from "../EnquiryStore.js";
+import { createServer } from "../index.js";
+
+const plot = {
+  ownerName: "Hill Farm",
+  type: "polygon",
+  coordinates: [
+    [51, -0.1],
+    [51, -0.2],
+    [51.1, -0.2],
+  ],
+  hives: 4,
+};
+
+describe("Plot API", () => {
+  let dir;
+  let dbPath;
+  let server;
+  let base;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "beelandr-"));
+    dbPath = path.join(dir, "plots.json");
+    server = createServer({
+      plots: new PlotStore(dbPath),
+      enquiries: new EnquiryStore(path.join(dir, "enquiries.json")),
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const send = (method, route, body, ownerToken) =>
+    fetch(`${base}${route}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(ownerToken ? { "X-Owner-Token": ownerToken } : {}),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+  // POSTs a plot; resolves to { id, ownerToken }
+  const createPlot = async (body = plot) =>
+    (await send("POST", "/api/plots", body)).json();
+
+  test("reports itself on the health route", async () => {
+    const response = await send("GET", "/api/health");
+    expect(await response.json()).toEqual({
+      service: "beelandr",
+      status: "ok",
+    });
+  });
+
+  test("creates, updates, lists and deletes plots", async () => {
+    const created = await send("POST", "/api/plots", plot);
+    expect(created.status).toBe(201);
+    const { id, ownerToken } = await created.json();
+    expect(id).toBeTruthy();
+    expect(ownerToken).toBeTruthy();
+
+    const updated = await send(
+      "PUT",
+      `/api/plots/${id}`,
+      { ...plot, hives: 6 },
+      ownerToken,
+    );
+    expect(updated.status).toBe(200);
+
+    const list = await (await send("GET", "/api/plots")).json();
+    expect(list).toHaveLength(1);
+    expect(list[0]).toMatchObject({ id, hives: 6 });
+    expect(list[0]).not.toHaveProperty("ownerHash");
+    expect(list[0]).not.toHaveProperty("ownerToken");
+
+    // Written through to disk, so it survives a restart
+    const onDisk = await new PlotStore(dbPath).list();
+    expect(onDisk[0].hives).toBe(6);
+
+    expect(
+      (await send("DELETE", `/api/plots/${id}`, undefined, ownerToken)).status,
+    ).toBe(204);
+    expect((await send("GET", `/api/plots/${id}`)).status).toBe(404);
+  });
+
+  test("picks its own ids, so a POST can't duplicate a plot", async () => {
+    const first = await createPlot();
+    const second = await createPlot({ ...plot, id: first.id });
+
+    expect(second.id).not.toBe(first.id);
+    expect(await (await send("GET", "/api/plots")).json()).toHaveLength(2);
+  });
+
+  test("only the creator's token can change or delete a plot", async () => {
+    const { id, ownerToken } = await createPlot();
+    const other = await createPlot();
+
+    expect((await send("PUT", `/api/plots/${id}`, plot)).status).toBe(403);
+    expect(
+      (await send("PUT", `/api/plots/${id}`, plot, other.ownerToken)).status,
+    ).toBe(403);
+    expect((await send("DELETE", `/api/plots/${id}`)).status).toBe(403);
+    expect(
+      (await send("PUT", "/api/plots/local-7", plot, ownerToken)).status,
+    ).toBe(404);
+    expect((await send("GET", `/api/plots/${id}`)).status).toBe(200);
+  });
+
+  test("rejects invalid plots and bodies", async () => {
+    const invalid = await send("POST", "/api/plots", { type: "polygon" });
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).error).toMatch(/Invalid plot/);
+
+    const notJSON = await fetch(`${base}/api/plots`, {
+      method: "POST",
+      body: "[1]",
+    });
+    expect(notJSON.status).toBe(400);
+    expect((await send("PATCH", "/api/plots")).status).toBe(405);
+  });
+
+  test("tracks enquiries and keeps the plot status in step", async () => {
+    const { id, ownerToken } = await createPlot({
+      ...plot,
+      status: "available",
+    });
+    const enquiry = {
+      name: "Sam Keeper",
+      email: "sam@example.com",
+      hives: 2,
+      startDate: "2026-05-01",
+    };
+
+    const first = await (
+      await send("POST", `/api/plots/${id}/enquiries`, enquiry)
+    ).json();
+    const second = await (
+      await send("POST", `/api/plots/${id}/enquiries`, enquiry)
+    ).json();
+    expect(first.status).toBe("pending");
+    expect((await (await send("GET", `/api/plots/${id}`)).json()).status).toBe(
+      "reserved",
+    );
+
+    const inbox = await (
+      await send("GET", `/api/enquiries?plotId=${id}`, undefined, ownerToken)
+    ).json();
+    expect(inbox).toHaveLength(2);
+
+    await send(
+      "PATCH",
+      `/api/enquiries/${first.id}`,
+      { status: "declined" },
+      ownerToken,
+    );
+    await send(
+      "PATCH",
+      `/api/enquiries/${second.id}`,
+      { status: "accepted" },
+      ownerToken,
+    );
+    const occupied = await (await send("GET", `/api/plots/${id}`)).json();
+    expect(occupied).toMatchObject({ status: "occupied", occupiedHives: 2 });
+
+    const again = await send(
+      "PATCH",
+      `/api/enquiries/${second.id}`,
+      { status: "declined" },
+      ownerToken,
+    );
+    expect(again.status).toBe(400);
+  });
+
+  test("only the plot's owner can answer its enquiries", async () => {
+    const { id } = await createPlot({ ...plot, status: "available" });
+    const other = await createPlot();
+    const enquiry = await (
+      await send("POST", `/api/plots/${id}/enquiries`, {
+        name: "Sam Keeper",
+        email: "sam@example.com",
+        hives: 2,
+        startDate: "2026-05-01",
+      })
+    ).json();
+
+    const route = `/api/enquiries/${enquiry.id}`;
+    const accept = { status: "accepted" };
+    expect((await send("PATCH", route, accept)).status).toBe(403);
+    expect((await send("PATCH", route, accept, other.ownerToken)).status).toBe(
+      403,
+    );
+    expect((await (await send("GET", `/api/plots/${id}`)).json()).status).toBe(
+      "reserved",
+    );
+  });
+
+  test("only shows enquiries to the owners of the plots", async () => {
+    const first = await createPlot({ ...plot, status: "available" });
+    const second = await createPlot({ ...plot, status: "available" });
+    await send("POST", `/api/plots/${first.id}/enquiries`, {
+      name: "Sam Keeper",
+      email: "sam@example.com",
+      hives: 2,
+      startDate: "2026-05-01",
+    });
+
+    const byPlot = `/api/plots/${first.id}/enquiries`;
+    expect((await send("GET", byPlot)).status).toBe(403);
+    expect(
+      (await send("GET", byPlot, undefined, second.ownerToken)).status,
+    ).toBe(403);
+    expect(
+      (await send("GET", byPlot, undefined, first.ownerToken)).status,
+    ).toBe(200);
+
+    const inbox = `/api/enquiries?plotId=${first.id}&plotId=${second.id}`;
+    expect((await send("GET", inbox)).status).toBe(403);
+    expect((await send("GET", inbox, undefined, first.ownerToken)).status).toBe(
+      403,
+    );
+    const both = await send(
+      "GET",
+      inbox,
+      undefined,
+      `${first.ownerToken},${second.ownerToken}`,
+    );
+    expect(both.status).toBe(200);
+    expect(await both.json()).toHaveLength(1);
+  });
+
+  test("rejects enquiries for unknown plots or with missing details", async () => {
+    const { id } = await createPlot();
+    expect(
+      (await send("POST", "/api/plots/nope/enquiries", { name: "Sam" })).status,
+    ).toBe(404);
+    expect(
+      (await send("POST", `/api/plots/${id}/enquiries`, { name: "Sam" }))
+        .status,
+    ).toBe(400);
+  });
+
+  test("only allows status changes the lifecycle permits", async () => {
+    const { id, ownerToken } = await createPlot({ ...plot, status: "draft" });
+
+    const skipped = await send(
+      "PUT",
+      `/api/plots/${id}`,
+      { ...plot, status: "occupied" },
+      ownerToken,
+    );
+    expect(skipped.status).toBe(400);
+    expect((await skipped.json()).error).toMatch(/from draft to occupied/);
+
+    const published = await send(
+      "PUT",
+      `/api/plots/${id}`,
+      { ...plot, status: "available" },
+      ownerToken,
+    );
+    expect(published.status).toBe(200);
+  });
+
+  test("serves the site but not the server's own files", async () => {
+    expect((await fetch(`${base}/`)).status).toBe(200);
+    expect((await fetch(`${base}/server/PlotStore.js`)).status).toBe(403);
+    expect((await fetch(`${base}/no-such-page`)).status).toBe(404);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Plot REST API
+ *   GET    /api/health                -> { service: "beelandr", status: "ok" }
+ *   GET    /api/plots                 -> [plot]
+ *   GET    /api/plots/:id             -> plot
+ *   POST   /api/plots                 -> 201 { ...plot, ownerToken }; the server picks the id
+ *   PUT    /api/plots/:id             -> 200 plot, needs the X-Owner-Token header
+ *   DELETE /api/plots/:id             -> 204, needs the X-Owner-Token header
+ *   GET    /api/plots/:id/enquiries   -> [enquiry], needs the X-Owner-Token header
+ *   POST   /api/plots/:id/enquiries   -> 201 enquiry
+ *   GET    /api/enquiries?plotId=a&plotId=b -> [enquiry], needs X-Owner-Token
+ *                                        "tokenA,tokenB", one per plotId in order
+ *   PATCH  /api/enquiries/:id         -> enquiry, body { status: "accepted" | "declined" },
+ *                                        needs the plot's X-Owner-Token header
+ * Enquiry changes move the plot along its lifecycle (see Enquiry.applyToPlot).
+ * The owner token comes back once, from POST; see PlotStore. Enquiries
+ * carry beekeepers' contact details, so only sending one is public.
+ * Errors are JSON { error } with 400 (invalid input), 403 (wrong or missing
+ * owner token), 404 or 405.
+ */
+
+import { NotFoundError } from "./JsonFileStore.js";
+import { ForbiddenError } from "./PlotStore.js";
+import Enquiry from "../assets/js/models/Enquiry.js";
+import LandPlot from "../assets/js/models/LandPlot.js";
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class BadRequestError extends Error {}
+
+/**
+ * @param {Object} stores
+ * @param {PlotStore} stores.plots
+ * @param {EnquiryStore} stores.enquiries
+ * @returns {Function} (req, res) => Promise<boolean>, false if the URL isn't an API route
+ */
+export function createApiHandler({ plots, enquiries }) {
+  // Applies a new or answered enquiry to its plot, then stores both.
+  // Throws before storing anything if the plot can't take the hives.
+  const saveEnquiry = async (enquiry) => {
+    const plot = LandPlot.from(await plots.get(enquiry.plotId));
+    const others = Enquiry.fromList(
+      await enquiries.forPlots([enquiry.plotId]),
+    ).filter((e) => e.id != enquiry.id);
+
+    Enquiry.applyToPlot(plot, enquiry, others);
+    await plots.put(plot.id, plot.toJSON());
+    return enquiries.save(enquiry);
+  };
+
+  // Each plot id needs its own token, at the same position in the header
+  const authorizeAll = (ids, header) => {
+    const tokens = (header || "").split(",").map((token) => token.trim());
+    return Promise.all(ids.map((id, i) => plots.authorize(id, tokens[i])));
+  };
+
+  const routes = {
+    health: async (req, res, id) => {
+      if (id) return sendJSON(res, 404, { error: "Not found" });
+      if (req.method !== "GET") return sendMethodNotAllowed(res);
+      sendJSON(res, 200, { service: "beelandr", status: "ok" });
+    },
+
+    plots: async (req, res, id, sub) => {
+      if (sub === "enquiries") {
+        await plots.get(id); // 404 for unknown plots
+        if (req.method === "GET") {
+          await plots.authorize(id, req.headers["x-owner-token"]);
+          return sendJSON(res, 200, await enquiries.forPlots([id]));
+        }
+        if (req.method !== "POST") return sendMethodNotAllowed(res);
+        const enquiry = await enquiries.build(id, await readJSON(req));
+        return sendJSON(res, 201, await saveEnquiry(enquiry));
+      }
+      if (sub) return sendJSON(res, 404, { error: "Not found" });
+
+      if (!id) {
+        if (req.method === "GET") return sendJSON(res, 200, await plots.list());
+        if (req.method === "POST") {
+          const { plot, ownerToken } = await plots.create(await readJSON(req));
+          return sendJSON(res, 201, { ...plot, ownerToken });
+        }
+        return sendMethodNotAllowed(res);
+      }
+
+      if (req.method === "GET") return sendJSON(res, 200, await plots.get(id));
+      if (req.method === "PUT") {
+        await plots.authorize(id, req.headers["x-owner-token"]);
+        return sendJSON(res, 200, await plots.put(id, await readJSON(req)));
+      }
+      if (req.method === "DELETE") {
+        await plots.authorize(id, req.headers["x-owner-token"]);
+        await plots.remove(id);
+        return res.writeHead(204).end();
+      }
+      sendMethodNotAllowed(res);
+    },
+
+    enquiries: async (req, res, id, sub, query) => {
+      if (sub) return sendJSON(res, 404, { error: "Not found" });
+
+      if (!id) {
+        if (req.method !== "GET") return sendMethodNotAllowed(res);
+        const plotIds = query.getAll("plotId");
+        await authorizeAll(plotIds, req.headers["x-owner-token"]);
+        return sendJSON(res, 200, await enquiries.forPlots(plotIds));
+      }
+
+      if (req.method !== "PATCH") return sendMethodNotAllowed(res);
+      const { status } = await readJSON(req);
+      const stored = Enquiry.from(await enquiries.get(id));
+      await plots.authorize(stored.plotId, req.headers["x-owner-token"]);
+      const enquiry = stored.respond(status);
+      sendJSON(res, 200, await saveEnquiry(enquiry));
+    },
+  };
+
+  return async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+    if (!pathname.startsWith("/api/")) return false;
+
+    const [, , resource, id, sub, ...rest] = pathname.split("/");
+    const route = Object.hasOwn(routes, resource) ? routes[resource] : null;
+
+    try {
+      if (!route || rest.length > 0) {
+        sendJSON(res, 404, { error: "Not found" });
+      } else {
+        await route(
+          req,
+          res,
+          id ? decodeURIComponent(id) : null,
+          sub || null,
+          searchParams,
+        );
+      }
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        sendJSON(res, 404, { error: error.message });
+      } else if (error instanceof ForbiddenError) {
+        sendJSON(res, 403, { error: error.message });
+      } else if (
+        error instanceof BadRequestError ||
+        /^Invalid (plot|enquiry)/.test(error.message)
+      ) {
+        sendJSON(res, 400, { error: error.message });
+      } else {
+        console.error("API error:", error);
+        sendJSON(res, 500, { error: "Internal server error" });
+      }
+    }
+    return true;
+  };
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function sendMethodNotAllowed(res) {
+  sendJSON(res, 405, { error: "Method not allowed" });
+}
+
+async function readJSON(req) {
+  let body = "";
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      throw new BadRequestError("Request body too large");
+    }
+  }
+
+  try {
+    const data = JSON.parse(body);
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error();
+    }
+    return data;
+  } catch (error) {
+    throw new BadRequestError("Request body must be a JSON object");
+  }
+}
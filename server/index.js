@@ -0,0 +1,90 @@
+/**
+ * BeeLandr local server
+ * Serves the site and the plot API from one origin, so the front end
+ * finds the API at /api without any CORS setup.
+ *   npm start            (PORT=3000, PLOTS_DB=server/data/plots.json,
+ *                         ENQUIRIES_DB=server/data/enquiries.json)
+ *   npm run seed         fills the store with generated listings
+ */
+
+import http from "http";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import PlotStore, { DEFAULT_DB } from "./PlotStore.js";
+import EnquiryStore, { DEFAULT_ENQUIRIES_DB } from "./EnquiryStore.js";
+import { createApiHandler } from "./api.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, "..");
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+};
+
+async function serveStatic(req, res) {
+  const { pathname } = new URL(req.url, "http://localhost");
+  let filePath;
+  try {
+    filePath = path.join(
+      ROOT,
+      decodeURIComponent(pathname === "/" ? "/index.html" : pathname),
+    );
+  } catch (error) {
+    res.writeHead(400).end();
+    return;
+  }
+
+  // Keep requests inside the site, away from the server's own data and dotfiles
+  const relative = path.relative(ROOT, filePath);
+  if (
+    relative.startsWith("..") ||
+    filePath.startsWith(__dirname + path.sep) ||
+    relative.split(path.sep).some((part) => part.startsWith("."))
+  ) {
+    res.writeHead(403).end();
+    return;
+  }
+
+  try {
+    const content = await fs.readFile(filePath);
+    res.writeHead(200, {
+      "Content-Type":
+        MIME_TYPES[path.extname(filePath)] || "application/octet-stream",
+    });
+    res.end(content);
+  } catch (error) {
+    const notFound = await fs.readFile(path.join(ROOT, "404.html"));
+    res.writeHead(404, { "Content-Type": MIME_TYPES[".html"] });
+    res.end(notFound);
+  }
+}
+
+/**
+ * @param {Object} stores - { plots, enquiries }, defaulting to the files in server/data
+ */
+export function createServer({
+  plots = new PlotStore(process.env.PLOTS_DB || DEFAULT_DB),
+  enquiries = new EnquiryStore(
+    process.env.ENQUIRIES_DB || DEFAULT_ENQUIRIES_DB,
+  ),
+} = {}) {
+  const handleApi = createApiHandler({ plots, enquiries });
+  return http.createServer(async (req, res) => {
+    if (!(await handleApi(req, res))) await serveStatic(req, res);
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || 3000;
+  createServer().listen(port, () =>
+    console.log(`🐝 BeeLandr running at http://localhost:${port}`),
+  );
+}